@@ -1,777 +1,6380 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useDeferredValue, useId, createContext, useContext } from 'react';
 import { createRoot } from 'react-dom/client';
 import { GoogleGenAI } from "@google/genai";
+import {
+    toHexString, toBinaryString, toUTF8Array, toSJISArray, toEUCJPArray, toISO2022JPArray, toUTF16Array, toUTF32Array,
+    decodeUTF8Groups, decodeSJISGroups, decodeEUCJPGroups, decodeJISGroups, decodeUTF16Groups, decodeUTF32Groups,
+    sjisToJIS, detectEncoding, REPLACEMENT_CHAR,
+} from './utils/encoding.js';
+import { normalizeHex, parseByteLiteral, parseAnswerBytes } from './utils/byte-literal.js';
+import './index.css';
 
 // ==========================================
 // 1. Constants
 // ==========================================
 
+// ビルド時に埋め込まれたキー（あれば初期設定に使う。ふだんは設定画面で入力する）
 const API_KEY = (typeof process !== 'undefined' && process.env && process.env.API_KEY) ? process.env.API_KEY : '';
 
+// AIの接続設定は端末のブラウザ (localStorage) にだけ保存する
+const AI_SETTINGS_KEY = 'digimoji-ai-settings';
+
+const DEFAULT_AI_SETTINGS = {
+    provider: API_KEY ? 'gemini' : 'mock', // 'off' | 'gemini' | 'openai' | 'mock'
+    apiKey: API_KEY,
+    endpoint: 'http://localhost:11434/v1',
+    model: '',
+};
+
+// family: Tailwindのクラス名, css: canvasに描くときの font-family
 const FONTS = [
-    { name: 'ゴシック体', family: 'font-sans' },
-    { name: '明朝体', family: 'font-serif' },
-    { name: '手書き風', family: 'font-hand' },
-    { name: '等幅', family: 'font-mono' },
+    { name: 'ゴシック体', family: 'font-sans', css: '"Inter Variable", "Noto Sans JP Variable", sans-serif' },
+    { name: '明朝体', family: 'font-serif', css: '"Noto Serif JP Variable", serif' },
+    { name: '手書き風', family: 'font-hand', css: '"Yomogi", cursive' },
+    { name: '等幅', family: 'font-mono', css: 'Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace' },
+];
+
+// フォントラボで選べるビットマップの大きさ (ドット)
+const BITMAP_SIZES = [8, 16, 24];
+
+// クイズ用の問題バンク（APIキーがない授業でもクイズが成立するように同梱）
+const INITIAL_QUIZ_DATA = [
+    {
+        id: 1,
+        question: "次のバイナリ `01000001` (UTF-8) が表す文字は？",
+        options: ["A", "a", "1", "B"],
+        answer: "A",
+        explanation: "UTF-8（ASCII互換）では、`01000001`は16進数で`41`となり、これは「A」を表します。"
+    },
+    {
+        id: 2,
+        question: "「あ」のUTF-8表現はどれ？",
+        options: ["E3 81 82", "82 A0", "30 42", "41"],
+        answer: "E3 81 82",
+        explanation: "UTF-8では日本語の多くは3バイトで表現されます。「あ」は `E3 81 82` です。`82 A0` はShift-JISです。"
+    },
+    {
+        id: 3,
+        question: "1バイトは何ビット？",
+        options: ["4ビット", "8ビット", "16ビット", "32ビット"],
+        answer: "8ビット",
+        explanation: "8ビットをまとめて1バイトと呼びます。0と1が8個並んだものが1バイトです。"
+    },
+    {
+        id: 4,
+        question: "8ビット（1バイト）で表現できるパターンは何通り？",
+        options: ["8通り", "128通り", "256通り", "512通り"],
+        answer: "256通り",
+        explanation: "1ビットで2通りなので、8ビットでは 2×2×…×2 = 2の8乗 = 256通りです。"
+    },
+    {
+        id: 5,
+        question: "ASCIIコードは何ビットで文字を表す文字コード？",
+        options: ["7ビット", "8ビット", "16ビット", "32ビット"],
+        answer: "7ビット",
+        explanation: "ASCIIは7ビット（128種類）の文字コードです。コンピュータでは先頭に0を付けて1バイトとして扱います。"
+    },
+    {
+        id: 6,
+        question: "「A」のASCIIコードを16進数で表すと？",
+        options: ["41", "61", "30", "20"],
+        answer: "41",
+        explanation: "「A」は16進数で `41`（10進数で65）です。`61` は小文字の「a」です。"
+    },
+    {
+        id: 7,
+        question: "小文字「a」のASCIIコードを16進数で表すと？",
+        options: ["41", "61", "7A", "20"],
+        answer: "61",
+        explanation: "「a」は `61` です。大文字「A」（`41`）とはちょうど16進数で `20` 離れています。"
+    },
+    {
+        id: 8,
+        question: "数字の「0」という文字のASCIIコード（16進数）は？",
+        options: ["00", "30", "48", "0F"],
+        answer: "30",
+        explanation: "文字としての「0」は `30` です。数値のゼロ（`00`）とは別物なので注意しましょう。"
+    },
+    {
+        id: 9,
+        question: "半角スペースのASCIIコード（16進数）は？",
+        options: ["00", "20", "7F", "FF"],
+        answer: "20",
+        explanation: "スペースも1つの文字として `20` という番号が割り当てられています。"
+    },
+    {
+        id: 10,
+        question: "「A」(`41`) と「a」(`61`) の文字コードの差は？",
+        options: ["16進数で20", "16進数で01", "16進数で10", "差はない"],
+        answer: "16進数で20",
+        explanation: "ASCIIでは大文字と小文字が16進数で `20`（10進数で32）離れて並んでいます。2進数では1ビットだけの違いです。"
+    },
+    {
+        id: 11,
+        question: "「あ」のShift-JIS表現はどれ？",
+        options: ["82 A0", "E3 81 82", "30 42", "A4 A2"],
+        answer: "82 A0",
+        explanation: "Shift-JISでは「あ」は2バイトの `82 A0` です。`E3 81 82` はUTF-8、`A4 A2` はEUC-JPでの表現です。"
+    },
+    {
+        id: 12,
+        question: "UTF-8でひらがなや漢字は、多くの場合何バイトで表される？",
+        options: ["1バイト", "2バイト", "3バイト", "4バイト"],
+        answer: "3バイト",
+        explanation: "UTF-8ではひらがな・カタカナ・常用漢字の多くが3バイトです。"
+    },
+    {
+        id: 13,
+        question: "Shift-JISで漢字は何バイトで表される？",
+        options: ["1バイト", "2バイト", "3バイト", "4バイト"],
+        answer: "2バイト",
+        explanation: "Shift-JISでは全角文字（漢字・ひらがななど）は2バイトで表されます。"
+    },
+    {
+        id: 14,
+        question: "UTF-8で半角英数字は何バイトで表される？",
+        options: ["1バイト", "2バイト", "3バイト", "4バイト"],
+        answer: "1バイト",
+        explanation: "UTF-8はASCIIと互換性があり、半角英数字はASCIIと同じ1バイトで表されます。"
+    },
+    {
+        id: 15,
+        question: "絵文字「😀」はUTF-8で何バイト？",
+        options: ["1バイト", "2バイト", "3バイト", "4バイト"],
+        answer: "4バイト",
+        explanation: "絵文字の多くはU+10000以降に割り当てられていて、UTF-8では4バイトになります。"
+    },
+    {
+        id: 16,
+        question: "絵文字「😀」をShift-JISで保存しようとするとどうなる？",
+        options: ["表現できない", "2バイトで保存される", "4バイトで保存される", "自動で画像になる"],
+        answer: "表現できない",
+        explanation: "Shift-JISの文字コード表には絵文字がないため、そのままでは保存できません（「?」などに置き換わります）。"
+    },
+    {
+        id: 17,
+        question: "文字化けが起こる主な原因は？",
+        options: [
+            "保存したときと開くときの文字コードが違う",
+            "フォントが太すぎる",
+            "ファイルの容量が大きすぎる",
+            "インターネットの速度が遅い"
+        ],
+        answer: "保存したときと開くときの文字コードが違う",
+        explanation: "同じバイト列でも、別の文字コードのルールで読むと区切り位置や対応する文字がずれて、別の文字になってしまいます。"
+    },
+    {
+        id: 18,
+        question: "「あ」のUnicodeのコードポイントはどれ？",
+        options: ["U+3042", "U+0041", "U+82A0", "U+E381"],
+        answer: "U+3042",
+        explanation: "Unicodeでは「あ」に U+3042 という番号が割り当てられています。これをUTF-8で表すと `E3 81 82` になります。"
+    },
+    {
+        id: 19,
+        question: "「文字」と「番号」の対応を決めた表を何という？",
+        options: ["文字コード", "フォント", "ビットマップ", "プロトコル"],
+        answer: "文字コード",
+        explanation: "コンピュータは数値しか扱えないので、文字に番号を割り当てた「文字コード」を使います。"
+    },
+    {
+        id: 20,
+        question: "文字の「形（デザイン）」のデータを何という？",
+        options: ["フォント", "文字コード", "エンコーディング", "バイナリ"],
+        answer: "フォント",
+        explanation: "文字コードは「どの文字か」を表す番号、フォントは「どんな形で表示するか」のデータです。"
+    },
+    {
+        id: 21,
+        question: "「こんにちは」（5文字）をUTF-8で保存すると何バイト？",
+        options: ["5バイト", "10バイト", "15バイト", "20バイト"],
+        answer: "15バイト",
+        explanation: "ひらがなはUTF-8で1文字3バイトなので、3×5 = 15バイトです。"
+    },
+    {
+        id: 22,
+        question: "「こんにちは」（5文字）をShift-JISで保存すると何バイト？",
+        options: ["5バイト", "10バイト", "15バイト", "20バイト"],
+        answer: "10バイト",
+        explanation: "ひらがなはShift-JISで1文字2バイトなので、2×5 = 10バイトです。"
+    },
+    {
+        id: 23,
+        question: "「ABC」をUTF-8で保存すると何バイト？",
+        options: ["3バイト", "6バイト", "9バイト", "24バイト"],
+        answer: "3バイト",
+        explanation: "半角英字は1文字1バイトなので3バイトです。24はビット数（3×8）です。"
+    },
+    {
+        id: 24,
+        question: "16進数の `FF` を10進数にすると？",
+        options: ["15", "16", "255", "256"],
+        answer: "255",
+        explanation: "`F` は15なので、15×16 + 15 = 255 です。1バイトで表せる最大の値です。"
+    },
+    {
+        id: 25,
+        question: "2進数の `1010` を10進数にすると？",
+        options: ["10", "5", "12", "1010"],
+        answer: "10",
+        explanation: "8×1 + 4×0 + 2×1 + 1×0 = 10 です。"
+    },
+    {
+        id: 26,
+        question: "2進数 `01100001` が表すASCII文字は？",
+        options: ["A", "a", "1", "b"],
+        answer: "a",
+        explanation: "`01100001` は16進数で `61` なので「a」です。「A」(`01000001`) とは1ビットだけ違います。"
+    },
+    {
+        id: 27,
+        question: "UTF-8の特徴として正しいものは？",
+        options: [
+            "ASCIIと互換性がある",
+            "すべての文字を2バイトで表す",
+            "日本でしか使われていない",
+            "絵文字を扱えない"
+        ],
+        answer: "ASCIIと互換性がある",
+        explanation: "UTF-8は英数字をASCIIと同じ1バイトで表すため、英語だけのデータはASCIIとまったく同じになります。"
+    },
+    {
+        id: 28,
+        question: "Shift-JISで保存した日本語のファイルをUTF-8として開くとどうなる？",
+        options: [
+            "日本語の部分が文字化けする",
+            "英数字だけが文字化けする",
+            "ファイルが削除される",
+            "常に正しく表示される"
+        ],
+        answer: "日本語の部分が文字化けする",
+        explanation: "英数字はどちらも同じASCIIのバイトなので正しく表示されますが、日本語の部分は別のルールで読まれて文字化けします。"
+    },
+    {
+        id: 29,
+        question: "UTF-8で、先頭ビットが `0` で始まるバイトは何を表す？",
+        options: ["1バイトで完結する文字（ASCII）", "2バイト文字の1バイト目", "続きのバイト", "エラー"],
+        answer: "1バイトで完結する文字（ASCII）",
+        explanation: "UTF-8では `0xxxxxxx` の形のバイトは、それだけで1文字を表すASCII文字です。"
+    },
+    {
+        id: 30,
+        question: "UTF-8で3バイトになる文字の、1バイト目の先頭ビットは？",
+        options: ["0", "110", "1110", "10"],
+        answer: "1110",
+        explanation: "UTF-8では1バイト目の先頭の1の数がバイト数を表します。3バイト文字は `1110xxxx` で始まります。"
+    },
+    {
+        id: 31,
+        question: "UTF-8の2バイト目以降（続きのバイト）の先頭ビットは？",
+        options: ["0", "10", "110", "1110"],
+        answer: "10",
+        explanation: "続きのバイトはすべて `10xxxxxx` の形です。これで文字の途中かどうかを見分けられます。"
+    },
+    {
+        id: 32,
+        question: "半角カタカナ「ｱ」はShift-JISで何バイト？",
+        options: ["1バイト", "2バイト", "3バイト", "4バイト"],
+        answer: "1バイト",
+        explanation: "Shift-JISでは半角カタカナは1バイト（「ｱ」は `B1`）で表されます。"
+    },
+    {
+        id: 33,
+        question: "3バイトは何ビット？",
+        options: ["3ビット", "8ビット", "24ビット", "38ビット"],
+        answer: "24ビット",
+        explanation: "1バイト = 8ビットなので、3バイト = 3×8 = 24ビットです。"
+    },
+    {
+        id: 34,
+        question: "16ビットで表現できるパターンは何通り？",
+        options: ["256通り", "1,024通り", "32,768通り", "65,536通り"],
+        answer: "65,536通り",
+        explanation: "2の16乗 = 65,536通りです。数千字ある日本語も表現できる量です。"
+    },
+    {
+        id: 35,
+        question: "アルファベット大文字26種類を区別するには、最低何ビット必要？",
+        options: ["4ビット", "5ビット", "6ビット", "26ビット"],
+        answer: "5ビット",
+        explanation: "4ビットでは16通りしかなく足りません。5ビットなら32通りなので26種類を表せます。"
+    },
+    {
+        id: 36,
+        question: "日本語の文字コードで1バイトでは足りない理由は？",
+        options: [
+            "文字の種類が256を超えるから",
+            "日本語の文字は形が複雑だから",
+            "漢字は縦書きに使うから",
+            "ひらがなは丸い形だから"
+        ],
+        answer: "文字の種類が256を超えるから",
+        explanation: "1バイトは256通りしかありませんが、日本語は漢字を含めて数千字あるため、2バイト以上が必要です。"
+    },
+    {
+        id: 37,
+        question: "「い」のUTF-8表現はどれ？",
+        options: ["E3 81 84", "E3 81 82", "82 A2", "30 44"],
+        answer: "E3 81 84",
+        explanation: "「い」(U+3044) はUTF-8で `E3 81 84` です。`82 A2` はShift-JISでの表現です。"
+    },
+    {
+        id: 38,
+        question: "半角の「A」をShift-JISで表すと？",
+        options: ["41", "82 60", "E3 81 81", "00 41"],
+        answer: "41",
+        explanation: "Shift-JISも半角英数字はASCIIと同じ1バイトです。`82 60` は全角の「Ａ」です。"
+    },
+    {
+        id: 39,
+        question: "UTF-8のファイルの先頭に付くことがあるBOM（バイト順マーク）はどれ？",
+        options: ["EF BB BF", "FF FE", "FE FF", "00 00"],
+        answer: "EF BB BF",
+        explanation: "UTF-8のBOMは `EF BB BF` です。`FF FE` / `FE FF` はUTF-16のBOMです。"
+    },
+    {
+        id: 40,
+        question: "文字コードとフォントの関係として正しいものは？",
+        options: [
+            "同じ文字コードでもフォントを変えると見た目が変わる",
+            "フォントを変えると文字コードも変わる",
+            "フォントを変えるとバイト数が変わる",
+            "文字コードはフォントの一種である"
+        ],
+        answer: "同じ文字コードでもフォントを変えると見た目が変わる",
+        explanation: "文字コード（番号）は同じまま、フォント（形のデータ）だけを切り替えて表示しています。"
+    }
+];
+
+// ラボで1度に分析できる文字数（見た目の文字数）
+const MAX_INPUT_CHARS = 10;
+
+// 長文モードの初期文章
+const LONG_TEXT_SAMPLE = `吾輩は猫である。名前はまだ無い。
+どこで生れたかとんと見当がつかぬ。
+Hello, World! 文字コードは UTF-8 や Shift-JIS などがあります。😀`;
+
+// 共有リンクに入れる長文の文字数（見た目の文字数）。URLが長くなりすぎないよう、これより後ろは切り捨てる
+const MAX_LONG_TEXT_URL_CHARS = 2000;
+
+// ヘッダーに並べる画面の一覧（id は URLの view= に入る値）
+const NAV_ITEMS = [
+    { id: 'converter', label: 'ラボ', icon: 'fa-keyboard' },
+    { id: 'table', label: '文字コード表', icon: 'fa-table-cells' },
+    { id: 'font', label: 'フォント', icon: 'fa-font' },
+    { id: 'design', label: '自作コード', icon: 'fa-pen-ruler' },
+    { id: 'decoder', label: '解読', icon: 'fa-magnifying-glass' },
+    { id: 'file', label: 'ファイル', icon: 'fa-file-lines' },
+    { id: 'practice', label: '練習', icon: 'fa-pencil' },
+    { id: 'quiz', label: 'クイズ', icon: 'fa-circle-question' },
+    { id: 'records', label: 'マイ記録', icon: 'fa-chart-line' },
+    { id: 'about', label: '解説', icon: 'fa-book' },
+];
+
+const VIEW_IDS = NAV_ITEMS.map(item => item.id);
+
+// URLに何も指定がないときの状態
+const DEFAULT_LESSON_STATE = {
+    view: 'converter',
+    input: 'こんにちは',
+    mode: 'short',     // 'short' | 'long'
+    selectedIndex: 0,
+    font: 'sans',      // FONTS の family から 'font-' を除いたもの
+    saveMode: 'UTF8',  // 'UTF8' | 'SJIS'
+    openMode: 'SJIS',  // 'UTF8' | 'SJIS'
+    longText: LONG_TEXT_SAMPLE,
+    longEncoding: 'utf8', // ENCODINGS の id
+};
+
+// 1回のクイズで出題する問題数
+const QUIZ_SESSION_LENGTH = 5;
+
+// 練習問題のレベル。chars から出題し、encoding の文字コードで答える
+// types: 'toHex' (文字→16進) / 'fromBinary' (2進→文字) / 'byteCount' (文字列→バイト数)
+const PRACTICE_LEVELS = [
+    { id: 'ascii', label: 'ASCII', encoding: 'utf8', chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789', types: ['toHex', 'fromBinary', 'byteCount'] },
+    { id: 'kana', label: 'かな', encoding: 'utf8', chars: 'あいうえおかきくけこさしすせそたちつてとなにぬねのアイウエオカキクケコ', types: ['toHex', 'fromBinary', 'byteCount'] },
+    { id: 'kanji', label: '漢字', encoding: 'utf8', chars: '日本語文字情報学校先生電気山川海空花', types: ['toHex', 'byteCount'] },
+    { id: 'emoji', label: '絵文字', encoding: 'utf8', chars: '😀🍣🎉🐱👍🚀', types: ['toHex', 'byteCount'] },
+    { id: 'sjis', label: 'Shift-JIS', encoding: 'sjis', chars: 'あいうかきさアイウカ日本語文字', types: ['toHex', 'fromBinary', 'byteCount'] },
+];
+
+// 表示言語。bilingual は日本語の画面のまま、用語に英語を併記する
+const LANGUAGES = [
+    { id: 'ja', label: '日本語' },
+    { id: 'en', label: 'English' },
+    { id: 'bilingual', label: '日本語 + English' },
 ];
 
+// 文章中の [[id]] をこの用語に置き換える（bilingual では「文字コード / character encoding」のように並べる）
+const TERMS = {
+    encoding: { ja: '文字コード', en: 'character encoding' },
+    mojibake: { ja: '文字化け', en: 'mojibake' },
+    byte: { ja: 'バイト', en: 'byte' },
+    bit: { ja: 'ビット', en: 'bit' },
+    byteSequence: { ja: 'バイト列', en: 'byte sequence' },
+    codePoint: { ja: 'コードポイント', en: 'code point' },
+    font: { ja: 'フォント', en: 'font' },
+    replacementChar: { ja: '置換文字', en: 'replacement character' },
+    escapeSequence: { ja: 'エスケープシーケンス', en: 'escape sequence' },
+    surrogatePair: { ja: 'サロゲートペア', en: 'surrogate pair' },
+    normalization: { ja: '正規化', en: 'normalization' },
+    hexDump: { ja: '16進ダンプ', en: 'hex dump' },
+    kuten: { ja: '区点番号', en: 'kuten (row-cell) number' },
+};
+
+// 画面の文言。{name} は差し込む値、**…** は太字、改行はそのまま改行になる
+// 英語の訳がないキーは日本語で表示する
+const MESSAGES = {
+    ja: {
+        'app.title': 'デジ文字ラボ',
+        'app.language': '表示言語',
+        'app.aiSettings': 'AIの設定',
+        'app.offline': 'オフライン',
+        'app.offlineHint': 'ネットにつながっていません。アプリはこのまま使えます',
+        'app.highContrast': 'ハイコントラスト表示',
+        'list.separator': '・',
+        ...Object.fromEntries(NAV_ITEMS.map(item => [`nav.${item.id}`, item.label])),
+        ...Object.fromEntries(FONTS.map(font => [`font.${font.family.replace(/^font-/, '')}`, font.name])),
+
+        'converter.modeShort': '1文字ずつ分析',
+        'converter.modeLong': '長文（ダンプ表示）',
+        'converter.inputLabel': '変換したい文字（最大{max}文字）',
+        'converter.placeholder': 'ここに入力...',
+        'converter.unsupported': '一部の文字は{encodings}で表現できないため、正しいバイト数になりません。',
+        'converter.selectChar': '文字を選択して詳細を確認',
+        'converter.charTab': '{index}文字目: {char}',
+        'converter.fontCompare': '[[font]]比較',
+        'converter.empty': '文字を入力して分析を開始しましょう',
+
+        'mojibake.title': '実験室：[[mojibake]]を発生させよう',
+        'mojibake.intro': '「[[encoding]]」が違うと、同じ「0と1のデータ」でも全く違う文字として表示されてしまいます。\n保存する形式と開く形式をあえて変えて、どのような[[mojibake]]が起こるか実験してみましょう。',
+        'mojibake.step1': 'STEP 1. 保存',
+        'mojibake.saveQuestion': '"{input}" をどう保存する？',
+        'mojibake.file': 'ファイル([[byteSequence]])',
+        'mojibake.step2': 'STEP 2. 表示',
+        'mojibake.openQuestion': 'どのルールで開く？',
+        'mojibake.result': '画面の表示結果',
+        'mojibake.successTitle': '成功！正しい[[encoding]]を選びました。',
+        'mojibake.luckyTitle': 'おや？[[mojibake]]しませんでした！',
+        'mojibake.luckyDesc': '設定は合っていませんが、英数字（ASCII文字）はUTF-8でもShift-JISでも同じデータになるため、偶然正しく表示されました。',
+        'mojibake.failureTitle': '[[mojibake]]発生！',
+        'mojibake.failureDesc': '{save}で保存されたデータ({count}バイト)を、無理やり{open}のルールで読もうとしたため、区切り位置がずれて別の文字になってしまいました。',
+        'mojibake.announce': '表示結果: {result}。{title}',
+
+        'bits.byte': '{index}バイト目: {bits}、16進数 {hex}',
+        'bits.row': '{index}行目: {bits}、16進数 {hex}',
+        'bits.bit': '{index}ビット目: {value}',
+        'bits.invalidUTF8': 'UTF-8として不正',
+
+        'regroup.title': '[[byteSequence]]の区切り方を見てみよう',
+        'regroup.source': '① 元の文字\n（{mode}で保存）',
+        'regroup.file': '② ファイルの中身',
+        'regroup.read': '③ {mode}の\nルールで読む',
+        'regroup.invalid': '（{position}バイト目〜）: {reason} → [[replacementChar]]「{char}」',
+        'role.UTF8.single': '1バイト',
+        'role.UTF8.lead': '先頭',
+        'role.UTF8.trail': '続き',
+        'role.UTF8.invalid': '不正',
+        'role.SJIS.single': '1バイト',
+        'role.SJIS.lead': '1バイト目',
+        'role.SJIS.trail': '2バイト目',
+        'role.SJIS.invalid': '不正',
+
+        'tutor.title': 'AI先生に質問',
+        'tutor.clear': '会話をクリア',
+        'tutor.intro': '「なぜShift-JISだとバイト数が少ないの？」「文字化けって何？」など聞いてみてね。 「もっと詳しく」のように続けて質問もできます。',
+        'tutor.answeredBy': '回答: {provider}',
+        'tutor.offlineReason': '（ネットにつながっていないため）',
+        'tutor.focus': 'いま見ている文字「{char}」について答えます',
+        'tutor.placeholder': '質問を入力...',
+        'tutor.placeholderMore': '続けて質問...',
+        'tutor.ask': '質問する',
+        'tutor.error': '通信エラーが発生しました。',
+        'tutor.context': '現在、生徒は「{input}」という文字列を分析中。\n特に「{char}」という文字の詳細画面を見ている。',
+        'provider.gemini': 'Google Gemini',
+        'provider.openai': 'OpenAI互換サーバー',
+        'provider.mock': 'オフライン（練習用）',
+
+        'about.title': '文字のデジタル化の仕組み',
+        'about.subtitle': 'コンピュータが文字を扱う「裏側」を見てみよう',
+        'about.whatTitle': '1. [[encoding]]とは？',
+        'about.whatBody': 'コンピュータは「0」と「1」しか理解できません。そこで、「あ」は「12354」、「A」は「65」のように、**文字と番号の対応表**を決めておく必要があります。これを「[[encoding]]」と呼びます。',
+        'about.whyTitle': '2. なぜUTF-8とShift-JISがあるの？',
+        'about.utf8Point1': '**世界標準**。どの国の言葉も混在できる。',
+        'about.utf8Point2': 'Webサイトの98%以上で使用されている。',
+        'about.utf8Point3': '日本語は基本的に**3[[byte]]**必要。',
+        'about.sjisPoint1': '**日本独自**。昔のWindowsで標準だった。',
+        'about.sjisPoint2': '日本語を**2[[byte]]**で表現できるため、昔はデータ節約に役立った。',
+        'about.sjisPoint3': '絵文字や外国語は扱えないことが多い。',
+        'about.causeTitle': '3. [[mojibake]]の原因',
+        'about.causeBody': '「UTF-8」で書かれたデータを、「Shift-JIS」のルールで読もうとすると、[[bit]]の区切り位置がずれてしまい、全く違う文字（意味不明な記号）になります。',
+        'about.causeForce': 'Shift-JISとして無理やり読む',
+        'about.causeResult': '(文字化け！)',
+        'about.causeLab': '「ラボ」の文字化け実験室では、自分で入力した文字でこの区切り直しを確認できます。',
+        'about.othersTitle': '4. そのほかの[[encoding]]',
+        'about.iso2022jp': '**ISO-2022-JP（JISコード）**：昔の電子メールは7[[bit]]のデータしか安全に送れなかったため、「ESC $ B」などの**[[escapeSequence]]**で英字モードと日本語モードを切り替えながら送っていました。',
+        'about.eucjp': '**EUC-JP**：UNIX系のコンピュータや昔のWebページで使われた日本語の[[encoding]]です。',
+        'about.utf16': '**UTF-16**：Windowsで「Unicode」と表示される形式の正体です。多くの文字を2[[byte]]で表し、絵文字などは**[[surrogatePair]]**（2バイト×2）で表します。バイトの並び順によってLE/BEの2種類があります。',
+        'about.utf32': '**UTF-32**：すべての文字を4[[byte]]で表します。計算は簡単ですが、データは大きくなります。',
+
+        'converter.export': 'エクスポート',
+        'converter.exportWorksheet': 'ワークシート（解答つき）',
+        'converter.exportWorksheetBlank': 'ワークシート（解答欄を空欄に）',
+        'converter.exportCSV': 'CSV（表計算ソフト用）',
+        'converter.exportJSON': 'JSON',
+
+        'worksheet.title': '文字のデジタル化 ワークシート',
+        'worksheet.answers': '（解答）',
+        'worksheet.class': '組 ＿＿ 番 ＿＿',
+        'worksheet.name': '名前 ＿＿＿＿＿＿＿＿＿＿',
+        'worksheet.task': '文字列「{input}」を、それぞれの文字コードで表そう。',
+        'worksheet.fillIn': '16進数と2進数のマスを埋めてください。',
+        'worksheet.char': '文字',
+        'worksheet.codePoint': 'コードポイント',
+        'worksheet.encodingColumn': '{encoding}（16進 / 2進）',
+        'worksheet.unsupported': '（この文字コードでは表せない）',
+        'worksheet.footer': 'デジ文字ラボで作成',
+
+        'csv.index': '番号',
+        'csv.char': '文字',
+        'csv.codePoint': 'コードポイント',
+        'csv.hex': '{encoding} 16進',
+        'csv.binary': '{encoding} 2進',
+        'csv.length': '{encoding} バイト数',
+        'csv.unsupported': '表現できない',
+
+        'encodingInfo.utf8': '世界標準 (Web, スマホ)',
+        'encodingInfo.sjis': '日本独自 (古いWindows等)',
+        'encodingInfo.eucjp': 'UNIX系・昔のWebページ',
+        'encodingInfo.jis': '電子メール (JISコード)',
+        'encodingInfo.utf16le': 'Windowsの「Unicode」',
+        'encodingInfo.utf16be': 'Java・ネットワーク順',
+        'encodingInfo.utf32': '1文字 = 4バイト固定',
+        'encodingInfo.jisNote': '先頭の ESC $ B (1B 24 42) などで2バイト文字モードに切り替え、最後の ESC ( B (1B 28 42) でASCIIに戻します。8ビット目を使わない（7ビットだけの）データなので、昔のメールでも安全に送れました。',
+        'encodingInfo.utf16Note': '16ビットの値 ({units}) を{order}で並べています。',
+        'encodingInfo.utf16SurrogateNote': 'U+10000以降の文字は16ビットに収まらないため、上位サロゲートと下位サロゲートの2つ1組（[[surrogatePair]]: {pairs}）で1つのコードポイントを表し、それぞれを{order}で並べています。',
+        'encodingInfo.littleEndian': 'リトルエンディアン（下位バイトが先）',
+        'encodingInfo.bigEndian': 'ビッグエンディアン（上位バイトが先）',
+
+        'encodingSection.unsupported': '変換不可',
+        'encodingSection.showBits': 'ビットの仕組みを表示',
+        'encodingSection.notInTable': 'この文字（{char}）は{encoding}の文字コード表に存在しません。',
+        'codePoints.combination': '{count}個の[[codePoint]]の組み合わせ',
+
+        'utf8Prefix.single': '1バイト文字',
+        'utf8Prefix.lead2': '2バイト文字の先頭',
+        'utf8Prefix.lead3': '3バイト文字の先頭',
+        'utf8Prefix.lead4': '4バイト文字の先頭',
+        'utf8Prefix.trail': '続きのバイト',
+        'utf8Bits.structure': '構造ビット（何バイト目かの目印）',
+        'utf8Bits.data': 'データビット（[[codePoint]]の中身）',
+        'utf8Bits.inBinary': '{codePoint} を2進数にすると（{count}ビット）',
+        'utf8Bits.joined': '（各バイトのデータビットをつなげたもの）',
+        'utf8Bits.play': 'バイトに詰め込む様子を再生',
+        'utf8Bits.stop': '止める',
+
+        'sjis.why': 'なぜこのバイトになるの？（[[kuten]]からの計算）',
+        'sjis.ascii': '00〜7F の**1バイト文字**。英数字や記号はASCIIとほぼ同じ番号をそのまま使います（ただし 5C は日本では「¥」として表示されることがあります）。',
+        'sjis.kana': 'A1〜DF の**半角カタカナ（1バイト）**。JIS X 0201 のカタカナをそのまま1バイトで表します。この範囲は2バイト文字の1バイト目と重ならないように空けてあります。',
+        'sjis.lead': '= 1バイト目（{ranges}）',
+        'sjis.trail': '= 2バイト目（{ranges}）',
+        'sjis.kuten': '「{char}」は JIS X 0208 の **{ku}区{ten}点**（JISコード {jis}）。94×94 のマス目の番号を、1バイト文字（00〜7F, A1〜DF）とぶつからない範囲にずらしたものがShift-JISです。',
+        'sjis.stepJis': 'JISコード: 区と点にそれぞれ 0x20 を足す → {jis}',
+        'sjis.stepLeadLow': '1バイト目: (区 + 1) ÷ 2 = {half}（切り捨て）に、区が62以下なので 0x80 を足す → {lead}',
+        'sjis.stepLeadHigh': '1バイト目: (区 + 1) ÷ 2 = {half}（切り捨て）に、区が63以上なので 0xC0 を足す → {lead}',
+        'sjis.stepTrailEven': '2バイト目: 区が偶数なので 点 + 0x9E → {trail}',
+        'sjis.stepTrailOddLow': '2バイト目: 区が奇数で点が63以下なので 点 + 0x3F → {trail}',
+        'sjis.stepTrailOddHigh': '2バイト目: 区が奇数で点が64以上なので 点 + 0x40（7Fを飛ばす） → {trail}',
+        'sjis.extension.nec': 'NEC特殊文字（①や㈱など）。JIS X 0208 では空いている13区にWindowsが追加した機種依存文字です。',
+        'sjis.extension.necIbm': 'NEC選定IBM拡張文字。Windows独自の機種依存文字です。',
+        'sjis.extension.ibm': 'IBM拡張文字。JIS X 0208 の94区を超える、Windows独自の機種依存文字です。',
+
+        'normalization.title': '[[normalization]]ラボ：見た目は同じでも中身は違う？',
+        'normalization.intro': 'Unicodeでは「が」を1文字 (U+304C) でも「か」＋結合用の「゛」(U+304B U+3099) でも表せます。**[[normalization]]**はこうした表し方の違いを1つにそろえる処理です。MacではファイルがNFD（分解した形）で保存されるため、Windowsに移すと「か゛」のように濁点が分かれて見えることがあります。',
+        'normalization.tryExample': '例を試す:',
+        'normalization.example.composed': 'が（1文字）',
+        'normalization.example.combining': 'か＋゛（結合）',
+        'normalization.example.halfwidth': 'ｶﾞ（半角）',
+        'normalization.example.fullwidth': 'Ａ（全角）',
+        'normalization.example.circled': '①',
+        'normalization.example.katakana': 'ﾊﾟｿｺﾝ',
+        'normalization.NFC': '合成する（標準的な形）',
+        'normalization.NFD': '分解する（Macのファイル名など）',
+        'normalization.NFKC': '互換文字もそろえて合成（検索・入力チェック向け）',
+        'normalization.NFKD': '互換文字もそろえて分解',
+        'normalization.form': '形式',
+        'normalization.result': '結果（文字ごと）',
+        'normalization.codePoints': 'コードポイント',
+        'normalization.compare': '元と比較',
+        'normalization.original': '元の文字列',
+        'normalization.unchanged': '変化なし',
+        'normalization.same': '同じ',
+        'normalization.different': '違う',
+        'normalization.differentHint': '=== で比べると false になります',
+        'normalization.footnote': '「違う」になった形式は、画面では同じように見えても、コンピュータが比べると別の文字列です（検索やファイル名の一致に失敗する原因になります）。',
+
+        'long.inputLabel': '変換したい文章（貼り付けOK）',
+        'long.placeholder': 'ここに文章を貼り付け...',
+        'long.encoding': '[[encoding]]:',
+        'long.chars': '{count}文字',
+        'long.unsupported': '{encoding}で表現できない文字（{chars}）は「?」(3F) として表示しています。',
+        'long.empty': '文章を入力するとダンプが表示されます',
+        'dump.title': '[[hexDump]]',
+        'dump.rows': '{count} 行',
+        'dump.hint': 'バイトや文字にマウスを乗せると、対応する部分が光ります',
+
+        'aiSettings.close': '閉じる',
+        'aiSettings.endpoint': 'エンドポイントURL',
+        'aiSettings.apiKey': 'APIキー',
+        'aiSettings.model': 'モデル名',
+        'aiSettings.optional': '（省略可）',
+        'aiSettings.keyNotice': 'キーはこのブラウザにだけ保存され、共有リンクには含まれません。共有PCでは使い終わったら「使わない」に戻してください。',
+        'aiSettings.testing': '接続を確認しています…',
+        'aiSettings.testOk': '接続できました：「{message}」',
+        'aiSettings.testFailed': '接続できませんでした（{message}）',
+        'aiSettings.test': '接続テスト',
+        'aiSettings.cancel': 'キャンセル',
+        'aiSettings.save': '保存',
+        'aiSettings.testSystem': '一言で返事をしてください。',
+        'aiSettings.testGreeting': 'こんにちは',
+        'provider.off': '使わない',
+        'provider.off.description': 'AI先生を表示せず、クイズは収録問題から出題します。',
+        'provider.gemini.description': 'Google AI Studio で発行したAPIキーを使います。',
+        'provider.openai.description': '校内のローカルモデルサーバー（Ollama、LM Studio など）や OpenAI互換のAPIに接続します。',
+        'provider.mock.description': 'ネットにつながずに、用意された解説で答えます。AIではないので、決まった質問にしか答えられません。',
+
+        'unit.bits': '{count}ビット',
+        'unit.bytes': '{count}バイト',
+        'unit.times': '{count}回',
+        'unit.minutes': '{count}分',
+
+        'table.tab.ascii': 'ASCII',
+        'table.tab.jis': 'JIS X 0208（区点）',
+        'table.tab.unicode': 'Unicode',
+        'table.labInput': 'ラボの入力:',
+        'table.openLab': 'ラボで分析',
+        'table.selected': '選んだ文字',
+        'table.hint': '表のマスにマウスを乗せると、UTF-8とShift-JISの[[byteSequence]]が表示されます。\nクリックするとラボの入力に追加されます。',
+        'table.asciiTitle': 'ASCIIコード表（7ビット = 128文字）',
+        'table.asciiIntro': '列が上位4ビット（16進数の1桁目）、行が下位4ビット（2桁目）です。灰色のマスは画面に表示されない**制御文字**です。',
+        'table.jisTitle': 'JIS X 0208（94区 × 94点）',
+        'table.jisRow': '{ku}区: {label}',
+        'table.jisIntro': 'JIS X 0208 では、文字を94×94のマス目に並べ、「何区の何点か」（[[kuten]]）で表します。{ku}区は「{label}」です。マスの下の数字は[[kuten]]です。',
+        'table.unicodeTitle': 'Unicodeのブロック',
+        'table.unicodeIntro': 'Unicodeは世界中の文字に通し番号（[[codePoint]]）を付けています。「{block}」は {start}〜{end} です。',
+        'jisRow.symbols': '記号',
+        'jisRow.alphanumeric': '英数字',
+        'jisRow.hiragana': 'ひらがな',
+        'jisRow.katakana': 'カタカナ',
+        'jisRow.greek': 'ギリシャ文字',
+        'jisRow.cyrillic': 'キリル文字',
+        'jisRow.boxDrawing': '罫線素片',
+        'jisRow.nec': '空き（WindowsではNEC特殊文字）',
+        'jisRow.ibm': '空き（WindowsではNEC選定IBM拡張文字）',
+        'jisRow.empty': '空き',
+        'jisRow.level1': '第1水準漢字',
+        'jisRow.level2': '第2水準漢字',
+        'unicodeBlock.basicLatin': '基本ラテン文字 (ASCII)',
+        'unicodeBlock.latin1': 'ラテン1補助',
+        'unicodeBlock.greek': 'ギリシャ文字',
+        'unicodeBlock.cyrillic': 'キリル文字',
+        'unicodeBlock.arrows': '矢印',
+        'unicodeBlock.enclosedAlphanumerics': '囲み英数字',
+        'unicodeBlock.boxDrawing': '罫線素片',
+        'unicodeBlock.cjkSymbols': 'CJKの記号と句読点',
+        'unicodeBlock.hiragana': 'ひらがな',
+        'unicodeBlock.katakana': 'カタカナ',
+        'unicodeBlock.cjkIdeographs': 'CJK統合漢字',
+        'unicodeBlock.halfwidthFullwidth': '半角・全角形',
+        'unicodeBlock.pictographs': 'その他の記号と絵文字',
+        'unicodeBlock.emoticons': '絵文字（顔）',
+
+        'fontLab.char': '文字',
+        'fontLab.font': '[[font]]',
+        'fontLab.size': 'ドット数',
+        'fontLab.compareTitle': 'ビットマップフォントとアウトラインフォント',
+        'fontLab.bitmap': 'ビットマップフォント（{size}×{size}ドット）',
+        'fontLab.bitmapDesc': 'ドット（点）の集まりで形を記録します。拡大するとドットが大きくなるだけなので、ギザギザ（ジャギー）が目立ちます。',
+        'fontLab.outline': 'アウトラインフォント',
+        'fontLab.outlineDesc': '輪郭の線を座標と曲線の式で記録します。拡大してもその大きさで計算し直して描くので、なめらかなままです。',
+        'fontLab.editor': 'ドット絵エディタ',
+        'fontLab.import': '取り込む',
+        'fontLab.invert': '反転',
+        'fontLab.clear': 'クリア',
+        'fontLab.editorHint': 'マスをクリック（ドラッグ）して、自分だけの文字を描いてみよう。',
+        'fontLab.dataTitle': 'ビットパターンとデータ量',
+        'fontLab.perChar': '1文字 = {size}×{size}',
+        'fontLab.dataNote': 'JIS第1・第2水準の{count}文字をすべてこの大きさで用意すると、約{kb}KBになります。大きさ（ドット数）を2倍にすると、データ量は4倍になります。',
+
+        'design.title': '自分だけの[[encoding]]を作ろう',
+        'design.intro': '何ビットで1文字を表すかを決めて、文字に番号を割り当てます。nビットで表せるのは {power} 種類まで。使いたい文字が多いほど、たくさんのビットが必要になります。',
+        'design.width': '1文字のビット数',
+        'design.capacity': '表せる文字数',
+        'design.alphabet': '使いたい文字',
+        'design.preset.alphabet': 'アルファベット',
+        'design.preset.digits': '数字',
+        'design.preset.hiragana': 'ひらがな',
+        'design.kinds': '{count}種類の文字 → 最低 **{bits}ビット** 必要',
+        'design.tooSmall': '{width}ビット（{capacity}種類）では足りません！',
+        'design.enough': '{width}ビットで足ります',
+        'design.assign': '0番から順に割り当てる',
+        'design.tableTitle': '文字コード表（{assigned} / {capacity} 割り当て済み）',
+        'design.clearAll': '全部消す',
+        'design.duplicates': '同じ文字が複数の番号に割り当てられています: {chars}（符号化では小さい番号が使われます）',
+        'design.encodeTitle': '符号化：文字 → ビット',
+        'design.messagePlaceholder': 'メッセージを入力...',
+        'design.missing': '表にない文字があります: {chars}',
+        'design.customBits': '自作コード: **{bits}ビット**（参考: UTF-8では {utf8}ビット）',
+        'design.decodeTitle': '復号：ビット → 文字',
+        'design.bitsPlaceholder': '0と1を入力...',
+        'design.invalidInput': '0と1だけで入力してください。',
+        'design.unassignedCode': '未割り当てのコード',
+        'design.unassigned': 'まだ文字が割り当てられていないコードがあります（? の部分）。',
+        'design.leftover': '最後の {count} ビット（{bits}）は{width}ビットに足りないので読めません。',
+        'design.needTitle': 'どれだけのビットが必要？',
+        'design.charset': '文字の集まり',
+        'design.charCount': '文字数',
+        'design.bitsNeeded': '必要なビット数',
+        'design.bitsNeededValue': '{bits}ビット（{power} = {count}）',
+        'design.example.uppercase': 'アルファベット大文字',
+        'design.example.hiragana': 'ひらがな（清音）',
+        'design.example.ascii': 'ASCII',
+        'design.example.joyo': '常用漢字',
+        'design.example.jis': 'JIS第1・第2水準',
+        'design.footnote': '日本語を扱うには8ビット（1バイト）では足りず、少なくとも13ビット必要です。コンピュータは8ビット単位で扱うので、日本語の[[encoding]]は2バイト（16ビット）になりました。',
+
+        'decoder.title': '[[byteSequence]]から文字を読み解く',
+        'decoder.intro': '16進数（E3 81 82）・2進数（01000001）・10進数（227 129 130）で[[byteSequence]]を入力すると、それぞれの[[encoding]]で読んだ結果を比べられます。',
+        'decoder.placeholder': '例: E3 81 82',
+        'decoder.format': '入力の形式:',
+        'decoder.readAs': '→ {format}として読み取りました',
+        'decoder.empty': '[[byteSequence]]を入力して解読を開始しましょう',
+        'byteFormat.auto': '自動',
+        'byteFormat.hex': '16進数',
+        'byteFormat.binary': '2進数',
+        'byteFormat.decimal': '10進数',
+        'byteInput.hexDigits': '16進数で使えない文字が含まれています（0-9, A-F）',
+        'byteInput.hexOdd': '16進数は2桁で1バイトです（桁数が奇数）',
+        'byteInput.binaryDigits': '2進数で使えない文字が含まれています（0と1のみ）',
+        'byteInput.binaryLength': '2進数は8桁で1バイトです',
+        'byteInput.decimalRange': '10進数の1バイトは0〜255です',
+        'bitEditor.title': 'ビットエディタ：1ビット変えると？',
+        'bitEditor.intro': 'ビットをクリックすると 0 と 1 が入れ替わります。「A」(01000001) の3番目のビットを変えると何になるかな？ 「あ」の1ビットを変えるとどうなるかな？',
+        'bitEditor.empty': 'バイトがありません。「バイトを追加」を押してください。',
+        'bitEditor.add': 'バイトを追加',
+        'bitEditor.remove': '最後のバイトを削除',
+        'candidate.detected': '自動判定',
+        'candidate.clean': '正しく読める',
+        'candidate.invalid': '不正 {count}か所',
+        'candidate.byteIndex': '{index}バイト目',
+
+        'file.title': 'ファイルの中身を調べよう',
+        'file.drop': '.txt / .csv ファイルをここにドロップ',
+        'file.dropHint': 'またはクリックしてファイルを選択（ファイルはどこにも送信されません）',
+        'file.tooLarge': 'ファイルが大きすぎます（{size}KBまで）。',
+        'file.readFailed': 'ファイルを読み込めませんでした。',
+        'file.bytesTitle': 'ファイルの中身（[[byteSequence]]）',
+        'file.bom': 'BOMあり: {label} ({bytes})',
+        'file.noBom': 'BOMなし',
+        'file.guess': '推定: {encoding}',
+        'file.remaining': ' …（残り{count}バイト）',
+        'file.textTitle': '文字として読んだ結果',
+        'file.openAs': '開く[[encoding]]:',
+        'file.guessed': '（推定）',
+        'file.invalid': '読めない[[byteSequence]] {count}か所（[[mojibake]]）',
+        'file.convertTitle': '[[encoding]]を変換して保存',
+        'file.unsupported': '{target}で表現できない文字が{count}種類あります。保存すると「?」に置き換わります。',
+        'file.save': '{target}で保存',
+        'download.utf8': 'UTF-8',
+        'download.utf8bom': 'UTF-8 (BOM付き)',
+        'download.sjis': 'Shift-JIS',
+        'download.utf16': 'UTF-16 (LE, BOM付き)',
+
+        ...Object.fromEntries(PRACTICE_LEVELS.map(level => [`practice.level.${level.id}`, level.label])),
+        'practice.title': '変換の練習',
+        'practice.score': '正解 {correct} / {total}',
+        'practice.prompt.byteCount': '「{text}」は{encoding}で何バイト？',
+        'practice.prompt.fromBinary': 'このビット列（{encoding}）は何の文字？',
+        'practice.prompt.toHex': '「{text}」の{encoding}を16進数で書こう',
+        'practice.placeholder.toHex': '例: E3 81 82',
+        'practice.placeholder.byteCount': '例: 6',
+        'practice.placeholder.fromBinary': '文字を入力',
+        'practice.check': '答え合わせ',
+        'practice.hintLabel': 'ヒント{index}',
+        'practice.answer': '答え:',
+        'practice.answerBytes': ' バイト',
+        'practice.hint': 'ヒント（{count}/{total}）',
+        'practice.reveal': '答えを見る',
+        'practice.next': '次の問題',
+        'practice.hint.sjisAscii': '英数字は、Shift-JISでもASCIIと同じ1バイトです。',
+        'practice.hint.binary': '2進数にすると {binary} です。',
+        'practice.hint.kuten': '「{char}」は JIS X 0208 の {ku}区{ten}点 の文字です。',
+        'practice.hint.sjisRanges': 'Shift-JISの2バイト文字は、1バイト目が {lead}、2バイト目が {trail} の範囲になります。',
+        'practice.hint.binaryToHex': '2進数にすると {binary} です。4ビットずつ16進数に直しましょう。',
+        'practice.hint.codePoint': '「{char}」の[[codePoint]]は {codePoint} です。',
+        'practice.hint.utf8Template': '{codePoint} はUTF-8で{length}バイトになる範囲なので、{pattern} の x に[[codePoint]]の2進数を入れます。',
+        'practice.hint.payload': '[[codePoint]]を{bits}ビットの2進数にすると {payload} です。',
+        'practice.hint.byteCount.sjis': 'Shift-JISでは、英数字は1バイト、ひらがな・カタカナ・漢字は2バイトです。',
+        'practice.hint.byteCount.utf8': 'UTF-8では、英数字は1バイト、ひらがな・カタカナ・漢字は3バイト、絵文字は4バイトです。',
+        'practice.hint.perChar': '1文字ずつ数えると {counts} です。',
+        'practice.hint.hex': '16進数にすると {hex} です。',
+        'practice.hint.asciiOrder': 'ASCIIでは 0x41 が「A」、0x61 が「a」、0x30 が「0」で、そこから順に並んでいます。',
+        'practice.hint.findKu': '「文字コード表」の JIS X 0208 で {ku}区 を探してみましょう。',
+        'practice.hint.findCodePoint': '構造ビットを取り除くと[[codePoint]]は {codePoint} です。「文字コード表」で探してみましょう。',
+        'practice.hint.codePointIs': '[[codePoint]]は {codePoint} です。',
+        'practice.grade.correct': '正解！',
+        'practice.grade.hexFormat': '16進数（0〜9、A〜F）を2けたずつ書いてください。',
+        'practice.grade.sameLength': 'バイト数は合っています。値を見直そう。',
+        'practice.grade.wrongLength': 'バイト数が違います。何バイトになる文字か考えよう。',
+        'practice.grade.number': '数字で答えてください。',
+        'practice.grade.wrongCount': '{count}バイトではありません。',
+        'practice.grade.wrongChar': '「{answer}」ではありません。',
+
+        'records.number': '出席番号',
+        'records.name': '名前',
+        'records.privacy': '記録はこの端末のブラウザにだけ保存され、インターネットには送られません。先生に提出するときはファイルに書き出してください。',
+        'records.exportCSV': 'CSVで書き出す',
+        'records.exportJSON': 'JSONで書き出す',
+        'records.clear': '記録を消去',
+        'records.confirmClear': 'この端末に保存された学習記録をすべて消去します。よろしいですか？',
+        'records.attempts': '挑戦回数',
+        'records.best': '最高点',
+        'records.noQuiz': 'まだクイズに挑戦していません。',
+        'records.levelScore': '{correct} / {attempts} 回正解',
+        'records.noPractice': 'まだ練習問題に答えていません。',
+        'records.chars': '調べた文字',
+        'records.noChars': 'ラボで文字を選ぶと、ここに記録されます。',
+        'records.viewTime': '画面ごとの利用時間',
+        'records.noViewTime': 'まだ記録がありません。',
+        'records.csv.type': '種類',
+        'records.csv.time': '日時',
+        'records.csv.content': '内容',
+        'records.csv.result': '結果',
+        'records.csv.hints': 'ヒント数',
+        'records.csv.revealed': '答えを見た',
+        'records.csv.correct': '正解',
+        'records.csv.wrong': '不正解 ({answer})',
+
+        'quiz.title': '文字のデジタル化クイズ',
+        'quiz.intro': '[[encoding]]・[[bit]]と[[byte]]・[[mojibake]]に関する4択問題が{count}問出題されます。',
+        'quiz.offline': 'オフラインモード：アプリに収録された{count}問から出題します',
+        'quiz.offlineWithCache': 'オフラインモード：アプリに収録された{count}問と、保存済みのAI問題{cached}問から出題します',
+        'quiz.start': 'スタート',
+        'quiz.result': '結果',
+        'quiz.perfect': '全問正解！文字コードマスターです。',
+        'quiz.retryHint': '解説を読み返して、もう一度チャレンジしてみよう。',
+        'quiz.again': 'もう一度',
+        'quiz.progress': '第 {index} 問 / {total}',
+        'quiz.score': 'スコア {score}',
+        'quiz.ai': 'AI出題',
+        'quiz.aiCached': 'AI出題（保存済み）',
+        'quiz.correct': '正解！',
+        'quiz.wrong': '不正解… 正解は「{answer}」',
+        'quiz.showResult': '結果を見る',
+        'quiz.next': '次の問題へ',
+    },
+    en: {
+        'app.title': 'DigiMoji Lab',
+        'app.language': 'Language',
+        'app.aiSettings': 'AI settings',
+        'app.offline': 'Offline',
+        'app.offlineHint': 'No network connection. The app keeps working as it is.',
+        'app.highContrast': 'High contrast',
+        'list.separator': ', ',
+        'nav.converter': 'Lab',
+        'nav.table': 'Code tables',
+        'nav.font': 'Fonts',
+        'nav.design': 'Make a code',
+        'nav.decoder': 'Decoder',
+        'nav.file': 'Files',
+        'nav.practice': 'Practice',
+        'nav.quiz': 'Quiz',
+        'nav.records': 'My records',
+        'nav.about': 'Guide',
+        'font.sans': 'Sans-serif',
+        'font.serif': 'Serif',
+        'font.hand': 'Handwriting',
+        'font.mono': 'Monospace',
+
+        'converter.modeShort': 'Character by character',
+        'converter.modeLong': 'Long text (dump view)',
+        'converter.inputLabel': 'Text to convert (up to {max} characters)',
+        'converter.placeholder': 'Type here...',
+        'converter.unsupported': 'Some characters cannot be represented in {encodings}, so those byte counts are not accurate.',
+        'converter.selectChar': 'Select a character to see its details',
+        'converter.charTab': 'Character {index}: {char}',
+        'converter.fontCompare': 'Compare [[font]]s',
+        'converter.empty': 'Type some text to start the analysis',
+
+        'mojibake.title': 'Experiment: make some [[mojibake]]',
+        'mojibake.intro': 'With a different [[encoding]], the very same data of 0s and 1s is shown as completely different characters.\nSave and open with different formats on purpose and see what kind of [[mojibake]] (garbled text) appears.',
+        'mojibake.step1': 'STEP 1. Save',
+        'mojibake.saveQuestion': 'How do you save "{input}"?',
+        'mojibake.file': 'File ([[byteSequence]])',
+        'mojibake.step2': 'STEP 2. Open',
+        'mojibake.openQuestion': 'Which rules do you open it with?',
+        'mojibake.result': 'What the screen shows',
+        'mojibake.successTitle': 'Success! You picked the right [[encoding]].',
+        'mojibake.luckyTitle': 'Huh? The text did not turn into [[mojibake]]!',
+        'mojibake.luckyDesc': 'The settings do not match, but letters and digits (ASCII characters) are the same data in UTF-8 and Shift-JIS, so the text happened to display correctly.',
+        'mojibake.failureTitle': 'The text turned into [[mojibake]]!',
+        'mojibake.failureDesc': 'The data saved as {save} ({count} bytes) was forced through the {open} rules, so the character boundaries shifted and it became different characters.',
+        'mojibake.announce': 'Result: {result}. {title}',
+
+        'bits.byte': 'byte {index}: {bits}, hex {hex}',
+        'bits.row': 'row {index}: {bits}, hex {hex}',
+        'bits.bit': 'bit {index}: {value}',
+        'bits.invalidUTF8': 'invalid in UTF-8',
+
+        'regroup.title': 'See how the [[byteSequence]] is split up',
+        'regroup.source': '① Original text\n(saved as {mode})',
+        'regroup.file': '② File contents',
+        'regroup.read': '③ Read with the\n{mode} rules',
+        'regroup.invalid': '(from byte {position}): {reason} → [[replacementChar]] "{char}"',
+        'role.UTF8.single': '1 byte',
+        'role.UTF8.lead': 'lead',
+        'role.UTF8.trail': 'cont.',
+        'role.UTF8.invalid': 'invalid',
+        'role.SJIS.single': '1 byte',
+        'role.SJIS.lead': '1st byte',
+        'role.SJIS.trail': '2nd byte',
+        'role.SJIS.invalid': 'invalid',
+
+        'tutor.title': 'Ask the AI teacher',
+        'tutor.clear': 'Clear chat',
+        'tutor.intro': 'Try asking "Why does Shift-JIS use fewer bytes?" or "What is mojibake?". You can follow up with "tell me more".',
+        'tutor.answeredBy': 'Answered by: {provider}',
+        'tutor.offlineReason': ' (no network connection)',
+        'tutor.focus': 'Answers are about the character "{char}" you are viewing',
+        'tutor.placeholder': 'Type a question...',
+        'tutor.placeholderMore': 'Ask a follow-up...',
+        'tutor.ask': 'Ask',
+        'tutor.error': 'A connection error occurred.',
+        'tutor.context': 'The student is analyzing the string "{input}".\nThey are looking at the details of the character "{char}".',
+        'provider.openai': 'OpenAI-compatible server',
+        'provider.mock': 'Offline (practice)',
+
+        'about.title': 'How characters become digital',
+        'about.subtitle': 'A look at how computers handle text behind the scenes',
+        'about.whatTitle': '1. What is a [[encoding]]?',
+        'about.whatBody': 'Computers only understand "0" and "1". So we need to agree on a **table that maps characters to numbers**, for example "あ" is 12354 and "A" is 65. This table is called a [[encoding]].',
+        'about.whyTitle': '2. Why are there both UTF-8 and Shift-JIS?',
+        'about.utf8Point1': 'The **global standard**. Text in any language can be mixed.',
+        'about.utf8Point2': 'Used by more than 98% of websites.',
+        'about.utf8Point3': 'Japanese characters usually need **3 [[byte]]s**.',
+        'about.sjisPoint1': '**Made in Japan**. It used to be the standard on Windows.',
+        'about.sjisPoint2': 'Japanese fits in **2 [[byte]]s**, which once helped save space.',
+        'about.sjisPoint3': 'Often cannot handle emoji or other languages.',
+        'about.causeTitle': '3. What causes [[mojibake]]',
+        'about.causeBody': 'If data written in UTF-8 is read with the Shift-JIS rules, the boundaries between [[bit]]s shift and the result is completely different characters (meaningless symbols).',
+        'about.causeForce': 'forced to read as Shift-JIS',
+        'about.causeResult': '(mojibake!)',
+        'about.causeLab': 'In the mojibake experiment in the Lab, you can watch this regrouping with your own text.',
+        'about.othersTitle': '4. Other [[encoding]]s',
+        'about.iso2022jp': '**ISO-2022-JP (JIS code)**: Early e-mail could only carry 7-[[bit]] data safely, so text was sent while switching between English and Japanese modes with **[[escapeSequence]]s** such as "ESC $ B".',
+        'about.eucjp': '**EUC-JP**: A Japanese [[encoding]] used on UNIX-like computers and old web pages.',
+        'about.utf16': '**UTF-16**: What Windows calls "Unicode". Most characters take 2 [[byte]]s, and emoji and some others use a **[[surrogatePair]]** (2 bytes × 2). There are two byte orders, LE and BE.',
+        'about.utf32': '**UTF-32**: Every character takes 4 [[byte]]s. Simple to calculate, but the data gets large.',
+
+        'converter.export': 'Export',
+        'converter.exportWorksheet': 'Worksheet (with answers)',
+        'converter.exportWorksheetBlank': 'Worksheet (blank answers)',
+        'converter.exportCSV': 'CSV (for spreadsheets)',
+        'converter.exportJSON': 'JSON',
+
+        'worksheet.title': 'Digital Text Worksheet',
+        'worksheet.answers': ' (answers)',
+        'worksheet.class': 'Class ＿＿ No. ＿＿',
+        'worksheet.name': 'Name ＿＿＿＿＿＿＿＿＿＿',
+        'worksheet.task': 'Write the text "{input}" in each character encoding.',
+        'worksheet.fillIn': ' Fill in the hex and binary boxes.',
+        'worksheet.char': 'Char',
+        'worksheet.codePoint': 'Code point',
+        'worksheet.encodingColumn': '{encoding} (hex / binary)',
+        'worksheet.unsupported': '(cannot be written in this encoding)',
+        'worksheet.footer': 'Made with DigiMoji Lab',
+
+        'csv.index': 'No.',
+        'csv.char': 'Character',
+        'csv.codePoint': 'Code point',
+        'csv.hex': '{encoding} hex',
+        'csv.binary': '{encoding} binary',
+        'csv.length': '{encoding} bytes',
+        'csv.unsupported': 'not representable',
+
+        'encodingInfo.utf8': 'Global standard (web, phones)',
+        'encodingInfo.sjis': 'Japan only (older Windows etc.)',
+        'encodingInfo.eucjp': 'UNIX systems, old web pages',
+        'encodingInfo.jis': 'E-mail (JIS code)',
+        'encodingInfo.utf16le': 'What Windows calls "Unicode"',
+        'encodingInfo.utf16be': 'Java, network byte order',
+        'encodingInfo.utf32': 'Always 4 bytes per character',
+        'encodingInfo.jisNote': 'ESC $ B (1B 24 42) at the start switches to 2-byte mode, and ESC ( B (1B 28 42) at the end switches back to ASCII. The data never uses the 8th bit (7 bits only), so it traveled safely even through old e-mail systems.',
+        'encodingInfo.utf16Note': 'The 16-bit values ({units}) are stored {order}.',
+        'encodingInfo.utf16SurrogateNote': 'Characters from U+10000 up do not fit in 16 bits, so each code point is written as a high and a low surrogate ([[surrogatePair]]: {pairs}), each stored {order}.',
+        'encodingInfo.littleEndian': 'little-endian (low byte first)',
+        'encodingInfo.bigEndian': 'big-endian (high byte first)',
+
+        'encodingSection.unsupported': 'Not available',
+        'encodingSection.showBits': 'Show how the bits work',
+        'encodingSection.notInTable': 'This character ({char}) is not in the {encoding} code table.',
+        'codePoints.combination': 'Made of {count} [[codePoint]]s',
+
+        'utf8Prefix.single': 'single-byte character',
+        'utf8Prefix.lead2': 'lead of a 2-byte character',
+        'utf8Prefix.lead3': 'lead of a 3-byte character',
+        'utf8Prefix.lead4': 'lead of a 4-byte character',
+        'utf8Prefix.trail': 'continuation byte',
+        'utf8Bits.structure': 'Structure bits (mark which byte this is)',
+        'utf8Bits.data': 'Data bits (the [[codePoint]] itself)',
+        'utf8Bits.inBinary': '{codePoint} in binary ({count} bits)',
+        'utf8Bits.joined': '(the data bits of each byte joined together)',
+        'utf8Bits.play': 'Play: pack the bits into bytes',
+        'utf8Bits.stop': 'Stop',
+
+        'sjis.why': 'Why these bytes? (calculated from the [[kuten]])',
+        'sjis.ascii': '00–7F is a **single-byte character**. Letters, digits and symbols use almost the same numbers as ASCII (but 5C may be shown as "¥" in Japan).',
+        'sjis.kana': 'A1–DF is **half-width katakana (1 byte)**. JIS X 0201 katakana are stored as a single byte. This range is kept apart from the first bytes of 2-byte characters so they never overlap.',
+        'sjis.lead': '= 1st byte ({ranges})',
+        'sjis.trail': '= 2nd byte ({ranges})',
+        'sjis.kuten': '"{char}" is at **row {ku}, cell {ten}** of JIS X 0208 (JIS code {jis}). Shift-JIS takes the numbers on this 94×94 grid and shifts them into ranges that do not clash with single-byte characters (00–7F, A1–DF).',
+        'sjis.stepJis': 'JIS code: add 0x20 to both the row and the cell → {jis}',
+        'sjis.stepLeadLow': '1st byte: (row + 1) ÷ 2 = {half} (rounded down), plus 0x80 because the row is 62 or less → {lead}',
+        'sjis.stepLeadHigh': '1st byte: (row + 1) ÷ 2 = {half} (rounded down), plus 0xC0 because the row is 63 or more → {lead}',
+        'sjis.stepTrailEven': '2nd byte: the row is even, so cell + 0x9E → {trail}',
+        'sjis.stepTrailOddLow': '2nd byte: the row is odd and the cell is 63 or less, so cell + 0x3F → {trail}',
+        'sjis.stepTrailOddHigh': '2nd byte: the row is odd and the cell is 64 or more, so cell + 0x40 (skipping 7F) → {trail}',
+        'sjis.extension.nec': 'NEC special characters (①, ㈱ and so on). Platform-dependent characters that Windows added to row 13, which is empty in JIS X 0208.',
+        'sjis.extension.necIbm': 'NEC-selected IBM extensions. Platform-dependent characters found only on Windows.',
+        'sjis.extension.ibm': 'IBM extensions. Windows-only platform-dependent characters beyond row 94 of JIS X 0208.',
+
+        'normalization.title': 'Unicode [[normalization]]: same look, different data?',
+        'normalization.intro': 'In Unicode, "が" can be written as one character (U+304C) or as "か" plus a combining "゛" (U+304B U+3099). **[[normalization]]** turns these different spellings into one. Macs store file names in NFD (decomposed form), so after moving them to Windows the voicing mark may show up separately, as in "か゛".',
+        'normalization.tryExample': 'Try an example:',
+        'normalization.example.composed': 'が (1 character)',
+        'normalization.example.combining': 'か + ゛ (combining)',
+        'normalization.example.halfwidth': 'ｶﾞ (half-width)',
+        'normalization.example.fullwidth': 'Ａ (full-width)',
+        'normalization.example.circled': '①',
+        'normalization.example.katakana': 'ﾊﾟｿｺﾝ',
+        'normalization.NFC': 'Composed (the usual form)',
+        'normalization.NFD': 'Decomposed (e.g. Mac file names)',
+        'normalization.NFKC': 'Compatibility characters unified, then composed (for search and input checks)',
+        'normalization.NFKD': 'Compatibility characters unified, then decomposed',
+        'normalization.form': 'Form',
+        'normalization.result': 'Result (per character)',
+        'normalization.codePoints': 'Code points',
+        'normalization.compare': 'vs. original',
+        'normalization.original': 'Original',
+        'normalization.unchanged': 'Unchanged',
+        'normalization.same': 'Same',
+        'normalization.different': 'Different',
+        'normalization.differentHint': 'Comparing with === gives false',
+        'normalization.footnote': 'Forms marked "Different" look the same on screen, but a computer sees a different string (a common reason why searches or file names fail to match).',
+
+        'long.inputLabel': 'Text to convert (pasting is fine)',
+        'long.placeholder': 'Paste text here...',
+        'long.encoding': '[[encoding]]:',
+        'long.chars': '{count} characters',
+        'long.unsupported': 'Characters that {encoding} cannot represent ({chars}) are shown as "?" (3F).',
+        'long.empty': 'Type some text to see the dump',
+        'dump.title': '[[hexDump]]',
+        'dump.rows': '{count} rows',
+        'dump.hint': 'Hover over a byte or character to highlight the matching part',
+
+        'aiSettings.close': 'Close',
+        'aiSettings.endpoint': 'Endpoint URL',
+        'aiSettings.apiKey': 'API key',
+        'aiSettings.model': 'Model name',
+        'aiSettings.optional': ' (optional)',
+        'aiSettings.keyNotice': 'The key is stored only in this browser and is never included in shared links. On a shared PC, switch back to "Don\'t use" when you are done.',
+        'aiSettings.testing': 'Checking the connection…',
+        'aiSettings.testOk': 'Connected: "{message}"',
+        'aiSettings.testFailed': 'Could not connect ({message})',
+        'aiSettings.test': 'Test connection',
+        'aiSettings.cancel': 'Cancel',
+        'aiSettings.save': 'Save',
+        'aiSettings.testSystem': 'Reply in a few words.',
+        'aiSettings.testGreeting': 'Hello',
+        'provider.off': 'Don\'t use',
+        'provider.off.description': 'Hide the AI teacher; quizzes come from the built-in question bank.',
+        'provider.gemini.description': 'Uses an API key issued in Google AI Studio.',
+        'provider.openai.description': 'Connects to a local model server at school (Ollama, LM Studio, ...) or any OpenAI-compatible API.',
+        'provider.mock.description': 'Answers from built-in explanations without a network. It is not an AI, so it only knows certain questions.',
+
+        'unit.bits': '{count} bits',
+        'unit.bytes': '{count} bytes',
+        'unit.times': '{count} times',
+        'unit.minutes': '{count} min',
+
+        'table.tab.jis': 'JIS X 0208 (kuten)',
+        'table.labInput': 'Lab input:',
+        'table.openLab': 'Analyze in the lab',
+        'table.selected': 'Selected character',
+        'table.hint': 'Hover over a cell to see its UTF-8 and Shift-JIS [[byteSequence]].\nClick to add it to the lab input.',
+        'table.asciiTitle': 'ASCII table (7 bits = 128 characters)',
+        'table.asciiIntro': 'Columns are the upper 4 bits (the first hex digit) and rows the lower 4 bits (the second). Gray cells are **control characters**, which are not shown on screen.',
+        'table.jisTitle': 'JIS X 0208 (94 rows × 94 cells)',
+        'table.jisRow': 'Row {ku}: {label}',
+        'table.jisIntro': 'JIS X 0208 lays characters out on a 94×94 grid and names each one by its row and cell (its [[kuten]]). Row {ku} holds "{label}". The number under each cell is its [[kuten]].',
+        'table.unicodeTitle': 'Unicode blocks',
+        'table.unicodeIntro': 'Unicode gives every character in the world a serial number (a [[codePoint]]). "{block}" covers {start}–{end}.',
+        'jisRow.symbols': 'Symbols',
+        'jisRow.alphanumeric': 'Latin letters and digits',
+        'jisRow.hiragana': 'Hiragana',
+        'jisRow.katakana': 'Katakana',
+        'jisRow.greek': 'Greek',
+        'jisRow.cyrillic': 'Cyrillic',
+        'jisRow.boxDrawing': 'Box drawing',
+        'jisRow.nec': 'Empty (NEC special characters on Windows)',
+        'jisRow.ibm': 'Empty (NEC-selected IBM extensions on Windows)',
+        'jisRow.empty': 'Empty',
+        'jisRow.level1': 'Level 1 kanji',
+        'jisRow.level2': 'Level 2 kanji',
+        'unicodeBlock.basicLatin': 'Basic Latin (ASCII)',
+        'unicodeBlock.latin1': 'Latin-1 Supplement',
+        'unicodeBlock.greek': 'Greek',
+        'unicodeBlock.cyrillic': 'Cyrillic',
+        'unicodeBlock.arrows': 'Arrows',
+        'unicodeBlock.enclosedAlphanumerics': 'Enclosed Alphanumerics',
+        'unicodeBlock.boxDrawing': 'Box Drawing',
+        'unicodeBlock.cjkSymbols': 'CJK Symbols and Punctuation',
+        'unicodeBlock.hiragana': 'Hiragana',
+        'unicodeBlock.katakana': 'Katakana',
+        'unicodeBlock.cjkIdeographs': 'CJK Unified Ideographs',
+        'unicodeBlock.halfwidthFullwidth': 'Halfwidth and Fullwidth Forms',
+        'unicodeBlock.pictographs': 'Miscellaneous Symbols and Pictographs',
+        'unicodeBlock.emoticons': 'Emoticons',
+
+        'fontLab.char': 'Character',
+        'fontLab.size': 'Dots',
+        'fontLab.compareTitle': 'Bitmap fonts and outline fonts',
+        'fontLab.bitmap': 'Bitmap font ({size}×{size} dots)',
+        'fontLab.bitmapDesc': 'Stores the shape as a set of dots. Enlarging it only makes the dots bigger, so the jagged edges stand out.',
+        'fontLab.outline': 'Outline font',
+        'fontLab.outlineDesc': 'Stores the outline as coordinates and curve equations. It is redrawn at every size, so it stays smooth when enlarged.',
+        'fontLab.editor': 'Dot editor',
+        'fontLab.import': 'Import',
+        'fontLab.invert': 'Invert',
+        'fontLab.clear': 'Clear',
+        'fontLab.editorHint': 'Click (or drag across) the squares to draw your own character.',
+        'fontLab.dataTitle': 'Bit pattern and data size',
+        'fontLab.perChar': '1 character = {size}×{size}',
+        'fontLab.dataNote': 'Preparing all {count} JIS level 1 and 2 characters at this size takes about {kb} KB. Doubling the size (in dots) makes four times as much data.',
+
+        'design.title': 'Make your own [[encoding]]',
+        'design.intro': 'Decide how many bits stand for one character, then give each character a number. n bits can tell apart at most {power} characters, so the more characters you want, the more bits you need.',
+        'design.width': 'Bits per character',
+        'design.capacity': 'Characters it can hold',
+        'design.alphabet': 'Characters to use',
+        'design.preset.alphabet': 'Alphabet',
+        'design.preset.digits': 'Digits',
+        'design.preset.hiragana': 'Hiragana',
+        'design.kinds': '{count} different characters → needs at least **{bits} bits**',
+        'design.tooSmall': '{width} bits ({capacity} characters) are not enough!',
+        'design.enough': '{width} bits are enough',
+        'design.assign': 'Assign in order from 0',
+        'design.tableTitle': 'Code table ({assigned} / {capacity} assigned)',
+        'design.clearAll': 'Clear all',
+        'design.duplicates': 'Some characters have more than one number: {chars} (encoding uses the smallest one)',
+        'design.encodeTitle': 'Encode: characters → bits',
+        'design.messagePlaceholder': 'Type a message...',
+        'design.missing': 'Some characters are not in the table: {chars}',
+        'design.customBits': 'Your code: **{bits} bits** (UTF-8 for comparison: {utf8} bits)',
+        'design.decodeTitle': 'Decode: bits → characters',
+        'design.bitsPlaceholder': 'Type 0s and 1s...',
+        'design.invalidInput': 'Use only 0 and 1.',
+        'design.unassignedCode': 'Unassigned code',
+        'design.unassigned': 'Some codes have no character yet (shown as ?).',
+        'design.leftover': 'The last {count} bits ({bits}) are fewer than {width} and cannot be read.',
+        'design.needTitle': 'How many bits are needed?',
+        'design.charset': 'Character set',
+        'design.charCount': 'Characters',
+        'design.bitsNeeded': 'Bits needed',
+        'design.bitsNeededValue': '{bits} bits ({power} = {count})',
+        'design.example.uppercase': 'Uppercase letters',
+        'design.example.hiragana': 'Hiragana (basic)',
+        'design.example.joyo': 'Jōyō kanji',
+        'design.example.jis': 'JIS level 1 and 2',
+        'design.footnote': 'Japanese needs at least 13 bits, so 8 bits (1 byte) are not enough. Computers work in 8-bit units, so Japanese [[encoding]]s ended up using 2 bytes (16 bits).',
+
+        'decoder.title': 'Read characters from a [[byteSequence]]',
+        'decoder.intro': 'Enter a [[byteSequence]] in hex (E3 81 82), binary (01000001) or decimal (227 129 130) to compare how each [[encoding]] reads it.',
+        'decoder.placeholder': 'e.g. E3 81 82',
+        'decoder.format': 'Input format:',
+        'decoder.readAs': '→ read as {format}',
+        'decoder.empty': 'Enter a [[byteSequence]] to start decoding',
+        'byteFormat.auto': 'Auto',
+        'byteFormat.hex': 'Hex',
+        'byteFormat.binary': 'Binary',
+        'byteFormat.decimal': 'Decimal',
+        'byteInput.hexDigits': 'Contains characters that are not hex digits (0-9, A-F)',
+        'byteInput.hexOdd': 'Two hex digits make one byte (odd number of digits)',
+        'byteInput.binaryDigits': 'Contains characters that are not binary digits (only 0 and 1)',
+        'byteInput.binaryLength': 'Eight binary digits make one byte',
+        'byteInput.decimalRange': 'One byte in decimal is 0–255',
+        'bitEditor.title': 'Bit editor: what if one bit changes?',
+        'bitEditor.intro': 'Click a bit to flip it between 0 and 1. What does "A" (01000001) turn into if you change its third bit? What happens if you change one bit of "あ"?',
+        'bitEditor.empty': 'No bytes yet. Press "Add byte".',
+        'bitEditor.add': 'Add byte',
+        'bitEditor.remove': 'Remove last byte',
+        'candidate.detected': 'Auto-detected',
+        'candidate.clean': 'Reads cleanly',
+        'candidate.invalid': '{count} invalid',
+        'candidate.byteIndex': 'Byte {index}',
+
+        'file.title': 'Look inside a file',
+        'file.drop': 'Drop a .txt / .csv file here',
+        'file.dropHint': 'or click to choose one (the file is not sent anywhere)',
+        'file.tooLarge': 'The file is too large (up to {size} KB).',
+        'file.readFailed': 'Could not read the file.',
+        'file.bytesTitle': 'File contents ([[byteSequence]])',
+        'file.bom': 'BOM: {label} ({bytes})',
+        'file.noBom': 'No BOM',
+        'file.guess': 'Best guess: {encoding}',
+        'file.remaining': ' … ({count} more bytes)',
+        'file.textTitle': 'Read as text',
+        'file.openAs': 'Open as:',
+        'file.guessed': ' (guess)',
+        'file.invalid': '{count} unreadable [[byteSequence]]s ([[mojibake]])',
+        'file.convertTitle': 'Convert the [[encoding]] and save',
+        'file.unsupported': '{count} characters cannot be represented in {target}. They become "?" when saved.',
+        'file.save': 'Save as {target}',
+        'download.utf8bom': 'UTF-8 (with BOM)',
+        'download.utf16': 'UTF-16 (LE, with BOM)',
+
+        'practice.level.kana': 'Kana',
+        'practice.level.kanji': 'Kanji',
+        'practice.level.emoji': 'Emoji',
+        'practice.title': 'Conversion practice',
+        'practice.score': 'Correct {correct} / {total}',
+        'practice.prompt.byteCount': 'How many bytes is "{text}" in {encoding}?',
+        'practice.prompt.fromBinary': 'Which character is this bit string ({encoding})?',
+        'practice.prompt.toHex': 'Write "{text}" in {encoding} as hex',
+        'practice.placeholder.toHex': 'e.g. E3 81 82',
+        'practice.placeholder.byteCount': 'e.g. 6',
+        'practice.placeholder.fromBinary': 'Type a character',
+        'practice.check': 'Check',
+        'practice.hintLabel': 'Hint {index}',
+        'practice.answer': 'Answer:',
+        'practice.answerBytes': ' bytes',
+        'practice.hint': 'Hint ({count}/{total})',
+        'practice.reveal': 'Show answer',
+        'practice.next': 'Next question',
+        'practice.hint.sjisAscii': 'Letters and digits are one byte in Shift-JIS, the same as in ASCII.',
+        'practice.hint.binary': 'In binary it is {binary}.',
+        'practice.hint.kuten': '"{char}" is at row {ku}, cell {ten} of JIS X 0208.',
+        'practice.hint.sjisRanges': 'A two-byte Shift-JIS character has its first byte in {lead} and its second byte in {trail}.',
+        'practice.hint.binaryToHex': 'In binary it is {binary}. Convert it to hex 4 bits at a time.',
+        'practice.hint.codePoint': 'The [[codePoint]] of "{char}" is {codePoint}.',
+        'practice.hint.utf8Template': '{codePoint} falls in the range that takes {length} bytes in UTF-8, so put the [[codePoint]] in binary into the x positions of {pattern}.',
+        'practice.hint.payload': 'As a {bits}-bit binary number, the [[codePoint]] is {payload}.',
+        'practice.hint.byteCount.sjis': 'In Shift-JIS, letters and digits take 1 byte; hiragana, katakana and kanji take 2 bytes.',
+        'practice.hint.byteCount.utf8': 'In UTF-8, letters and digits take 1 byte; hiragana, katakana and kanji take 3 bytes; emoji take 4 bytes.',
+        'practice.hint.perChar': 'Counting one character at a time: {counts}.',
+        'practice.hint.hex': 'In hex it is {hex}.',
+        'practice.hint.asciiOrder': 'In ASCII, 0x41 is "A", 0x61 is "a" and 0x30 is "0", and the rest follow in order.',
+        'practice.hint.findKu': 'Look up row {ku} of JIS X 0208 in "Code tables".',
+        'practice.hint.findCodePoint': 'Without the structure bits, the [[codePoint]] is {codePoint}. Look it up in "Code tables".',
+        'practice.hint.codePointIs': 'The [[codePoint]] is {codePoint}.',
+        'practice.grade.correct': 'Correct!',
+        'practice.grade.hexFormat': 'Write hex digits (0–9, A–F), two per byte.',
+        'practice.grade.sameLength': 'The number of bytes is right. Check the values.',
+        'practice.grade.wrongLength': 'The number of bytes is wrong. Think about how many bytes this character takes.',
+        'practice.grade.number': 'Answer with a number.',
+        'practice.grade.wrongCount': 'The answer is not {count}.',
+        'practice.grade.wrongChar': 'It is not "{answer}".',
+
+        'records.number': 'Student number',
+        'records.name': 'Name',
+        'records.privacy': 'Records are stored only in this browser and never sent over the internet. Export them to a file to hand them in to your teacher.',
+        'records.exportCSV': 'Export CSV',
+        'records.exportJSON': 'Export JSON',
+        'records.clear': 'Clear records',
+        'records.confirmClear': 'This deletes all learning records saved on this device. Continue?',
+        'records.attempts': 'Attempts',
+        'records.best': 'Best score',
+        'records.noQuiz': 'No quizzes yet.',
+        'records.levelScore': '{correct} / {attempts} correct',
+        'records.noPractice': 'No practice answers yet.',
+        'records.chars': 'Characters explored',
+        'records.noChars': 'Characters you select in the lab are recorded here.',
+        'records.viewTime': 'Time per page',
+        'records.noViewTime': 'Nothing recorded yet.',
+        'records.csv.type': 'Type',
+        'records.csv.time': 'Time',
+        'records.csv.content': 'Content',
+        'records.csv.result': 'Result',
+        'records.csv.hints': 'Hints',
+        'records.csv.revealed': 'Showed answer',
+        'records.csv.correct': 'Correct',
+        'records.csv.wrong': 'Wrong ({answer})',
+
+        'quiz.title': 'Digital text quiz',
+        'quiz.intro': '{count} multiple-choice questions on [[encoding]]s, [[bit]]s and [[byte]]s, and [[mojibake]].',
+        'quiz.offline': 'Offline mode: questions come from the {count} built into the app',
+        'quiz.offlineWithCache': 'Offline mode: questions come from the {count} built into the app and {cached} saved AI questions',
+        'quiz.start': 'Start',
+        'quiz.result': 'Result',
+        'quiz.perfect': 'All correct! You are a character encoding master.',
+        'quiz.retryHint': 'Read the explanations again and have another go.',
+        'quiz.again': 'Try again',
+        'quiz.progress': 'Question {index} / {total}',
+        'quiz.score': 'Score {score}',
+        'quiz.ai': 'AI question',
+        'quiz.aiCached': 'AI question (saved)',
+        'quiz.correct': 'Correct!',
+        'quiz.wrong': 'Wrong… the answer is "{answer}"',
+        'quiz.showResult': 'See results',
+        'quiz.next': 'Next question',
+    },
+};
+
+// utils/encoding.js が返す「読めない理由」の英訳（日本語の文をそのままキーにする）
+const DECODE_REASONS_EN = {
+    '先頭バイトがない続きのバイト': 'a continuation byte with no lead byte',
+    'UTF-8では使われないバイト': 'a byte that is never used in UTF-8',
+    'データの途中で終わっている': 'the data ends in the middle of a character',
+    '続きのバイト (10xxxxxx) が来るはずの場所に別のバイトがある': 'a different byte where a continuation byte (10xxxxxx) should be',
+    '文字コード表で空き（未定義）の番号': 'an unassigned (undefined) number in the code table',
+    '2バイト目として使えないバイトが続いている': 'the next byte cannot be used as a second byte',
+    'Shift-JISでは1バイト目に使えないバイト': 'a byte that cannot start a character in Shift-JIS',
+    'EUC-JPでは1バイト目に使えないバイト': 'a byte that cannot start a character in EUC-JP',
+    '補助漢字 (JIS X 0212) は対応表に入っていない': 'supplementary kanji (JIS X 0212) are not in the table',
+    '知らないエスケープシーケンス': 'an unknown escape sequence',
+    'ISO-2022-JPは7ビットなので0x80以上は使えない': 'ISO-2022-JP is 7-bit, so bytes of 0x80 or above are not allowed',
+    'データの途中で終わっている（2バイトにそろっていない）': 'the data ends in the middle (not a multiple of 2 bytes)',
+    'データの途中で終わっている（4バイトにそろっていない）': 'the data ends in the middle (not a multiple of 4 bytes)',
+    '上位サロゲートの後に下位サロゲートがない': 'a high surrogate is not followed by a low surrogate',
+    '下位サロゲートが単独で現れた': 'a low surrogate appears on its own',
+    'Unicodeの文字として使えない値': 'a value that is not a valid Unicode character',
+};
+
+// describeCodePoint の英訳（JSONの書き出しには日本語のまま入るので、表示するときに訳す）
+const CODE_POINT_ROLES_EN = {
+    'ZWJ（ゼロ幅接合子）: 前後の絵文字をつなげる': 'ZWJ (zero width joiner): joins the emoji on either side',
+    'VS16（異体字セレクタ）: 絵文字スタイルで表示する': 'VS16 (variation selector): show in emoji style',
+    'VS15（異体字セレクタ）: 文字スタイルで表示する': 'VS15 (variation selector): show in text style',
+    '異体字セレクタ: 字形のバリエーションを指定する': 'variation selector: picks a variant glyph',
+    '肌の色の修飾子': 'skin tone modifier',
+    '地域指示記号: 2つ並べて国旗になる': 'regional indicator: two in a row make a flag',
+    'タグ文字: 地域の旗などを指定する': 'tag character: selects a regional flag and the like',
+    '結合用濁点: 直前の文字に「゛」を付ける': 'combining voiced mark: adds "゛" to the previous character',
+    '結合用半濁点: 直前の文字に「゜」を付ける': 'combining semi-voiced mark: adds "゜" to the previous character',
+    '結合文字: 直前の文字に記号を付ける': 'combining character: adds a mark to the previous character',
+    '基本の文字': 'base character',
+};
+
 // ==========================================
 // 2. Utils
 // ==========================================
 
-const toUTF8Array = (str) => {
-    const encoder = new TextEncoder();
-    return Array.from(encoder.encode(str));
+const toHexCodeUnit = (value) => value.toString(16).toUpperCase().padStart(4, '0');
+
+// ビット列を読み上げやすい形にする (例: "11100011" -> { bits: "1110 0011", hex: "E3" })
+const describeBits = (bitString) => ({
+    bits: bitString.match(/.{1,4}/g).join(' '),
+    hex: parseInt(bitString, 2).toString(16).toUpperCase().padStart(Math.ceil(bitString.length / 4), '0'),
+});
+
+// 矢印キー・Home・End で選択を動かす（端から先頭・末尾へ回り込む）。それ以外のキーは null
+const nextIndexForKey = (key, index, count) => {
+    switch (key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+            return (index + 1) % count;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+            return (index - 1 + count) % count;
+        case 'Home':
+            return 0;
+        case 'End':
+            return count - 1;
+        default:
+            return null;
+    }
 };
 
-const toSJISArray = (str) => {
-    // ライブラリがロードされているか確認
-    const EncodingLib = window.Encoding;
-    if (!EncodingLib) return null; // ロード前またはエラー
-    
-    try {
-        const unicodeArray = EncodingLib.stringToCode(str);
-        const sjisArray = EncodingLib.convert(unicodeArray, {
-            to: 'SJIS',
-            from: 'UNICODE',
-            type: 'array'
-        });
-        
-        // 逆変換して元の文字に戻るか確認（文字化け/非対応文字の判定）
-        // ※絵文字などはSJISに変換すると '?' (0x3F) 等になったり、不正なバイト列になる
-        const reversed = EncodingLib.convert(sjisArray, {
-            to: 'UNICODE',
-            from: 'SJIS',
-            type: 'string'
-        });
+// UTF-8 と Shift-JIS のどちらで区切るか（文字化け実験の「保存」「開く」の設定）
+const decodeGroups = (bytes, mode) => (mode === 'UTF8' ? decodeUTF8Groups(bytes) : decodeSJISGroups(bytes));
+
+// 対応している文字コードの一覧（説明文は MESSAGES の encodingInfo.{id}、note は表示言語の t を受け取る）
+// 新しい文字コードを追加する場合は、utils/encoding.js に変換を用意し、ここに encode（文字列 -> バイト配列、
+// 表現できなければ null）と decode（バイト配列 -> 文字単位のグループ）を登録する（id は detectEncoding の結果と同じ）
+const ENCODINGS = [
+    {
+        id: 'utf8',
+        label: 'UTF-8',
+        encode: toUTF8Array,
+        decode: decodeUTF8Groups,
+        bitMode: 'utf8',
+        accent: 'bg-brand-500',
+        total: 'text-brand-600',
+        panel: 'bg-slate-900 shadow-inner',
+        isDarkBg: true
+    },
+    {
+        id: 'sjis',
+        label: 'Shift-JIS',
+        encode: (str) => toSJISArray(str),
+        decode: decodeSJISGroups,
+        details: 'sjis',
+        accent: 'bg-orange-500',
+        total: 'text-orange-600',
+        panel: 'bg-orange-50 border border-orange-100',
+        isDarkBg: false
+    },
+    {
+        id: 'eucjp',
+        label: 'EUC-JP',
+        encode: toEUCJPArray,
+        decode: decodeEUCJPGroups,
+        accent: 'bg-emerald-500',
+        total: 'text-emerald-600',
+        panel: 'bg-emerald-50 border border-emerald-100',
+        isDarkBg: false
+    },
+    {
+        id: 'jis',
+        label: 'ISO-2022-JP',
+        encode: toISO2022JPArray,
+        decode: decodeJISGroups,
+        accent: 'bg-rose-500',
+        total: 'text-rose-600',
+        panel: 'bg-rose-50 border border-rose-100',
+        isDarkBg: false,
+        note: (char, bytes, t) => (bytes.includes(0x1B) ? t('encodingInfo.jisNote') : null)
+    },
+    {
+        id: 'utf16le',
+        label: 'UTF-16LE',
+        encode: (str) => toUTF16Array(str, true),
+        decode: (bytes) => decodeUTF16Groups(bytes, true),
+        accent: 'bg-violet-500',
+        total: 'text-violet-600',
+        panel: 'bg-violet-50 border border-violet-100',
+        isDarkBg: false,
+        note: (char, bytes, t) => surrogateNote(char, t, 'encodingInfo.littleEndian')
+    },
+    {
+        id: 'utf16be',
+        label: 'UTF-16BE',
+        encode: (str) => toUTF16Array(str, false),
+        decode: (bytes) => decodeUTF16Groups(bytes, false),
+        accent: 'bg-indigo-500',
+        total: 'text-indigo-600',
+        panel: 'bg-indigo-50 border border-indigo-100',
+        isDarkBg: false,
+        note: (char, bytes, t) => surrogateNote(char, t, 'encodingInfo.bigEndian')
+    },
+    {
+        id: 'utf32',
+        label: 'UTF-32',
+        encode: toUTF32Array,
+        decode: decodeUTF32Groups,
+        accent: 'bg-slate-500',
+        total: 'text-slate-600',
+        panel: 'bg-slate-100 border border-slate-200',
+        isDarkBg: false
+    },
+];
+
+// UTF-16でサロゲートペアになる文字の説明（複数のコードポイントでできた文字にも対応）
+const surrogateNote = (char, t, orderKey) => {
+    const units = Array.from({ length: char.length }, (_, i) => toHexCodeUnit(char.charCodeAt(i))).join(' ');
+    const pairs = Array.from(char).filter(part => part.length === 2);
+    const order = t(orderKey);
+    if (pairs.length === 0) return t('encodingInfo.utf16Note', { units, order });
+    const pairList = pairs.map(part => `${toHexCodeUnit(part.charCodeAt(0))} ${toHexCodeUnit(part.charCodeAt(1))}`).join(' / ');
+    return t('encodingInfo.utf16SurrogateNote', { pairs: pairList, order });
+};
+
+// UTF-8の各バイトの先頭にある「構造ビット」（名前は MESSAGES の utf8Prefix.{id}）
+const UTF8_PREFIXES = [
+    { id: 'single', mask: 0x80, value: 0x00, length: 1 },
+    { id: 'lead2', mask: 0xE0, value: 0xC0, length: 3 },
+    { id: 'lead3', mask: 0xF0, value: 0xE0, length: 4 },
+    { id: 'lead4', mask: 0xF8, value: 0xF0, length: 5 },
+    { id: 'trail', mask: 0xC0, value: 0x80, length: 2 },
+];
+
+const utf8PrefixOf = (byte) => UTF8_PREFIXES.find(prefix => (byte & prefix.mask) === prefix.value) || null;
 
-        // 厳密なチェック: 元の文字と異なる、またはSJISで表現できない文字(置換文字など)になった場合
-        if (reversed !== str) {
-             return sjisArray;
+/**
+ * UTF-8のバイト列をコードポイントごとに分け、データビット（構造ビット以外）を取り出す
+ * 戻り値: [{ bytes: [{ byte, prefix, payload }], payload, codePoint }]
+ */
+const splitUTF8Payload = (bytes) => {
+    const result = [];
+    bytes.forEach(byte => {
+        const prefix = utf8PrefixOf(byte);
+        const bits = byte.toString(2).padStart(8, '0');
+        const entry = { byte, prefix, payload: prefix ? bits.slice(prefix.length) : '' };
+        if (!prefix || prefix.length !== 2 || result.length === 0) {
+            result.push({ bytes: [entry] });
+        } else {
+            result[result.length - 1].bytes.push(entry);
         }
-        return sjisArray;
-    } catch (e) {
-        return null;
+    });
+    return result.map(group => {
+        const payload = group.bytes.map(entry => entry.payload).join('');
+        return { ...group, payload, codePoint: payload ? parseInt(payload, 2) : null };
+    });
+};
+
+// Shift-JISの1バイト目・2バイト目として使える範囲
+const SJIS_LEAD_RANGES = '81〜9F, E0〜FC';
+const SJIS_TRAIL_RANGES = '40〜7E, 80〜FC';
+
+const toHexByte = (b) => b.toString(16).toUpperCase().padStart(2, '0');
+
+/**
+ * Shift-JISの2バイトから、JIS X 0208 の区点番号とJISコードを逆算する
+ * 戻り値: { ku, ten, jis: [j1, j2] }
+ */
+const sjisToKuten = (s1, s2) => {
+    const [j1, j2] = sjisToJIS(s1, s2);
+    return { ku: j1 - 0x20, ten: j2 - 0x20, jis: [j1, j2] };
+};
+
+/**
+ * 区点番号からShift-JISを計算する手順（授業で板書する式と同じ）
+ * 戻り値: { jis: [j1, j2], lead, trail, steps: [{ key, params }] }（key は MESSAGES の説明文）
+ */
+const kutenToSJIS = (ku, ten) => {
+    const half = Math.floor((ku + 1) / 2);
+    const leadBase = ku <= 62 ? 0x80 : 0xC0;
+    const lead = half + leadBase;
+    let trailBase;
+    if (ku % 2 === 0) trailBase = 0x9E;
+    else trailBase = ten <= 63 ? 0x3F : 0x40;
+    const trail = ten + trailBase;
+    const jis = [ku + 0x20, ten + 0x20];
+
+    return {
+        jis,
+        lead,
+        trail,
+        steps: [
+            { key: 'sjis.stepJis', params: { jis: `${toHexByte(jis[0])} ${toHexByte(jis[1])}` } },
+            { key: ku <= 62 ? 'sjis.stepLeadLow' : 'sjis.stepLeadHigh', params: { half, lead: toHexByte(lead) } },
+            { key: { 0x9E: 'sjis.stepTrailEven', 0x3F: 'sjis.stepTrailOddLow', 0x40: 'sjis.stepTrailOddHigh' }[trailBase], params: { trail: toHexByte(trail) } },
+        ]
+    };
+};
+
+// JIS X 0208 の外側にあるWindows独自の拡張（CP932）。説明文は MESSAGES の sjis.extension.{id}
+const describeSJISExtension = (ku) => {
+    if (ku === 13) return 'nec';
+    if (ku >= 89 && ku <= 92) return 'necIbm';
+    if (ku > 94) return 'ibm';
+    return null;
+};
+
+/**
+ * Shift-JISのバイト列を1文字ずつ解説する
+ * 戻り値: [{ kind: 'ascii' | 'kana' | 'double' | 'invalid', bytes, char, ... }]
+ */
+const explainSJIS = (bytes) => decodeSJISGroups(bytes).map(group => {
+    const [b1, b2] = group.bytes;
+    if (!group.valid) return { kind: 'invalid', bytes: group.bytes, char: group.char, reason: group.reason };
+    if (group.bytes.length === 1) {
+        return { kind: b1 < 0x80 ? 'ascii' : 'kana', bytes: group.bytes, char: group.char };
     }
+    const { ku, ten } = sjisToKuten(b1, b2);
+    return {
+        kind: 'double',
+        bytes: group.bytes,
+        char: group.char,
+        ku,
+        ten,
+        ...kutenToSJIS(ku, ten),
+        extension: describeSJISExtension(ku)
+    };
+});
+
+// 1つの文字コードでの変換結果をまとめる
+const encodeEntry = (encoding, str) => {
+    const bytes = encoding.encode(str);
+    const isValid = Array.isArray(bytes);
+    return {
+        bytes: bytes || [],
+        length: isValid ? bytes.length : 0,
+        hex: toHexString(bytes || []),
+        binary: toBinaryString(bytes || []),
+        isValid: isValid
+    };
 };
 
-const toHexString = (byteArray) => {
-    if (!byteArray) return "";
-    return byteArray.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+// 見た目の1文字（書記素クラスタ）ごとに分割する
+// 👨‍👩‍👧 や「か＋゛(結合用濁点)」も1文字として扱う。Intl.Segmenter がない環境ではコードポイント単位
+const segmentGraphemes = (text) => {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        const segmenter = new Intl.Segmenter('ja', { granularity: 'grapheme' });
+        return Array.from(segmenter.segment(text), segment => segment.segment);
+    }
+    return Array.from(text);
 };
 
-const toBinaryString = (byteArray) => {
-    if (!byteArray) return "";
-    return byteArray.map(b => b.toString(2).padStart(8, '0')).join(' ');
+// 見た目の文字数で max 文字までに切り詰める（短ければそのまま返し、長文を毎回分割しない）
+const truncateGraphemes = (text, max) => (
+    text.length <= max ? text : segmentGraphemes(text).slice(0, max).join('')
+);
+
+const formatCodePoint = (char) => 'U+' + char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+
+// 書記素クラスタを構成するコードポイントの役割
+const describeCodePoint = (char) => {
+    const cp = char.codePointAt(0);
+    if (cp === 0x200D) return 'ZWJ（ゼロ幅接合子）: 前後の絵文字をつなげる';
+    if (cp === 0xFE0F) return 'VS16（異体字セレクタ）: 絵文字スタイルで表示する';
+    if (cp === 0xFE0E) return 'VS15（異体字セレクタ）: 文字スタイルで表示する';
+    if ((cp >= 0xFE00 && cp <= 0xFE0D) || (cp >= 0xE0100 && cp <= 0xE01EF)) return '異体字セレクタ: 字形のバリエーションを指定する';
+    if (cp >= 0x1F3FB && cp <= 0x1F3FF) return '肌の色の修飾子';
+    if (cp >= 0x1F1E6 && cp <= 0x1F1FF) return '地域指示記号: 2つ並べて国旗になる';
+    if (cp >= 0xE0020 && cp <= 0xE007F) return 'タグ文字: 地域の旗などを指定する';
+    if (cp === 0x3099) return '結合用濁点: 直前の文字に「゛」を付ける';
+    if (cp === 0x309A) return '結合用半濁点: 直前の文字に「゜」を付ける';
+    if (/\p{M}/u.test(char)) return '結合文字: 直前の文字に記号を付ける';
+    return '基本の文字';
 };
 
 const analyzeText = (text) => {
     if (!text) return [];
     
-    const chars = Array.from(text);
+    const chars = segmentGraphemes(text);
     
     return chars.map((char, index) => {
-        const utf8 = toUTF8Array(char);
-        const sjis = toSJISArray(char);
-        
-        // SJIS判定: ライブラリがない、または変換結果が怪しい場合
-        const isSjisValid = sjis && !(sjis.length === 1 && sjis[0] === 0x3F && char !== '?');
-
-        return {
+        const codePoints = Array.from(char).map(part => ({
+            char: part,
+            codePoint: formatCodePoint(part),
+            role: describeCodePoint(part),
+            utf8: toHexString(toUTF8Array(part))
+        }));
+        const item = {
             id: index,
             char: char,
-            codePoint: 'U+' + char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'),
-            utf8: {
-                bytes: utf8,
-                length: utf8.length,
-                hex: toHexString(utf8),
-                binary: toBinaryString(utf8)
-            },
-            sjis: {
-                bytes: sjis || [],
-                length: isSjisValid ? sjis.length : 0,
-                hex: toHexString(sjis || []),
-                binary: toBinaryString(sjis || []),
-                isValid: isSjisValid
-            }
+            codePoint: codePoints.map(part => part.codePoint).join(' '),
+            codePoints: codePoints
         };
+        // item.utf8, item.sjis, item.eucjp ... の形で各文字コードの結果を持つ（クラスタ全体のバイト数）
+        ENCODINGS.forEach(encoding => {
+            item[encoding.id] = encodeEntry(encoding, char);
+        });
+        return item;
     });
 };
 
-// ==========================================
-// 3. Services
-// ==========================================
-
-let aiClient = null;
-
-const getClient = () => {
-    if (!API_KEY) return null;
-    if (!aiClient) {
-        aiClient = new GoogleGenAI({ apiKey: API_KEY });
+// 配列をシャッフルした新しい配列を返す (Fisher-Yates)
+const shuffle = (array) => {
+    const result = [...array];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
     }
-    return aiClient;
+    return result;
 };
 
-const askAITeacher = async (question, context = "") => {
-    const client = getClient();
-    if (!client) throw new Error("APIキー未設定");
+const pickRandom = (array) => array[Math.floor(Math.random() * array.length)];
 
-    try {
-        const prompt = `
-        あなたは高校「情報I」の先生です。
-        文脈: ${context}
-        質問: ${question}
-        回答ルール: 300文字以内。専門用語は例え話で解説。フレンドリーに。
-        `;
-        const response = await client.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: prompt,
-        });
-        return response.text;
-    } catch (error) {
-        console.error("Gemini Error:", error);
-        throw new Error("AI先生が応答しませんでした。");
+// UTF-8のバイト数ごとの形と、x に入るビット数
+const UTF8_TEMPLATES = [
+    { pattern: '0xxxxxxx', payloadBits: 7 },
+    { pattern: '110xxxxx 10xxxxxx', payloadBits: 11 },
+    { pattern: '1110xxxx 10xxxxxx 10xxxxxx', payloadBits: 16 },
+    { pattern: '11110xxx 10xxxxxx 10xxxxxx 10xxxxxx', payloadBits: 21 },
+];
+
+// 1文字についての、だんだん答えに近づくヒント（文言は MESSAGES の practice.hint.*）
+const conversionHints = (item, encodingId) => {
+    const entry = item[encodingId];
+    if (encodingId === 'sjis') {
+        if (entry.length === 1) {
+            return [{ key: 'practice.hint.sjisAscii' }, { key: 'practice.hint.binary', params: { binary: entry.binary } }];
+        }
+        const { ku, ten } = sjisToKuten(entry.bytes[0], entry.bytes[1]);
+        return [
+            { key: 'practice.hint.kuten', params: { char: item.char, ku, ten } },
+            { key: 'practice.hint.sjisRanges', params: { lead: SJIS_LEAD_RANGES, trail: SJIS_TRAIL_RANGES } },
+            { key: 'practice.hint.binaryToHex', params: { binary: entry.binary } },
+        ];
     }
+    const template = UTF8_TEMPLATES[entry.length - 1];
+    const codePoint = item.char.codePointAt(0);
+    return [
+        { key: 'practice.hint.codePoint', params: { char: item.char, codePoint: item.codePoint } },
+        { key: 'practice.hint.utf8Template', params: { codePoint: item.codePoint, length: entry.length, pattern: template.pattern } },
+        { key: 'practice.hint.payload', params: { bits: template.payloadBits, payload: codePoint.toString(2).padStart(template.payloadBits, '0') } },
+        { key: 'practice.hint.binaryToHex', params: { binary: entry.binary } },
+    ];
 };
 
-// ==========================================
-// 4. Components
-// ==========================================
+/**
+ * 練習問題を1問作る
+ * 戻り値: { type, level, encoding, text, prompt, display, expected, hints }
+ * prompt と hints の各要素は { key, params }（t(key, params) で表示する）
+ * display は問題として見せるバイト列（fromBinary のときだけ）
+ */
+const generateExercise = (levelId) => {
+    const level = PRACTICE_LEVELS.find(l => l.id === levelId) || PRACTICE_LEVELS[0];
+    const encoding = ENCODINGS.find(e => e.id === level.encoding);
+    const pool = segmentGraphemes(level.chars);
+    const type = pickRandom(level.types);
+    const base = { type, level, encoding, display: null };
 
-const Card = ({ children, className = "", title, headerAction }) => (
-    <div className={`bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden ${className}`}>
-        {title && (
-            <div className="bg-slate-50 px-4 py-3 border-b border-slate-100 flex justify-between items-center">
-                <h3 className="text-sm font-bold text-slate-700 uppercase tracking-wider">{title}</h3>
-                {headerAction}
-            </div>
-        )}
-        <div className="p-4 md:p-6">
-            {children}
-        </div>
-    </div>
-);
+    if (type === 'byteCount') {
+        // 英数字が混ざった文字列のほうが、文字ごとにバイト数が違うことに気づける
+        const ascii = segmentGraphemes(PRACTICE_LEVELS[0].chars);
+        const length = 3 + Math.floor(Math.random() * 3);
+        const text = Array.from({ length }, (_, i) => pickRandom(i % 2 === 1 ? ascii : pool)).join('');
+        const analysis = analyzeText(text);
+        return {
+            ...base,
+            text,
+            prompt: { key: 'practice.prompt.byteCount', params: { text, encoding: encoding.label } },
+            expected: String(analysis.reduce((sum, item) => sum + item[encoding.id].length, 0)),
+            hints: [
+                { key: `practice.hint.byteCount.${encoding.id}` },
+                { key: 'practice.hint.perChar', params: { counts: analysis.map(item => `${item.char}: ${item[encoding.id].length}`).join(' / ') } },
+            ],
+        };
+    }
 
-const Button = ({ onClick, children, variant = "primary", className = "", disabled = false }) => {
-    const base = "px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center gap-2 justify-center";
-    const variants = {
-        primary: "bg-brand-600 text-white hover:bg-brand-500 shadow-md shadow-brand-500/20 disabled:opacity-50 disabled:cursor-not-allowed",
-        secondary: "bg-white text-slate-700 border border-slate-300 hover:bg-slate-50 hover:text-brand-600",
-        ghost: "text-slate-500 hover:text-brand-600 hover:bg-brand-50",
+    const char = pickRandom(pool);
+    const item = analyzeText(char)[0];
+    const entry = item[encoding.id];
+    if (type === 'fromBinary') {
+        const lookup = encoding.id === 'sjis'
+            ? { key: 'practice.hint.findKu', params: { ku: sjisToKuten(entry.bytes[0], entry.bytes[1]).ku } }
+            : { key: 'practice.hint.findCodePoint', params: { codePoint: item.codePoint } };
+        return {
+            ...base,
+            text: char,
+            display: entry.binary,
+            prompt: { key: 'practice.prompt.fromBinary', params: { encoding: encoding.label } },
+            expected: char,
+            hints: [
+                { key: 'practice.hint.hex', params: { hex: entry.hex } },
+                entry.length === 1 ? { key: 'practice.hint.asciiOrder' } : lookup,
+                ...(entry.length === 1 ? [{ key: 'practice.hint.codePointIs', params: { codePoint: item.codePoint } }] : []),
+            ],
+        };
+    }
+
+    return {
+        ...base,
+        text: char,
+        prompt: { key: 'practice.prompt.toHex', params: { text: char, encoding: encoding.label } },
+        expected: entry.hex,
+        hints: conversionHints(item, encoding.id),
     };
-    return (
-        <button onClick={onClick} className={`${base} ${variants[variant]} ${className}`} disabled={disabled}>
-            {children}
-        </button>
-    );
 };
 
-const BitVisualizer = ({ binaryString, isDarkBg = false }) => {
-    if (!binaryString) return null;
-    const bytes = binaryString.trim().split(/\s+/);
-    
-    return (
-        <div className="flex flex-col gap-2 items-start">
-            {bytes.map((byteStr, rowIdx) => (
-                <div key={rowIdx} className="flex items-center gap-3">
-                    <span className={`text-[10px] font-mono w-4 text-right select-none ${isDarkBg ? 'text-slate-500' : 'text-slate-400'}`}>
-                        {rowIdx + 1}
-                    </span>
-                    <div className="flex gap-1">
-                        {byteStr.split('').map((bit, colIdx) => (
-                            <div 
-                                key={colIdx}
-                                className={`
-                                    w-7 h-9 flex items-center justify-center rounded text-sm font-mono font-bold transition-all
-                                    ${bit === '1' 
-                                        ? 'bg-brand-500 text-white shadow-sm' 
-                                        : (isDarkBg 
-                                            ? 'bg-slate-800 text-slate-600 border border-slate-700' 
-                                            : 'bg-white text-slate-300 border border-slate-200')}
-                                `}
-                            >
-                                {bit}
-                            </div>
-                        ))}
-                    </div>
-                </div>
-            ))}
-        </div>
-    );
+/**
+ * 練習問題の答えを採点する（全角・半角、空白、大文字小文字、0x の有無は問わない）
+ * 戻り値: { correct, message: { key, params } }
+ */
+const gradeExercise = (exercise, rawAnswer) => {
+    const answer = rawAnswer.normalize('NFKC').trim();
+    const correct = { correct: true, message: { key: 'practice.grade.correct' } };
+    if (exercise.type === 'toHex') {
+        const hex = normalizeHex(answer);
+        if (!hex) return { correct: false, message: { key: 'practice.grade.hexFormat' } };
+        if (hex === exercise.expected) return correct;
+        const sameLength = hex.split(' ').length === exercise.expected.split(' ').length;
+        return { correct: false, message: { key: sameLength ? 'practice.grade.sameLength' : 'practice.grade.wrongLength' } };
+    }
+    if (exercise.type === 'byteCount') {
+        const count = answer.replace(/バイト|bytes?|B/gi, '').trim();
+        if (!/^\d+$/.test(count)) return { correct: false, message: { key: 'practice.grade.number' } };
+        return count === exercise.expected
+            ? correct
+            : { correct: false, message: { key: 'practice.grade.wrongCount', params: { count } } };
+    }
+    return answer === exercise.expected.normalize('NFKC')
+        ? correct
+        : { correct: false, message: { key: 'practice.grade.wrongChar', params: { answer } } };
 };
 
-const HexBadge = ({ hex }) => (
-    <span className="font-mono bg-slate-800 text-yellow-400 px-2 py-1 rounded text-sm tracking-wider shadow-sm">
-        {hex}
-    </span>
-);
+// 文字列全体のバイト数（ISO-2022-JPのエスケープシーケンスは文字列全体で数える必要がある）
+const summarizeEncodings = (text) => ENCODINGS.map(encoding => ({
+    encoding: encoding,
+    ...encodeEntry(encoding, text)
+}));
 
-const MojibakeSimulator = ({ input }) => {
-    const [saveMode, setSaveMode] = useState('UTF8'); // 'UTF8' | 'SJIS'
-    const [openMode, setOpenMode] = useState('SJIS'); // 'UTF8' | 'SJIS'
+// ------------------------------------------
+// バイト列の入力の読み取りとデコード
+// ------------------------------------------
 
-    // シミュレーション結果の計算（レンダリング時に同期的に処理）
-    const { savedBytes, resultText } = useMemo(() => {
-        if (!input || !window.Encoding) return { savedBytes: [], resultText: '' };
+// 名前は MESSAGES の byteFormat.{id}
+const BYTE_INPUT_FORMATS = ['auto', 'hex', 'binary', 'decimal'];
 
-        // 1. 保存プロセス (文字列 -> バイト列)
-        let bytes = [];
-        if (saveMode === 'UTF8') {
-            bytes = toUTF8Array(input);
-        } else {
-            bytes = toSJISArray(input) || [];
-        }
+// 入力の書き方から形式を推定する（8桁の0/1だけなら2進数、それ以外は16進数）
+const guessByteFormat = (tokens) => {
+    if (tokens.length > 0 && tokens.every(token => /^[01]+$/.test(token) && token.length % 8 === 0)) {
+        return 'binary';
+    }
+    return 'hex';
+};
 
-        // 2. 開くプロセス (バイト列 -> 文字列)
-        let text = '';
-        if (bytes.length > 0) {
-            try {
-                text = window.Encoding.convert(bytes, {
-                    to: 'UNICODE',
-                    from: openMode,
-                    type: 'string'
-                });
-            } catch (e) {
-                text = '（エラー：変換できませんでした）';
+/**
+ * "E3 81 82" / "01000001 01000010" / "227,129,130" のような入力をバイト配列にする
+ * 戻り値: { bytes, format, errors: [{ token, reason }] }  reason の説明は MESSAGES の byteInput.{reason}
+ */
+const parseByteInput = (text, format = 'auto') => {
+    const tokens = text.trim().split(/[\s,]+/).filter(Boolean);
+    const resolved = format === 'auto' ? guessByteFormat(tokens) : format;
+    const bytes = [];
+    const errors = [];
+
+    tokens.forEach(token => {
+        if (resolved === 'hex') {
+            const digits = token.replace(/^0x/i, '');
+            if (!/^[0-9a-f]+$/i.test(digits)) {
+                errors.push({ token, reason: 'hexDigits' });
+            } else if (digits.length % 2 !== 0) {
+                errors.push({ token, reason: 'hexOdd' });
+            } else {
+                for (let i = 0; i < digits.length; i += 2) bytes.push(parseInt(digits.slice(i, i + 2), 16));
+            }
+        } else if (resolved === 'binary') {
+            const digits = token.replace(/^0b/i, '');
+            if (!/^[01]+$/.test(digits)) {
+                errors.push({ token, reason: 'binaryDigits' });
+            } else if (digits.length % 8 !== 0) {
+                errors.push({ token, reason: 'binaryLength' });
+            } else {
+                for (let i = 0; i < digits.length; i += 8) bytes.push(parseInt(digits.slice(i, i + 8), 2));
+            }
+        } else {
+            if (!/^\d+$/.test(token) || Number(token) > 255) {
+                errors.push({ token, reason: 'decimalRange' });
+            } else {
+                bytes.push(Number(token));
             }
-        } else if (saveMode === 'SJIS' && input.length > 0) {
-            // SJIS変換で空になった＝対応文字がない
-            text = '（Shift-JIS非対応文字）';
         }
+    });
 
-        return { savedBytes: bytes, resultText: text };
-    }, [input, saveMode, openMode]);
+    return { bytes, format: resolved, errors };
+};
 
-    // 判定ロジック
-    // status: 'success' | 'lucky' | 'failure'
-    let status = 'failure';
-    if (saveMode === openMode) {
-        status = 'success';
-    } else if (resultText === input) {
-        // 設定は違うが、結果が入力と同じ（ASCII文字など）
-        status = 'lucky';
-    }
+/**
+ * バイト列をすべての文字コードでデコードし、もっともらしい順に並べる
+ * (detectEncoding の推定 -> 不正なバイトが少ない順 -> ENCODINGS の順)
+ */
+const rankDecodings = (bytes) => {
+    const detectedId = detectEncoding(bytes);
+    return ENCODINGS
+        .map((encoding, order) => {
+            const groups = encoding.decode(bytes);
+            const invalid = groups.filter(group => !group.valid);
+            return {
+                encoding,
+                groups,
+                invalid,
+                invalidBytes: invalid.reduce((acc, group) => acc + group.bytes.length, 0),
+                text: groups.map(group => group.char).join(''),
+                detected: encoding.id === detectedId,
+                order
+            };
+        })
+        .sort((a, b) => (b.detected - a.detected) || (a.invalidBytes - b.invalidBytes) || (a.order - b.order));
+};
 
-    const hexString = toHexString(savedBytes);
-    const displayHex = hexString.length > 30 ? hexString.substring(0, 30) + "..." : hexString;
+// ------------------------------------------
+// ファイルの読み込みと保存
+// ------------------------------------------
 
-    // 表示スタイルの定義
-    const styles = {
-        success: {
-            bg: 'bg-green-50',
-            border: 'border-green-200',
-            text: 'text-green-700',
-            icon: 'fa-check-circle',
-            title: '成功！正しい文字コードを選びました。',
-            desc: null
-        },
-        lucky: {
-            bg: 'bg-blue-50',
-            border: 'border-blue-200',
-            text: 'text-blue-700',
-            icon: 'fa-lightbulb',
-            title: 'おや？文字化けしませんでした！',
-            desc: '設定は合っていませんが、英数字（ASCII文字）はUTF-8でもShift-JISでも同じデータになるため、偶然正しく表示されました。'
-        },
-        failure: {
-            bg: 'bg-red-50',
-            border: 'border-red-200',
-            text: 'text-red-600',
-            icon: 'fa-triangle-exclamation',
-            title: '文字化け発生！',
-            desc: `${saveMode}で保存されたデータ(${savedBytes.length}バイト)を、無理やり${openMode}のルールで読もうとしたため、区切り位置がずれて別の文字になってしまいました。`
-        }
-    };
+// ファイル先頭のBOM（バイト順マーク）
+const BOMS = [
+    { bytes: [0xEF, 0xBB, 0xBF], encodingId: 'utf8', label: 'UTF-8 BOM' },
+    { bytes: [0xFF, 0xFE], encodingId: 'utf16le', label: 'UTF-16LE BOM' },
+    { bytes: [0xFE, 0xFF], encodingId: 'utf16be', label: 'UTF-16BE BOM' },
+];
 
-    const currentStyle = styles[status];
+const detectBOM = (bytes) => BOMS.find(bom => bom.bytes.every((b, i) => bytes[i] === b)) || null;
 
-    return (
-        <Card title="実験室：文字化けを発生させよう" className="border-indigo-100 bg-indigo-50/10">
-            <div className="mb-6 text-sm text-slate-600">
-                <p>
-                    「文字コード」が違うと、同じ「0と1のデータ」でも全く違う文字として表示されてしまいます。<br/>
-                    保存する形式と開く形式をあえて変えて、どのような文字化けが起こるか実験してみましょう。
-                </p>
-            </div>
+// ダウンロード用の保存形式（名前は MESSAGES の download.{id}）
+const DOWNLOAD_TARGETS = [
+    { id: 'utf8', encodingId: 'utf8', bom: [], suffix: 'utf8' },
+    { id: 'utf8bom', encodingId: 'utf8', bom: [0xEF, 0xBB, 0xBF], suffix: 'utf8bom' },
+    { id: 'sjis', encodingId: 'sjis', bom: [], suffix: 'sjis' },
+    { id: 'utf16', encodingId: 'utf16le', bom: [0xFF, 0xFE], suffix: 'utf16' },
+];
 
-            <div className="flex flex-col lg:flex-row gap-4 items-stretch justify-center">
-                
-                {/* STEP 1: 保存 */}
-                <div className="flex-1 bg-white p-4 rounded-xl border border-slate-200 shadow-sm flex flex-col">
-                    <div className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">STEP 1. 保存</div>
-                    <div className="flex-1 flex flex-col justify-center gap-3">
-                        <p className="text-sm font-bold text-slate-700">"{input}" をどう保存する？</p>
-                        <div className="flex gap-2">
-                            <button 
-                                onClick={() => setSaveMode('UTF8')}
-                                className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold transition-all border-2
-                                    ${saveMode === 'UTF8' 
-                                        ? 'border-brand-500 bg-brand-50 text-brand-700' 
-                                        : 'border-slate-100 bg-slate-50 text-slate-500 hover:bg-white hover:border-slate-300'}
-                                `}
-                            >
-                                UTF-8
-                            </button>
-                            <button 
-                                onClick={() => setSaveMode('SJIS')}
-                                className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold transition-all border-2
-                                    ${saveMode === 'SJIS' 
-                                        ? 'border-orange-500 bg-orange-50 text-orange-700' 
-                                        : 'border-slate-100 bg-slate-50 text-slate-500 hover:bg-white hover:border-slate-300'}
-                                `}
+// 授業で扱うテキストファイルの上限（大きすぎるとブラウザが固まるため）
+const MAX_FILE_SIZE = 1024 * 1024;
+
+/**
+ * 文字列を指定の文字コードでバイト列にする
+ * 表現できない文字は「?」に置き換え、その一覧を unsupported として返す
+ */
+const encodeTextForDownload = (text, encodingId) => {
+    const encoding = ENCODINGS.find(e => e.id === encodingId);
+    const unsupported = Array.from(new Set(Array.from(text))).filter(char => encoding.encode(char) === null);
+    const safeText = unsupported.length > 0
+        ? Array.from(text).map(char => (unsupported.includes(char) ? '?' : char)).join('')
+        : text;
+    return { bytes: encoding.encode(safeText) || [], unsupported };
+};
+
+// ダウンロード用の URL を解放するまでの時間 (ms)
+// click() はダウンロードの開始を待たないので、すぐに解放すると取り消してしまうブラウザがある (Safari, Firefox)
+const DOWNLOAD_URL_LIFETIME = 10000;
+
+const downloadBytes = (bytes, filename) => {
+    const blob = new Blob([new Uint8Array(bytes)], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+};
+
+// CSVの1セル。カンマや改行、引用符を含んでも崩れないよう常に " で囲む
+const csvCell = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+/**
+ * analyzeText の結果を1文字1行のCSVにする
+ * Excelで開いても文字化けしないよう、先頭にBOMを付ける（見出しは t で表示言語に合わせる）
+ */
+const buildAnalysisCSV = (analysis, t) => {
+    const header = [t('csv.index'), t('csv.char'), t('csv.codePoint'), ...ENCODINGS.flatMap(encoding => [
+        t('csv.hex', { encoding: encoding.label }), t('csv.binary', { encoding: encoding.label }), t('csv.length', { encoding: encoding.label }),
+    ])];
+    const rows = analysis.map(item => [
+        item.id + 1,
+        item.char,
+        item.codePoint,
+        ...ENCODINGS.flatMap(encoding => {
+            const entry = item[encoding.id];
+            return entry.isValid ? [entry.hex, entry.binary, entry.length] : [t('csv.unsupported'), '', ''];
+        }),
+    ]);
+    return '\uFEFF' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+const buildAnalysisJSON = (text, analysis) => JSON.stringify({ text, characters: analysis }, null, 2);
+
+/**
+ * 長文をバイト列にして、バイトと文字の対応表を作る（16進ダンプ用）
+ * 戻り値: { bytes, chars: [{ char, start, length }], byteToChar, unsupported }
+ *   byteToChar[i]: i番目のバイトが属する文字の番号（エスケープシーケンスは -1）
+ */
+const buildHexDump = (text, encodingId) => {
+    const encoding = ENCODINGS.find(e => e.id === encodingId);
+    const { bytes, unsupported } = encodeTextForDownload(text, encodingId);
+    const byteToChar = new Int32Array(bytes.length).fill(-1);
+    const chars = [];
+
+    // 実際のバイト列を同じ文字コードで読み直して区切る（ISO-2022-JPのような状態を持つ方式にも対応できる）
+    encoding.decode(bytes).forEach(group => {
+        if (group.char === '') return;
+        const index = chars.length;
+        chars.push({ char: group.char, start: group.start, length: group.bytes.length });
+        group.bytes.forEach((_, k) => { byteToChar[group.start + k] = index; });
+    });
+
+    return { bytes, chars, byteToChar, unsupported };
+};
+
+// ------------------------------------------
+// ビットマップフォント
+// ------------------------------------------
+
+/**
+ * 文字を size×size ドットのビットマップにする（canvasに描いて、濃さが半分以上のドットを1とする）
+ * 戻り値: 0/1 の2次元配列 [行][列]
+ */
+const rasterizeGlyph = (char, size, fontCss) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    ctx.font = `${size}px ${fontCss}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#000';
+    ctx.fillText(char, size / 2, size / 2 + size * 0.05);
+
+    const { data } = ctx.getImageData(0, 0, size, size);
+    return Array.from({ length: size }, (_, y) => (
+        Array.from({ length: size }, (_, x) => (data[(y * size + x) * 4 + 3] >= 128 ? 1 : 0))
+    ));
+};
+
+const createEmptyGlyph = (size) => Array.from({ length: size }, () => Array(size).fill(0));
+
+// ビットマップの各行を "0101..." の文字列にする（BitVisualizer に1行ずつ渡す）
+const glyphToBinaryRows = (glyph) => glyph.map(row => row.join(''));
+
+// ビットマップをバイト列にする（1行ずつ、8ドットで1バイト）
+const glyphToBytes = (glyph) => glyph.flatMap(row => {
+    const bytes = [];
+    for (let i = 0; i < row.length; i += 8) {
+        bytes.push(parseInt(row.slice(i, i + 8).join('').padEnd(8, '0'), 2));
+    }
+    return bytes;
+});
+
+// ------------------------------------------
+// 自作の文字コード
+// ------------------------------------------
+
+// count 種類を区別するのに必要なビット数
+const bitsNeeded = (count) => (count <= 1 ? 1 : Math.ceil(Math.log2(count)));
+
+/**
+ * 自作の文字コード表でメッセージを符号化する
+ * table: コード番号 -> 文字 の配列（未割り当ては ''）
+ * 戻り値: { codes: [{ char, code }], missing: [表にない文字] }  code は表にない文字なら null
+ */
+const encodeWithTable = (message, table) => {
+    const codes = segmentGraphemes(message).map(char => {
+        const code = table.indexOf(char);
+        return { char, code: code >= 0 ? code : null };
+    });
+    const missing = Array.from(new Set(codes.filter(c => c.code === null).map(c => c.char)));
+    return { codes, missing };
+};
+
+/**
+ * ビット列を自作の文字コード表で読む
+ * 戻り値: { chunks: [{ bits, code, char }], leftover: 余ったビット, invalidInput: 0/1以外を含むか }
+ * 未割り当てのコードは char が ''
+ */
+const decodeWithTable = (bitText, table, width) => {
+    const bits = bitText.replace(/\s/g, '');
+    const invalidInput = /[^01]/.test(bits);
+    if (invalidInput) return { chunks: [], leftover: '', invalidInput };
+
+    const chunks = [];
+    const usable = bits.length - (bits.length % width);
+    for (let i = 0; i < usable; i += width) {
+        const chunk = bits.slice(i, i + width);
+        const code = parseInt(chunk, 2);
+        chunks.push({ bits: chunk, code, char: table[code] || '' });
+    }
+    return { chunks, leftover: bits.slice(usable), invalidInput };
+};
+
+const fontId = (font) => font.family.replace(/^font-/, '');
+const findFont = (id) => FONTS.find(font => fontId(font) === id) || FONTS[0];
+
+/**
+ * URLのハッシュ (#view=converter&text=...) から画面の状態を読み取る
+ * 知らない値や壊れた値は既定値に戻す（共有リンクが古くても開けるように）
+ */
+const parseLessonHash = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const pick = (key, allowed, fallback) => (allowed.includes(params.get(key)) ? params.get(key) : fallback);
+
+    const text = params.get('text');
+    const longText = params.get('long');
+    const index = parseInt(params.get('char') || '', 10);
+    return {
+        view: pick('view', VIEW_IDS, DEFAULT_LESSON_STATE.view),
+        input: text === null ? DEFAULT_LESSON_STATE.input : segmentGraphemes(text).slice(0, MAX_INPUT_CHARS).join(''),
+        mode: pick('mode', ['short', 'long'], DEFAULT_LESSON_STATE.mode),
+        selectedIndex: Number.isInteger(index) && index >= 0 ? index : DEFAULT_LESSON_STATE.selectedIndex,
+        font: pick('font', FONTS.map(fontId), DEFAULT_LESSON_STATE.font),
+        saveMode: pick('save', ['UTF8', 'SJIS'], DEFAULT_LESSON_STATE.saveMode),
+        openMode: pick('open', ['UTF8', 'SJIS'], DEFAULT_LESSON_STATE.openMode),
+        longText: longText === null ? DEFAULT_LESSON_STATE.longText : truncateGraphemes(longText, MAX_LONG_TEXT_URL_CHARS),
+        longEncoding: pick('enc', ENCODINGS.map(encoding => encoding.id), DEFAULT_LESSON_STATE.longEncoding),
+    };
+};
+
+// parseLessonHash の逆。同じ状態からは必ず同じ文字列になる
+// 長文は長文モードのときだけ入れる（ふだんのリンクまで長くならないように）
+const buildLessonHash = (state) => '#' + new URLSearchParams({
+    view: state.view,
+    text: state.input,
+    mode: state.mode,
+    char: String(state.selectedIndex),
+    font: state.font,
+    save: state.saveMode,
+    open: state.openMode,
+    ...(state.mode === 'long' && {
+        long: truncateGraphemes(state.longText, MAX_LONG_TEXT_URL_CHARS),
+        enc: state.longEncoding,
+    }),
+}).toString();
+
+// ==========================================
+// 3. Services
+// ==========================================
+
+// --- Display Preferences ---
+// 表示言語やコントラストは端末ごとの好みなので、共有リンクではなく localStorage に保存する
+
+const LANGUAGE_KEY = 'digimoji-language';
+
+const loadLanguage = () => {
+    try {
+        const saved = window.localStorage.getItem(LANGUAGE_KEY);
+        return LANGUAGES.some(language => language.id === saved) ? saved : 'ja';
+    } catch (e) {
+        return 'ja';
+    }
+};
+
+const saveLanguage = (language) => {
+    try {
+        window.localStorage.setItem(LANGUAGE_KEY, language);
+    } catch (e) {
+        console.error("Language Save Error:", e);
+    }
+};
+
+// ハイコントラスト表示。保存していなければ、OSの「コントラストを上げる」設定に合わせる
+const HIGH_CONTRAST_KEY = 'digimoji-high-contrast';
+
+const loadHighContrast = () => {
+    try {
+        const saved = window.localStorage.getItem(HIGH_CONTRAST_KEY);
+        if (saved !== null) return saved === 'true';
+    } catch (e) {
+        // 読めなければOSの設定に合わせる
+    }
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches);
+};
+
+const saveHighContrast = (enabled) => {
+    try {
+        window.localStorage.setItem(HIGH_CONTRAST_KEY, String(enabled));
+    } catch (e) {
+        console.error("Contrast Save Error:", e);
+    }
+};
+
+const formatTerm = (language, id) => {
+    const term = TERMS[id];
+    if (!term) return id;
+    return language === 'bilingual' ? `${term.ja} / ${term.en}` : term[language] || term.ja;
+};
+
+/**
+ * 文言を表示言語に合わせて取り出す（bilingual は日本語の文に英語の用語を併記）
+ * 用語を先に置き換えるので、差し込む値（生徒の入力など）の中の [[...]] はそのまま表示される
+ */
+const translate = (language, key, params = {}) => {
+    const template = MESSAGES[language === 'en' ? 'en' : 'ja'][key] ?? MESSAGES.ja[key] ?? key;
+    return template
+        .replace(/\[\[(\w+)\]\]/g, (match, id) => formatTerm(language, id))
+        .replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+// 解読できなかった理由やコードポイントの役割（英語表示のときだけ訳す）
+const translateReason = (language, reason) => (language === 'en' && DECODE_REASONS_EN[reason]) || reason;
+const translateRole = (language, role) => (language === 'en' && CODE_POINT_ROLES_EN[role]) || role;
+
+// --- AI Providers ---
+// provider.chat(settings, { system, messages, json }, onText) は回答全文を返す
+// messages: [{ role: 'user' | 'model', text }]、onText(ここまでの回答全文) は届くたびに呼ばれる
+
+let aiClient = null;
+let aiClientKey = '';
+
+const getGeminiClient = (apiKey) => {
+    if (!aiClient || aiClientKey !== apiKey) {
+        aiClient = new GoogleGenAI({ apiKey });
+        aiClientKey = apiKey;
+    }
+    return aiClient;
+};
+
+const chatWithGemini = async (settings, { system, messages, json }, onText) => {
+    const stream = await getGeminiClient(settings.apiKey).models.generateContentStream({
+        model: settings.model || 'gemini-2.5-flash',
+        contents: messages.map(message => ({ role: message.role, parts: [{ text: message.text }] })),
+        config: { systemInstruction: system, ...(json ? { responseMimeType: "application/json" } : {}) },
+    });
+    let text = '';
+    for await (const chunk of stream) {
+        text += chunk.text || '';
+        onText(text);
+    }
+    return text;
+};
+
+// OpenAI互換の /chat/completions （校内のローカルモデルサーバーなど）。応答はSSEで少しずつ届く
+const chatWithOpenAICompatible = async (settings, { system, messages }, onText) => {
+    const response = await fetch(`${settings.endpoint.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+            model: settings.model,
+            stream: true,
+            messages: [
+                { role: 'system', content: system },
+                ...messages.map(message => ({ role: message.role === 'model' ? 'assistant' : 'user', content: message.text })),
+            ],
+        }),
+    });
+    if (!response.ok || !response.body) throw new Error(`HTTP ${response.status}`);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            const data = line.replace(/^data:\s*/, '').trim();
+            if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+            const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onText(text);
+            }
+        }
+    }
+    return text;
+};
+
+// 練習用のオフライン先生：質問に含まれる言葉で、用意した解説を選んで返す（同じ質問には同じ答え）
+const MOCK_TUTOR_ANSWERS = [
+    {
+        keywords: ['文字化け', 'mojibake', 'garbled'],
+        answer: '文字化けは「保存したときのルール」と「開くときのルール」が違うと起きます。たとえばUTF-8で書いた手紙を、Shift-JISの辞書で読もうとするようなもの。バイトの区切り方がずれて、別の文字として読まれてしまうんです。',
+        more: 'ラボの「文字化けを発生させよう」で、保存と開くを別々にしてみてください。1文字3バイトのUTF-8を2バイトずつ読むと、区切りがずれていく様子が色で見えますよ。',
+        en: {
+            answer: 'Mojibake happens when the rules used to save text differ from the rules used to open it. It is like writing a letter in UTF-8 and reading it with a Shift-JIS dictionary: the bytes get split in the wrong places and are read as different characters.',
+            more: 'In the Lab, try the mojibake experiment with different save and open settings. When UTF-8 (3 bytes per character) is read 2 bytes at a time, the colors show how the boundaries drift.',
+        },
+    },
+    {
+        keywords: ['UTF-8', 'utf-8', 'utf8'],
+        answer: 'UTF-8は世界中の文字を1〜4バイトで表すルールです。英数字は1バイト、ひらがなや漢字は多くが3バイト、絵文字は4バイト。先頭バイトの最初のビットを見ると、その文字が何バイトかわかる仕組みになっています。',
+        more: '先頭バイトが 0xxxxxxx なら1バイト、110xxxxx なら2バイト、1110xxxx なら3バイト、11110xxx なら4バイトの文字です。続きのバイトは必ず 10xxxxxx で始まります。',
+        en: {
+            answer: 'UTF-8 represents every character in the world with 1 to 4 bytes. Letters and digits take 1 byte, most hiragana and kanji take 3, and emoji take 4. The first bits of the lead byte tell you how many bytes the character has.',
+            more: 'A lead byte of 0xxxxxxx means a 1-byte character, 110xxxxx means 2 bytes, 1110xxxx means 3 bytes and 11110xxx means 4 bytes. Continuation bytes always start with 10xxxxxx.',
+        },
+    },
+    {
+        keywords: ['Shift-JIS', 'shift-jis', 'SJIS', 'シフトJIS'],
+        answer: 'Shift-JISは日本語用の古い文字コードで、英数字は1バイト、ひらがなや漢字は2バイトで表します。日本語だけならUTF-8より少ないバイト数で済みますが、絵文字や外国の文字の多くは表せません。',
+        more: '2バイト文字の1バイト目は 81〜9F か E0〜FC の範囲にあります。JIS X 0208 の区点番号を、計算でこの範囲に「ずらして（シフトして）」いるのが名前の由来です。',
+        en: {
+            answer: 'Shift-JIS is an older encoding made for Japanese. Letters and digits take 1 byte, and hiragana and kanji take 2. Japanese-only text is smaller than in UTF-8, but most emoji and foreign characters cannot be represented.',
+            more: 'The first byte of a 2-byte character is in the range 81-9F or E0-FC. The name comes from "shifting" the JIS X 0208 row and cell numbers into this range by calculation.',
+        },
+    },
+    {
+        keywords: ['ビット', 'バイト', 'bit', 'byte', 'Bit', 'Byte'],
+        answer: 'ビットは0か1の1けた、バイトはビット8個のまとまりです。1バイトで 2の8乗 = 256 通りを区別できます。文字コードは「どの文字に何番を割り当てるか」を決めた表なんです。',
+        more: '256通りでは漢字が足りないので、日本語の文字コードは2バイト（65536通り）以上を使います。解読タブのビットエディタで1ビットずつ変えて試してみましょう。',
+        en: {
+            answer: 'A bit is a single 0 or 1, and a byte is a group of 8 bits. One byte can tell apart 2 to the 8th power = 256 values. A character encoding is a table that decides which number each character gets.',
+            more: '256 values are not enough for kanji, so Japanese encodings use 2 bytes (65,536 values) or more. Try flipping bits one at a time in the bit editor on the Decoder tab.',
+        },
+    },
+    {
+        keywords: ['ASCII', 'ascii', 'アスキー'],
+        answer: 'ASCIIは英数字と記号を7ビット（128通り）で表す、いちばん基本的な文字コードです。UTF-8もShift-JISも英数字の部分はASCIIと同じなので、英語だけの文章は文字化けしにくいんです。',
+        more: '「A」は 0x41、「a」は 0x61 です。大文字と小文字は、ちょうど1ビット（0x20）だけ違います。',
+        en: {
+            answer: 'ASCII is the most basic encoding. It represents letters, digits and symbols with 7 bits (128 values). UTF-8 and Shift-JIS both match ASCII for these characters, so English-only text rarely turns into mojibake.',
+            more: '"A" is 0x41 and "a" is 0x61. Upper and lower case differ by exactly one bit (0x20).',
+        },
+    },
+    {
+        keywords: ['絵文字', 'サロゲート', 'Unicode', 'ユニコード', 'emoji', 'Emoji', 'surrogate'],
+        answer: 'Unicodeは世界中の文字に番号（コードポイント）を付けた表です。UTF-8やUTF-16は、その番号をバイト列にする方法の違い。絵文字は番号が大きいので、UTF-8では4バイト、UTF-16ではサロゲートペア（2単位）になります。',
+        more: '肌の色を変えた絵文字や家族の絵文字は、いくつものコードポイントをつないだ「1つに見える文字」です。ラボで入力すると中身が分解して見られます。',
+        en: {
+            answer: 'Unicode is a table that gives a number (a code point) to every character in the world. UTF-8 and UTF-16 are different ways of turning that number into bytes. Emoji have large numbers, so they take 4 bytes in UTF-8 and a surrogate pair (2 units) in UTF-16.',
+            more: 'Emoji with skin tones or family emoji are several code points joined into something that looks like one character. Type one in the Lab to see it taken apart.',
+        },
+    },
+];
+
+const MOCK_FALLBACK_ANSWER = 'これはオフラインの練習用モードです。「UTF-8」「Shift-JIS」「文字化け」「ビット」「ASCII」「絵文字」などの言葉を入れて質問すると、用意された解説を答えます。続けて「もっと詳しく」と聞くこともできます。';
+const MOCK_FALLBACK_ANSWER_EN = 'This is the offline practice mode. Ask a question with words such as "UTF-8", "Shift-JIS", "mojibake", "bit", "ASCII" or "emoji" and you will get a prepared explanation. You can also follow up with "tell me more".';
+
+// 擬似的に少しずつ表示するときの区切り (文字数) と間隔 (ms)
+const MOCK_CHUNK_SIZE = 8;
+const MOCK_CHUNK_INTERVAL = 30;
+
+const chatWithMock = async (settings, { messages, language }, onText) => {
+    const findTopic = (text) => MOCK_TUTOR_ANSWERS.find(topic => topic.keywords.some(keyword => text.includes(keyword)));
+    // 英語表示のときだけ英語の解説を使う（bilingual は日本語）
+    const localize = (topic) => (language === 'en' ? topic.en : topic);
+
+    const questions = messages.filter(message => message.role === 'user');
+    const latest = questions[questions.length - 1]?.text || '';
+    let answer = language === 'en' ? MOCK_FALLBACK_ANSWER_EN : MOCK_FALLBACK_ANSWER;
+    const topic = findTopic(latest);
+    if (topic) {
+        answer = localize(topic).answer;
+    } else if (/もっと|詳しく|くわしく|more|detail/i.test(latest)) {
+        // 言葉が入っていない続きの質問は、直前の話題を掘り下げる
+        const previous = questions.slice(0, -1).reverse().map(message => findTopic(message.text)).find(Boolean);
+        if (previous) answer = localize(previous).more;
+    }
+
+    let text = '';
+    for (let i = 0; i < answer.length; i += MOCK_CHUNK_SIZE) {
+        await new Promise(resolve => setTimeout(resolve, MOCK_CHUNK_INTERVAL));
+        text = answer.slice(0, i + MOCK_CHUNK_SIZE);
+        onText(text);
+    }
+    return text;
+};
+
+// fields: 設定画面で入力する項目、required: 空だと使えない項目
+// 名前と説明は MESSAGES の provider.{id} と provider.{id}.description
+const AI_PROVIDERS = [
+    {
+        id: 'off',
+        fields: [],
+        required: [],
+    },
+    {
+        id: 'gemini',
+        fields: ['apiKey', 'model'],
+        required: ['apiKey'],
+        modelPlaceholder: 'gemini-2.5-flash',
+        chat: chatWithGemini,
+        needsNetwork: () => true,
+    },
+    {
+        id: 'openai',
+        fields: ['endpoint', 'apiKey', 'model'],
+        required: ['endpoint', 'model'],
+        modelPlaceholder: 'llama3.1',
+        chat: chatWithOpenAICompatible,
+        // 同じパソコンで動かしているサーバーなら、ネットが切れていても使える
+        needsNetwork: (settings) => !/^https?:\/\/(localhost|127\.0\.0\.1)(:|\/|$)/.test(settings.endpoint),
+    },
+    {
+        id: 'mock',
+        fields: [],
+        required: [],
+        chat: chatWithMock,
+    },
+];
+
+const findProvider = (settings) => AI_PROVIDERS.find(provider => provider.id === settings.provider) || AI_PROVIDERS[0];
+
+// 必要な項目がそろっていて、実際に問い合わせできるか
+const isAIAvailable = (settings) => {
+    const provider = findProvider(settings);
+    return Boolean(provider.chat) && provider.required.every(field => settings[field]);
+};
+
+// ネットにつながっていない間は、ネットが必要な接続先の代わりに練習用の先生で答える（設定そのものは変えない）
+const resolveAISettings = (settings, online) => {
+    const provider = findProvider(settings);
+    if (online || !provider.needsNetwork || !provider.needsNetwork(settings)) return settings;
+    return { ...settings, provider: 'mock', offline: true };
+};
+
+const loadAISettings = () => {
+    try {
+        return { ...DEFAULT_AI_SETTINGS, ...JSON.parse(window.localStorage.getItem(AI_SETTINGS_KEY) || '{}') };
+    } catch (e) {
+        return DEFAULT_AI_SETTINGS;
+    }
+};
+
+const saveAISettings = (settings) => {
+    try {
+        window.localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.error("Settings Save Error:", e);
+    }
+};
+
+// AI先生に送る会話の最大件数（古いものから捨てる）
+const MAX_CHAT_MESSAGES = 20;
+
+// AI先生への指示（表示言語ごと）
+const TUTOR_PROMPTS = {
+    ja: (context) => `
+        あなたは高校「情報I」の先生です。生徒と会話しながら文字コードについて教えます。
+        文脈: ${context}
+        回答ルール: 1回の回答は300文字以内。専門用語は例え話で解説。フレンドリーに。
+        `,
+    en: (context) => `
+        You are a high school computer science teacher. You teach character encodings through a conversation with a student.
+        Context: ${context}
+        Rules: Answer in English, within 120 words per reply. Explain technical terms with analogies. Be friendly.
+        `,
+    bilingual: (context) => `
+        あなたは高校「情報I」の先生です。生徒と会話しながら文字コードについて教えます。
+        文脈: ${context}
+        回答ルール: 1回の回答は300文字以内。専門用語は例え話で解説し、英語を併記する（例: 文字コード / character encoding）。フレンドリーに。
+        `,
+};
+
+/**
+ * AI先生と会話する（回答は少しずつ届く）
+ * messages: [{ role: 'user' | 'model', text }] 最後が今回の質問
+ * onText(ここまでの回答全文) が届くたびに呼ばれ、最後に回答全文を返す
+ */
+const chatWithAITeacher = async (settings, messages, context, onText, language = 'ja') => {
+    if (!isAIAvailable(settings)) throw new Error("AI未設定");
+
+    try {
+        const system = (TUTOR_PROMPTS[language] || TUTOR_PROMPTS.ja)(context);
+        return await findProvider(settings).chat(settings, { system, messages: messages.slice(-MAX_CHAT_MESSAGES), language }, onText);
+    } catch (error) {
+        console.error("AI Error:", error);
+        throw new Error("AI先生が応答しませんでした。");
+    }
+};
+
+// --- Learning Records ---
+// 学習記録はこの端末のブラウザだけに保存し、外部には送らない（先生へはファイルで提出する）
+
+const PROGRESS_KEY = 'digimoji-progress';
+const MAX_PROGRESS_EVENTS = 1000;
+
+const EMPTY_PROGRESS = {
+    student: { name: '', number: '' },
+    events: [],    // [{ type: 'quiz' | 'exercise', at, ... }]
+    chars: {},     // { 文字: 詳細を開いた回数 }
+    viewTime: {},  // { 画面id: 合計ミリ秒 }
+};
+
+const isRecord = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// 形の合わない記録（古い版や手で書き換えたもの）は読み込まず、空の記録から始める
+const loadProgress = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(PROGRESS_KEY) || '{}');
+        if (!isRecord(saved)) return EMPTY_PROGRESS;
+        const progress = { ...EMPTY_PROGRESS, ...saved };
+        const valid = isRecord(progress.student) && Array.isArray(progress.events) && isRecord(progress.chars) && isRecord(progress.viewTime);
+        return valid ? progress : EMPTY_PROGRESS;
+    } catch (e) {
+        return EMPTY_PROGRESS;
+    }
+};
+
+const saveProgress = (progress) => {
+    try {
+        window.localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+    } catch (e) {
+        console.error("Progress Save Error:", e);
+    }
+};
+
+// 記録は画面の動作を止めないよう、失敗しても黙って続ける
+const updateProgress = (change) => saveProgress(change(loadProgress()));
+
+const addProgressEvent = (event) => updateProgress(progress => ({
+    ...progress,
+    events: [...progress.events, { ...event, at: new Date().toISOString() }].slice(-MAX_PROGRESS_EVENTS),
+}));
+
+const recordQuizResult = (score, total) => addProgressEvent({ type: 'quiz', score, total });
+
+// prompt は出題したときの表示言語の問題文
+const recordExercise = (exercise, { prompt, answer, correct, hints, revealed = false }) => addProgressEvent({
+    type: 'exercise',
+    level: exercise.level.id,
+    task: exercise.type,
+    prompt,
+    answer,
+    correct,
+    hints,
+    revealed,
+});
+
+const recordCharExplored = (char) => updateProgress(progress => ({
+    ...progress,
+    chars: { ...progress.chars, [char]: (progress.chars[char] || 0) + 1 },
+}));
+
+const recordViewTime = (view, ms) => {
+    if (ms < 1000) return;
+    updateProgress(progress => ({
+        ...progress,
+        viewTime: { ...progress.viewTime, [view]: (progress.viewTime[view] || 0) + ms },
+    }));
+};
+
+const formatRecordTime = (iso, language) => new Date(iso).toLocaleString(language === 'en' ? 'en-US' : 'ja-JP');
+
+/**
+ * 学習記録を先生が集計しやすい1行1件のCSVにする（名前・番号は全行に入れる）
+ */
+const buildProgressCSV = (progress, t, language) => {
+    const { name, number } = progress.student;
+    const header = [
+        t('records.number'), t('records.name'), t('records.csv.type'), t('records.csv.time'),
+        t('records.csv.content'), t('records.csv.result'), t('records.csv.hints'),
+    ];
+    const rows = [
+        ...progress.events.map(event => (event.type === 'quiz'
+            ? [number, name, t('nav.quiz'), formatRecordTime(event.at, language), '', `${event.score}/${event.total}`, '']
+            : [number, name, t('nav.practice'), formatRecordTime(event.at, language), event.prompt,
+                event.revealed ? t('records.csv.revealed') : event.correct ? t('records.csv.correct') : t('records.csv.wrong', { answer: event.answer }),
+                event.hints])),
+        ...Object.entries(progress.chars).map(([char, count]) => [number, name, t('records.chars'), '', char, t('unit.times', { count }), '']),
+        ...Object.entries(progress.viewTime).map(([view, ms]) => [
+            number, name, t('records.viewTime'), '', VIEW_IDS.includes(view) ? t(`nav.${view}`) : view, t('unit.minutes', { count: Math.round(ms / 60000) }), '',
+        ]),
+    ];
+    return '\uFEFF' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// --- Quiz Generation ---
+
+// AIの出力が不正だったときに作り直す回数（初回を含む）
+const MAX_QUIZ_ATTEMPTS = 3;
+
+// 採用したAI問題を保存しておく場所と件数
+const QUIZ_CACHE_KEY = 'digimoji-quiz-cache';
+const MAX_CACHED_QUIZZES = 100;
+
+// 表記ゆれ (UTF-8 / utf8 / Shift_JIS など) を吸収して比べる
+const normalizeName = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const findEncodingByName = (name) => ENCODINGS.find(encoding => (
+    normalizeName(encoding.label) === normalizeName(name) || encoding.id === normalizeName(name)
+));
+
+// 文章中に名前が出てくる文字コード
+const mentionedEncodings = (text) => ENCODINGS.filter(encoding => normalizeName(text).includes(normalizeName(encoding.label)));
+
+/**
+ * 問題に含まれる「この文字はこのバイト列」という主張を集める
+ * AIが申告した claims に加え、よくある2つの形は問題文から読み取る
+ *   ・「あ」をUTF-8の16進数で表すと？ → 答えがバイト列
+ *   ・`01000001` (UTF-8) が表す文字は？ → 答えが文字
+ */
+const collectByteClaims = (quiz) => {
+    const claims = Array.isArray(quiz.claims) ? [...quiz.claims] : [];
+    const encodings = mentionedEncodings(quiz.question);
+    if (encodings.length !== 1) return claims;
+    const encoding = encodings[0].label;
+
+    // 10進数の値やビット数を聞く問題の答え (65, 24 など) はバイト列として読まない
+    const answerBytes = parseAnswerBytes(quiz.question, quiz.answer);
+    const quotedChars = Array.from(quiz.question.matchAll(/「([^」]+)」/g), match => match[1])
+        .filter(text => segmentGraphemes(text).length === 1);
+    const literals = Array.from(quiz.question.matchAll(/`([^`]+)`/g), match => parseByteLiteral(match[1])).filter(Boolean);
+
+    if (answerBytes && quotedChars.length === 1) {
+        claims.push({ char: quotedChars[0], encoding, hex: answerBytes });
+    } else if (!answerBytes && segmentGraphemes(quiz.answer).length === 1 && literals.length === 1) {
+        claims.push({ char: quiz.answer, encoding, hex: literals[0] });
+    }
+    return claims;
+};
+
+// 主張が analyzeText の結果と合っているか。合わなければ理由を返す
+const checkByteClaim = (claim) => {
+    const encoding = findEncodingByName(String(claim.encoding || ''));
+    if (!encoding) return `確認できない文字コード「${claim.encoding}」`;
+    if (typeof claim.char !== 'string' || segmentGraphemes(claim.char).length !== 1) return `文字の指定が不正 (${claim.char})`;
+
+    const expected = analyzeText(claim.char)[0][encoding.id];
+    const claimed = parseByteLiteral(String(claim.hex || ''));
+    if (!expected.isValid) return `「${claim.char}」は${encoding.label}で表せない`;
+    if (claimed !== expected.hex) return `「${claim.char}」の${encoding.label}は ${expected.hex} だが ${claim.hex} としている`;
+    return null;
+};
+
+/**
+ * AIが作った問題を検査する。問題なければ空配列、あれば理由の一覧を返す
+ */
+const validateQuiz = (quiz) => {
+    if (!quiz || typeof quiz !== 'object') return ['JSONのオブジェクトではない'];
+    const errors = [];
+    const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+    if (!isText(quiz.question)) errors.push('question がない');
+    if (!isText(quiz.explanation)) errors.push('explanation がない');
+    if (!Array.isArray(quiz.options) || quiz.options.length !== 4 || !quiz.options.every(isText)) {
+        errors.push('options が4つの文字列になっていない');
+    } else {
+        if (new Set(quiz.options.map(option => option.trim())).size !== 4) errors.push('options に同じ選択肢がある');
+        if (!quiz.options.includes(quiz.answer)) errors.push('answer が options の中にない');
+    }
+    if (quiz.claims !== undefined && !Array.isArray(quiz.claims)) errors.push('claims が配列でない');
+    if (errors.length > 0) return errors;
+
+    collectByteClaims(quiz).forEach(claim => {
+        const error = checkByteClaim(claim);
+        if (error) errors.push(error);
+    });
+    return errors;
+};
+
+// 同じ問題かどうかは、空白や記号を除いた問題文で判定する
+const quizKey = (quiz) => quiz.question.replace(/[\s`、。？?！!「」()（）]/g, '').toLowerCase();
+
+const loadQuizCache = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(QUIZ_CACHE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(quiz => validateQuiz(quiz).length === 0) : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+// 新しい問題なら保存して true、すでにある問題なら false
+const addToQuizCache = (quiz) => {
+    const cache = loadQuizCache();
+    if (cache.some(cached => quizKey(cached) === quizKey(quiz))) return false;
+    try {
+        window.localStorage.setItem(QUIZ_CACHE_KEY, JSON.stringify([...cache, quiz].slice(-MAX_CACHED_QUIZZES)));
+    } catch (e) {
+        console.error("Quiz Cache Error:", e);
+    }
+    return true;
+};
+
+const generateQuiz = async (settings) => {
+    // フォールバック（保存済みの問題・同梱の問題バンク）はUI側で処理
+    if (!isAIAvailable(settings) || settings.provider === 'mock') throw new Error("AI_UNAVAILABLE");
+
+    const recent = loadQuizCache().slice(-5).map(quiz => `- ${quiz.question}`).join('\n');
+    let feedback = '';
+    for (let attempt = 1; attempt <= MAX_QUIZ_ATTEMPTS; attempt++) {
+        try {
+            const prompt = `
+            高校「情報I」の単元「文字のデジタル化」に関する4択クイズを1問作成してください。
+            次のJSON形式のみを返すこと（Markdownの装飾は不要）:
+            {"question": "問題文", "options": ["選択肢1", "選択肢2", "選択肢3", "選択肢4"], "answer": "正解の選択肢文字列", "explanation": "解説", "claims": [{"char": "あ", "encoding": "UTF-8", "hex": "E3 81 82"}]}
+            選択肢はすべて異なるものにし、answer は options のどれかと完全に一致させること。
+            問題・選択肢・解説で特定の文字のバイト列に触れる場合は、そのすべてを claims に書くこと（触れない場合は空配列）。
+            テーマ例: ASCIIコード、UTF-8とShift-JISの違い、ビットとバイトの関係、文字化けの原因。
+            ${recent ? `次の問題とは違う問題にすること:\n${recent}` : ''}
+            ${feedback}
+            `;
+            const text = await findProvider(settings).chat(settings, {
+                system: 'あなたは高校「情報I」の先生です。',
+                messages: [{ role: 'user', text: prompt }],
+                json: true,
+            }, () => {});
+            // JSONモードのないサーバーはMarkdownのコードブロックで囲んで返すことがある
+            const quiz = JSON.parse(text.replace(/^\s*```(?:json)?|```\s*$/g, ''));
+
+            const errors = validateQuiz(quiz);
+            if (errors.length === 0 && !addToQuizCache(quiz)) errors.push('以前と同じ問題');
+            if (errors.length === 0) return quiz;
+
+            feedback = `前回の出力は次の理由で不採用でした。直して作り直してください: ${errors.join(' / ')}`;
+        } catch (error) {
+            console.error("Quiz Gen Error:", error);
+            feedback = '前回の出力はJSONとして読めませんでした。JSONのみを返してください。';
+        }
+    }
+    return null;
+};
+
+// ==========================================
+// 4. Components
+// ==========================================
+
+// 表示言語はAppで決めて、どの画面からも useI18n で読む
+const I18nContext = createContext('ja');
+
+const useI18n = () => {
+    const language = useContext(I18nContext);
+    return {
+        language,
+        t: (key, params) => translate(language, key, params),
+        term: (id) => formatTerm(language, id),
+    };
+};
+
+// 文言の **…** を太字に、改行を <br/> にして表示する
+const RichText = ({ text }) => (
+    <>
+        {text.split('\n').map((line, lineIdx) => (
+            <React.Fragment key={lineIdx}>
+                {lineIdx > 0 && <br />}
+                {line.split(/\*\*([^*]+)\*\*/).map((part, idx) => (
+                    idx % 2 === 1 ? <strong key={idx}>{part}</strong> : <React.Fragment key={idx}>{part}</React.Fragment>
+                ))}
+            </React.Fragment>
+        ))}
+    </>
+);
+
+const Card = ({ children, className = "", title, headerAction }) => (
+    <div className={`bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden ${className}`}>
+        {title && (
+            <div className="bg-slate-50 px-4 py-3 border-b border-slate-100 flex justify-between items-center">
+                <h3 className="text-sm font-bold text-slate-700 uppercase tracking-wider">{title}</h3>
+                {headerAction}
+            </div>
+        )}
+        <div className="p-4 md:p-6">
+            {children}
+        </div>
+    </div>
+);
+
+const Button = ({ onClick, children, variant = "primary", className = "", disabled = false, type = "button" }) => {
+    const base = "px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center gap-2 justify-center";
+    const variants = {
+        primary: "bg-brand-600 text-white hover:bg-brand-500 shadow-md shadow-brand-500/20 disabled:opacity-50 disabled:cursor-not-allowed",
+        secondary: "bg-white text-slate-700 border border-slate-300 hover:bg-slate-50 hover:text-brand-600",
+        ghost: "text-slate-500 hover:text-brand-600 hover:bg-brand-50",
+    };
+    return (
+        <button type={type} onClick={onClick} className={`${base} ${variants[variant]} ${className}`} disabled={disabled}>
+            {children}
+        </button>
+    );
+};
+
+/**
+ * ビット列の表示
+ * mode="utf8" のときは、構造ビット（0 / 110 / 1110 / 11110 / 10）とデータビットを色分けする
+ * revealedPayloadBits を指定すると、データビットをその個数だけ表示する（アニメーション用）
+ * onToggleBit(行, 列) を指定すると、ビットをクリックして反転できる
+ */
+const BitVisualizer = ({ binaryString, isDarkBg = false, mode = 'plain', revealedPayloadBits, onToggleBit }) => {
+    const { t } = useI18n();
+    if (!binaryString) return null;
+    const bytes = binaryString.trim().split(/\s+/);
+    const annotate = mode === 'utf8';
+    let payloadOffset = 0;
+    
+    return (
+        <div className="flex flex-col gap-2 items-start">
+            {bytes.map((byteStr, rowIdx) => {
+                const prefix = annotate ? utf8PrefixOf(parseInt(byteStr, 2)) : null;
+                const prefixLength = prefix ? prefix.length : 0;
+                const rowPayloadStart = payloadOffset;
+                payloadOffset += byteStr.length - prefixLength;
+                const annotation = annotate ? (prefix ? t(`utf8Prefix.${prefix.id}`) : t('bits.invalidUTF8')) : null;
+
+                // 読み上げ用の要約（例: "1バイト目: 1110 0011、16進数 E3"）。編集できないときはタイルを1枚の絵として扱う
+                const summary = t(byteStr.length === 8 ? 'bits.byte' : 'bits.row', { index: rowIdx + 1, ...describeBits(byteStr) })
+                    + (annotation ? ` (${annotation})` : '');
+
+                return (
+                    <div
+                        key={rowIdx}
+                        role={onToggleBit ? 'group' : 'img'}
+                        aria-label={summary}
+                        className="flex items-center gap-3"
+                    >
+                        <span aria-hidden="true" className={`text-[10px] font-mono w-4 text-right select-none ${isDarkBg ? 'text-slate-500' : 'text-slate-400'}`}>
+                            {rowIdx + 1}
+                        </span>
+                        <div className="flex gap-1">
+                            {byteStr.split('').map((bit, colIdx) => {
+                                const isPrefix = colIdx < prefixLength;
+                                const payloadIndex = rowPayloadStart + colIdx - prefixLength;
+                                const hidden = !isPrefix && revealedPayloadBits !== undefined && payloadIndex >= revealedPayloadBits;
+                                const justRevealed = !isPrefix && revealedPayloadBits !== undefined && payloadIndex === revealedPayloadBits - 1;
+                                let style;
+                                if (isPrefix) {
+                                    style = 'bg-amber-400 text-slate-900 shadow-sm';
+                                } else if (hidden) {
+                                    style = isDarkBg ? 'bg-slate-800 text-transparent border border-dashed border-slate-600' : 'bg-white text-transparent border border-dashed border-slate-300';
+                                } else if (bit === '1') {
+                                    style = 'bg-brand-500 text-white shadow-sm';
+                                } else {
+                                    style = isDarkBg 
+                                        ? 'bg-slate-800 text-slate-600 border border-slate-700' 
+                                        : 'bg-white text-slate-300 border border-slate-200';
+                                }
+                                const Tile = onToggleBit ? 'button' : 'div';
+                                return (
+                                    <Tile 
+                                        key={colIdx}
+                                        onClick={onToggleBit ? () => onToggleBit(rowIdx, colIdx) : undefined}
+                                        aria-label={onToggleBit ? t('bits.bit', { index: colIdx + 1, value: bit }) : undefined}
+                                        aria-pressed={onToggleBit ? bit === '1' : undefined}
+                                        className={`
+                                            w-7 h-9 flex items-center justify-center rounded text-sm font-mono font-bold transition-all
+                                            ${style}
+                                            ${annotate && colIdx === prefixLength && prefixLength > 0 ? 'ml-1' : ''}
+                                            ${justRevealed ? 'ring-2 ring-yellow-300 scale-110' : ''}
+                                            ${onToggleBit ? 'cursor-pointer hover:ring-2 hover:ring-yellow-300' : ''}
+                                        `}
+                                    >
+                                        {bit}
+                                    </Tile>
+                                );
+                            })}
+                        </div>
+                        {annotation && (
+                            <span aria-hidden="true" className={`text-[10px] whitespace-nowrap ${prefix ? 'text-amber-500' : 'text-red-400'}`}>
+                                {annotation}
+                            </span>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+const HexBadge = ({ hex }) => (
+    <span className="font-mono bg-slate-800 text-yellow-400 px-2 py-1 rounded text-sm tracking-wider shadow-sm">
+        {hex}
+    </span>
+);
+
+// saveMode / openMode は共有リンクに残すため、親 (App) が持つ
+const MojibakeSimulator = ({ input, saveMode, setSaveMode, openMode, setOpenMode }) => {
+    const { t } = useI18n();
+    const groupId = useId();
+
+    // シミュレーション結果の計算（レンダリング時に同期的に処理）
+    const { savedBytes, sourceGroups, openGroups, resultText } = useMemo(() => {
+        const empty = { savedBytes: [], sourceGroups: [], openGroups: [], resultText: '' };
+        if (!input) return empty;
+
+        // 1. 保存プロセス (文字列 -> バイト列)
+        // どのバイトがどの文字から作られたかを残すため、1文字ずつ変換してつなげる
+        // Shift-JISで表せない文字は、メモ帳などと同じく ? (0x3F) として保存される
+        const source = segmentGraphemes(input).map(char => ({
+            char: char,
+            bytes: saveMode === 'UTF8' ? toUTF8Array(char) : toSJISArray(char, { fallback: 0x3F })
+        }));
+        const bytes = source.flatMap(group => group.bytes);
+
+        // 2. 開くプロセス (バイト列 -> 文字列)
+        // 開く側のルールでバイト列を区切り直し、区切りごとに文字へ戻す
+        const groups = decodeGroups(bytes, openMode);
+        const text = groups.map(group => group.char).join('');
+
+        return { savedBytes: bytes, sourceGroups: source, openGroups: groups, resultText: text };
+    }, [input, saveMode, openMode]);
+
+    // 判定ロジック
+    // status: 'success' | 'lucky' | 'failure'
+    let status = 'failure';
+    if (saveMode === openMode) {
+        status = 'success';
+    } else if (resultText === input) {
+        // 設定は違うが、結果が入力と同じ（ASCII文字など）
+        status = 'lucky';
+    }
+
+    const hexString = toHexString(savedBytes);
+    const displayHex = hexString.length > 30 ? hexString.substring(0, 30) + "..." : hexString;
+
+    // 表示スタイルの定義
+    const styles = {
+        success: {
+            bg: 'bg-green-50',
+            border: 'border-green-200',
+            text: 'text-green-700',
+            icon: 'fa-check-circle',
+            title: t('mojibake.successTitle'),
+            desc: null
+        },
+        lucky: {
+            bg: 'bg-blue-50',
+            border: 'border-blue-200',
+            text: 'text-blue-700',
+            icon: 'fa-lightbulb',
+            title: t('mojibake.luckyTitle'),
+            desc: t('mojibake.luckyDesc')
+        },
+        failure: {
+            bg: 'bg-red-50',
+            border: 'border-red-200',
+            text: 'text-red-600',
+            icon: 'fa-triangle-exclamation',
+            title: t('mojibake.failureTitle'),
+            desc: t('mojibake.failureDesc', { save: MODE_LABELS[saveMode], count: savedBytes.length, open: MODE_LABELS[openMode] })
+        }
+    };
+
+    const currentStyle = styles[status];
+
+    return (
+        <Card title={t('mojibake.title')} className="border-indigo-100 bg-indigo-50/10">
+            <div className="mb-6 text-sm text-slate-600">
+                <p>
+                    <RichText text={t('mojibake.intro')} />
+                </p>
+            </div>
+
+            <div className="flex flex-col lg:flex-row gap-4 items-stretch justify-center">
+                
+                {/* STEP 1: 保存 */}
+                <div className="flex-1 bg-white p-4 rounded-xl border border-slate-200 shadow-sm flex flex-col">
+                    <div className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{t('mojibake.step1')}</div>
+                    <div className="flex-1 flex flex-col justify-center gap-3">
+                        <p id={`${groupId}-save`} className="text-sm font-bold text-slate-700">{t('mojibake.saveQuestion', { input })}</p>
+                        <ModeRadioGroup labelledBy={`${groupId}-save`} value={saveMode} onChange={setSaveMode} />
+                    </div>
+                </div>
+
+                {/* 矢印 & データ */}
+                <div className="flex flex-col items-center justify-center gap-1 text-slate-400 px-2">
+                    <i className="fa-solid fa-file-arrow-down text-xl"></i>
+                    <div className="bg-slate-800 text-yellow-400 font-mono text-[10px] px-2 py-1 rounded shadow-sm max-w-[120px] overflow-hidden text-center whitespace-nowrap">
+                        {displayHex || "00 00..."}
+                    </div>
+                    <div className="text-[10px] text-slate-500">{t('mojibake.file')}</div>
+                    <i className="fa-solid fa-file-arrow-up text-xl mt-1"></i>
+                </div>
+
+                {/* STEP 2: 開く */}
+                <div className="flex-1 bg-white p-4 rounded-xl border border-slate-200 shadow-sm flex flex-col">
+                    <div className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{t('mojibake.step2')}</div>
+                    <div className="flex-1 flex flex-col justify-center gap-3">
+                        <p id={`${groupId}-open`} className="text-sm font-bold text-slate-700">{t('mojibake.openQuestion')}</p>
+                        <ModeRadioGroup labelledBy={`${groupId}-open`} value={openMode} onChange={setOpenMode} />
+                    </div>
+                </div>
+            </div>
+
+            {/* バイト列の区切り直し */}
+            {savedBytes.length > 0 && (
+                <ByteRegroupingView
+                    sourceGroups={sourceGroups}
+                    openGroups={openGroups}
+                    saveMode={saveMode}
+                    openMode={openMode}
+                />
+            )}
+
+            {/* 結果が変わるたびにスクリーンリーダーで読み上げる */}
+            <p className="sr-only" aria-live="polite">
+                {input && t('mojibake.announce', { result: resultText, title: currentStyle.title })}
+            </p>
+
+            {/* 結果表示エリア */}
+            <div className={`mt-6 rounded-xl p-6 text-center border-2 transition-all duration-500 ${currentStyle.bg} ${currentStyle.border}`}>
+                <div className="text-xs font-bold text-slate-500 mb-2 uppercase tracking-wider">{t('mojibake.result')}</div>
+                <div className={`text-3xl font-bold font-mono break-all min-h-[3rem] flex items-center justify-center ${currentStyle.text}`}>
+                    {resultText}
+                </div>
+                
+                <div className="mt-4 pt-4 border-t border-slate-200/50">
+                    <div className={`text-sm ${status === 'failure' ? 'text-red-800' : (status === 'lucky' ? 'text-blue-800' : 'text-green-800')}`}>
+                        <p className="font-bold mb-1">
+                            <i className={`fa-solid ${currentStyle.icon} mr-2`}></i>
+                            {currentStyle.title}
+                        </p>
+                        {currentStyle.desc && (
+                            <p className="opacity-90">
+                                {currentStyle.desc}
+                            </p>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </Card>
+    );
+};
+
+const MODE_LABELS = { UTF8: 'UTF-8', SJIS: 'Shift-JIS' };
+
+// 選ばれているときの色
+const MODE_STYLES = {
+    UTF8: 'border-brand-500 bg-brand-50 text-brand-700',
+    SJIS: 'border-orange-500 bg-orange-50 text-orange-700',
+};
+
+// UTF-8 / Shift-JIS の切り替え。ラジオボタンと同じく、矢印キーで選択が移る
+const ModeRadioGroup = ({ labelledBy, value, onChange }) => {
+    const modes = Object.keys(MODE_LABELS);
+    const buttons = useRef({});
+
+    const handleKeyDown = (e) => {
+        const next = nextIndexForKey(e.key, modes.indexOf(value), modes.length);
+        if (next === null) return;
+        e.preventDefault();
+        onChange(modes[next]);
+        buttons.current[modes[next]]?.focus();
+    };
+
+    return (
+        <div role="radiogroup" aria-labelledby={labelledBy} onKeyDown={handleKeyDown} className="flex gap-2">
+            {modes.map(mode => (
+                <button
+                    key={mode}
+                    ref={el => { buttons.current[mode] = el; }}
+                    role="radio"
+                    aria-checked={value === mode}
+                    tabIndex={value === mode ? 0 : -1}
+                    onClick={() => onChange(mode)}
+                    className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold transition-all border-2
+                        ${value === mode
+                            ? MODE_STYLES[mode]
+                            : 'border-slate-100 bg-slate-50 text-slate-500 hover:bg-white hover:border-slate-300'}
+                    `}
+                >
+                    {MODE_LABELS[mode]}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+// 1バイト分の表示幅(px)。上下の段の区切りをそろえるため固定幅にする
+const BYTE_TILE_WIDTH = 44;
+
+const ByteRegroupingView = ({ sourceGroups, openGroups, saveMode, openMode }) => {
+    const { language, t } = useI18n();
+    const [hovered, setHovered] = useState(null); // 開く側のグループ番号
+
+    // バイト位置 -> 開く側のグループ番号
+    const byteToGroup = [];
+    openGroups.forEach((group, groupIdx) => {
+        group.bytes.forEach(() => byteToGroup.push(groupIdx));
+    });
+    // バイト位置 -> 元の文字の番号（色分け用）
+    const byteToSource = [];
+    sourceGroups.forEach((group, sourceIdx) => {
+        group.bytes.forEach(() => byteToSource.push(sourceIdx));
+    });
+
+    const invalidGroups = openGroups.filter(group => !group.valid);
+
+    return (
+        <div className="mt-6 bg-white p-4 rounded-xl border border-slate-200 shadow-sm">
+            <div className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3">{t('regroup.title')}</div>
+
+            <div className="overflow-x-auto custom-scrollbar pb-2">
+                <div className="inline-flex flex-col gap-1">
+                    {/* ① 元の文字と、保存されたときの区切り */}
+                    <div className="flex items-end">
+                        <div className="w-28 flex-shrink-0 text-[10px] font-bold text-slate-500 pr-2">
+                            <RichText text={t('regroup.source', { mode: MODE_LABELS[saveMode] })} />
+                        </div>
+                        {sourceGroups.map((group, idx) => (
+                            <div key={idx} style={{ width: group.bytes.length * BYTE_TILE_WIDTH }} className="flex-shrink-0">
+                                <div className="text-center text-lg font-bold text-slate-700 leading-tight">{group.char}</div>
+                                <div className="h-2 mx-1 border-x-2 border-t-2 rounded-t border-slate-400"></div>
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* ② 保存されたバイト列 */}
+                    <div className="flex items-center">
+                        <div className="w-28 flex-shrink-0 text-[10px] font-bold text-slate-500 pr-2">{t('regroup.file')}</div>
+                        {byteToGroup.map((groupIdx, byteIdx) => {
+                            const group = openGroups[groupIdx];
+                            const byte = group.bytes[byteIdx - group.start];
+                            const active = hovered === groupIdx;
+                            return (
+                                <div key={byteIdx} style={{ width: BYTE_TILE_WIDTH }} className="flex-shrink-0 px-0.5">
+                                    <div
+                                        onMouseEnter={() => setHovered(groupIdx)}
+                                        onMouseLeave={() => setHovered(null)}
+                                        className={`h-9 rounded flex items-center justify-center font-mono text-sm font-bold transition-all cursor-default
+                                            ${byteToSource[byteIdx] % 2 === 0 ? 'bg-slate-800' : 'bg-slate-600'}
+                                            ${!group.valid ? 'text-red-300' : 'text-yellow-400'}
+                                            ${active ? 'ring-2 ring-offset-1 ring-brand-500 scale-105' : ''}
+                                        `}
+                                    >
+                                        {byte.toString(16).toUpperCase().padStart(2, '0')}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    {/* ③ 開く側のルールでの区切り直しと、表示される文字 */}
+                    <div className="flex items-start">
+                        <div className="w-28 flex-shrink-0 text-[10px] font-bold text-slate-500 pr-2 pt-1">
+                            <RichText text={t('regroup.read', { mode: MODE_LABELS[openMode] })} />
+                        </div>
+                        {openGroups.map((group, groupIdx) => {
+                            const active = hovered === groupIdx;
+                            const bracket = !group.valid
+                                ? 'border-red-400'
+                                : (active ? 'border-brand-500' : 'border-indigo-300');
+                            return (
+                                <div
+                                    key={groupIdx}
+                                    style={{ width: group.bytes.length * BYTE_TILE_WIDTH }}
+                                    className="flex-shrink-0"
+                                    onMouseEnter={() => setHovered(groupIdx)}
+                                    onMouseLeave={() => setHovered(null)}
+                                    title={group.valid ? undefined : translateReason(language, group.reason)}
+                                >
+                                    <div className={`h-2 mx-1 border-x-2 border-b-2 rounded-b ${bracket}`}></div>
+                                    <div className="flex">
+                                        {group.roles.map((role, idx) => (
+                                            <div key={idx} style={{ width: BYTE_TILE_WIDTH }} className="text-[9px] text-center text-slate-400 leading-tight pt-0.5">
+                                                {t(`role.${openMode}.${role}`)}
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <div className={`mx-1 mt-1 rounded text-center text-lg font-bold py-1
+                                        ${!group.valid ? 'bg-red-100 text-red-600' : (active ? 'bg-brand-50 text-brand-700' : 'text-slate-800')}
+                                    `}>
+                                        {group.char}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            </div>
+
+            {invalidGroups.length > 0 && (
+                <div className="mt-3 text-xs text-red-600 space-y-1">
+                    {invalidGroups.map(group => (
+                        <p key={group.start}>
+                            <i className="fa-solid fa-circle-exclamation mr-1"></i>
+                            <span className="font-mono">[{toHexString(group.bytes)}]</span>
+                            {t('regroup.invalid', { position: group.start + 1, reason: translateReason(language, group.reason), char: REPLACEMENT_CHAR })}
+                        </p>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// 説明は MESSAGES の normalization.{NFC など}
+const NORMALIZATION_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+// 見た目が同じ（または似ている）のにコードポイントが違う例（ボタンの名前は normalization.example.{id}）
+const NORMALIZATION_EXAMPLES = [
+    { id: 'composed', text: 'が' },
+    { id: 'combining', text: 'か\u3099' },
+    { id: 'halfwidth', text: 'ｶﾞ' },
+    { id: 'fullwidth', text: 'Ａ' },
+    { id: 'circled', text: '①' },
+    { id: 'katakana', text: 'ﾊﾟｿｺﾝ' },
+];
+
+const NormalizationLab = ({ input, onSelectExample }) => {
+    const { t } = useI18n();
+    const rows = useMemo(() => {
+        const clusters = segmentGraphemes(input);
+        return NORMALIZATION_FORMS.map(form => {
+            const normalized = input.normalize(form);
+            const analysis = analyzeText(normalized);
+            const sjisValid = analysis.every(item => item.sjis.isValid);
+            return {
+                form,
+                normalized,
+                same: normalized === input,
+                // 元の文字ごとに、正規化でどう変わったかを並べる
+                parts: clusters.map(cluster => {
+                    const after = cluster.normalize(form);
+                    return {
+                        before: cluster,
+                        after,
+                        changed: after !== cluster,
+                        codePoints: Array.from(after).map(formatCodePoint)
+                    };
+                }),
+                codePointCount: Array.from(normalized).length,
+                utf8Bytes: analysis.reduce((acc, item) => acc + item.utf8.length, 0),
+                sjisBytes: sjisValid ? analysis.reduce((acc, item) => acc + item.sjis.length, 0) : null
+            };
+        });
+    }, [input]);
+
+    return (
+        <Card title={t('normalization.title')} className="border-violet-100">
+            <div className="space-y-4">
+                <p className="text-sm text-slate-600">
+                    <RichText text={t('normalization.intro')} />
+                </p>
+
+                <div className="flex flex-wrap gap-2 items-center">
+                    <span className="text-xs font-bold text-slate-500">{t('normalization.tryExample')}</span>
+                    {NORMALIZATION_EXAMPLES.map(example => (
+                        <button
+                            key={example.id}
+                            onClick={() => onSelectExample(example.text)}
+                            className={`px-2 py-1 rounded-lg text-xs font-bold border transition-all
+                                ${input === example.text
+                                    ? 'border-violet-500 bg-violet-50 text-violet-700'
+                                    : 'border-slate-200 bg-white text-slate-600 hover:border-violet-300'}
+                            `}
+                        >
+                            {t(`normalization.example.${example.id}`)}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="overflow-x-auto custom-scrollbar">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-xs text-slate-500 border-b border-slate-200">
+                                <th className="text-left py-2 pr-3">{t('normalization.form')}</th>
+                                <th className="text-left py-2 pr-3">{t('normalization.result')}</th>
+                                <th className="text-right py-2 pr-3 whitespace-nowrap">{t('normalization.codePoints')}</th>
+                                <th className="text-right py-2 pr-3">UTF-8</th>
+                                <th className="text-right py-2 pr-3">Shift-JIS</th>
+                                <th className="text-center py-2">{t('normalization.compare')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr className="border-b border-slate-100 bg-slate-50">
+                                <td className="py-2 pr-3 font-bold text-slate-500">{t('normalization.original')}</td>
+                                <td className="py-2 pr-3 font-mono text-xs text-slate-500 break-all">
+                                    {Array.from(input).map(formatCodePoint).join(' ')}
+                                </td>
+                                <td className="py-2 pr-3 text-right font-mono">{Array.from(input).length}</td>
+                                <td colSpan="3"></td>
+                            </tr>
+                            {rows.map(row => (
+                                <tr key={row.form} className="border-b border-slate-100 align-top">
+                                    <td className="py-2 pr-3">
+                                        <div className="font-bold text-violet-700 font-mono">{row.form}</div>
+                                        <div className="text-[10px] text-slate-400">{t(`normalization.${row.form}`)}</div>
+                                    </td>
+                                    <td className="py-2 pr-3">
+                                        <div className="flex flex-wrap gap-1">
+                                            {row.parts.map((part, idx) => (
+                                                <div
+                                                    key={idx}
+                                                    className={`rounded-lg px-2 py-1 border text-center
+                                                        ${part.changed ? 'border-violet-300 bg-violet-50' : 'border-slate-200 bg-white'}
+                                                    `}
+                                                    title={part.changed ? `${part.before} → ${part.after}` : t('normalization.unchanged')}
+                                                >
+                                                    <div className={`text-lg leading-tight ${part.changed ? 'text-violet-800 font-bold' : 'text-slate-700'}`}>{part.after}</div>
+                                                    <div className="font-mono text-[9px] text-slate-400 whitespace-nowrap">{part.codePoints.join(' ')}</div>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </td>
+                                    <td className="py-2 pr-3 text-right font-mono">{row.codePointCount}</td>
+                                    <td className="py-2 pr-3 text-right font-mono text-brand-600">{row.utf8Bytes}B</td>
+                                    <td className="py-2 pr-3 text-right font-mono text-orange-600">{row.sjisBytes === null ? '?' : `${row.sjisBytes}B`}</td>
+                                    <td className="py-2 text-center">
+                                        {row.same ? (
+                                            <span className="bg-green-100 text-green-700 text-[10px] font-bold px-2 py-1 rounded whitespace-nowrap">{t('normalization.same')}</span>
+                                        ) : (
+                                            <span className="bg-red-100 text-red-600 text-[10px] font-bold px-2 py-1 rounded whitespace-nowrap" title={t('normalization.differentHint')}>{t('normalization.different')}</span>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <p className="text-xs text-slate-500">
+                    <i className="fa-solid fa-circle-info mr-1"></i>
+                    {t('normalization.footnote')}
+                </p>
+            </div>
+        </Card>
+    );
+};
+
+// ==========================================
+// 5. Main Application Logic
+// ==========================================
+
+// ブラウザがネットにつながっているか（教室のWi-Fiが途切れたら false になる）
+const useOnlineStatus = () => {
+    const [online, setOnline] = useState(() => navigator.onLine);
+    useEffect(() => {
+        const handleChange = () => setOnline(navigator.onLine);
+        window.addEventListener('online', handleChange);
+        window.addEventListener('offline', handleChange);
+        return () => {
+            window.removeEventListener('online', handleChange);
+            window.removeEventListener('offline', handleChange);
+        };
+    }, []);
+    return online;
+};
+
+const App = () => {
+    // 画面の状態はすべてURLのハッシュに書き出し、リンクを開いた人が同じ例から始められるようにする
+    // ラボの入力は文字コード表などほかの画面からも送り込めるよう、ここで持つ
+    const [lesson, setLesson] = useState(() => parseLessonHash(window.location.hash));
+    const update = (patch) => setLesson(prev => ({ ...prev, ...patch }));
+    const { view, input: labInput } = lesson;
+    const setView = (next) => update({ view: next });
+    const setLabInput = (value) => update({ input: value });
+
+    // 画面の切り替えは履歴に積み（戻る・進むで行き来できる）、それ以外の変更は今の履歴を書き換える
+    const lastView = useRef(view);
+    useEffect(() => {
+        const hash = buildLessonHash(lesson);
+        if (hash === window.location.hash) return;
+        if (lastView.current !== view) window.history.pushState(null, '', hash);
+        else window.history.replaceState(null, '', hash);
+        lastView.current = view;
+    }, [lesson]);
+
+    useEffect(() => {
+        const onPopState = () => {
+            const next = parseLessonHash(window.location.hash);
+            lastView.current = next.view;
+            setLesson(next);
+        };
+        window.addEventListener('popstate', onPopState);
+        return () => window.removeEventListener('popstate', onPopState);
+    }, []);
+
+    // 画面ごとの利用時間を記録する（タブが裏に回っている間は数えない）
+    useEffect(() => {
+        let startedAt = Date.now();
+        const flush = () => {
+            if (startedAt) recordViewTime(view, Date.now() - startedAt);
+            startedAt = document.visibilityState === 'visible' ? Date.now() : 0;
+        };
+        document.addEventListener('visibilitychange', flush);
+        return () => {
+            document.removeEventListener('visibilitychange', flush);
+            flush();
+        };
+    }, [view]);
+
+    // AIの接続設定（共有リンクには載せない）
+    const [aiSettings, setAISettings] = useState(loadAISettings);
+    const [settingsOpen, setSettingsOpen] = useState(false);
+    const online = useOnlineStatus();
+    const activeAISettings = resolveAISettings(aiSettings, online);
+
+    // 表示言語（この画面の文言は Provider の外なので translate を直接使う）
+    const [language, setLanguage] = useState(loadLanguage);
+    const t = (key, params) => translate(language, key, params);
+    useEffect(() => {
+        saveLanguage(language);
+        document.documentElement.lang = language === 'en' ? 'en' : 'ja';
+    }, [language]);
+
+    // ハイコントラスト表示は index.css の .high-contrast で色を上書きする
+    const [highContrast, setHighContrast] = useState(loadHighContrast);
+    const toggleHighContrast = () => {
+        saveHighContrast(!highContrast);
+        setHighContrast(!highContrast);
+    };
+    useEffect(() => {
+        document.documentElement.classList.toggle('high-contrast', highContrast);
+    }, [highContrast]);
+    const handleSaveSettings = (next) => {
+        saveAISettings(next);
+        setAISettings(next);
+        setSettingsOpen(false);
+    };
+
+    // 文字をラボの入力の末尾に追加する（上限を超える場合はその文字だけにする）
+    const sendToLab = (char) => {
+        setLesson(prev => ({
+            ...prev,
+            input: segmentGraphemes(prev.input + char).length <= MAX_INPUT_CHARS ? prev.input + char : char,
+        }));
+    };
+    
+    return (
+        <I18nContext.Provider value={language}>
+            <div className="min-h-screen bg-slate-50 text-slate-900 pb-20 font-sans">
+                <header className="bg-white border-b border-slate-200 sticky top-0 z-50 shadow-sm">
+                    <div className="max-w-5xl mx-auto px-4 h-16 flex items-center justify-between">
+                        <div className="flex items-center gap-3">
+                            <div className="w-8 h-8 bg-brand-600 rounded-lg flex items-center justify-center text-white font-bold text-lg shadow-lg shadow-brand-500/30">
+                                <i className="fa-solid fa-code"></i>
+                            </div>
+                            <h1 className="font-bold text-xl tracking-tight text-slate-800">{t('app.title')}</h1>
+                        </div>
+                    
+                        <div className="flex items-center gap-1 min-w-0">
+                            <nav className="flex gap-1 overflow-x-auto custom-scrollbar">
+                                {NAV_ITEMS.map(item => (
+                                    <NavButton key={item.id} active={view === item.id} onClick={() => setView(item.id)} icon={item.icon}>
+                                        {t(`nav.${item.id}`)}
+                                    </NavButton>
+                                ))}
+                            </nav>
+                            {!online && (
+                                <span
+                                    title={t('app.offlineHint')}
+                                    className="flex-shrink-0 px-2 py-1 rounded-full bg-amber-50 border border-amber-200 text-amber-700 text-[11px] font-bold whitespace-nowrap"
+                                >
+                                    <i className="fa-solid fa-plane mr-1"></i>{t('app.offline')}
+                                </span>
+                            )}
+                            <label className="flex-shrink-0 flex items-center text-slate-400" title={t('app.language')}>
+                                <i className="fa-solid fa-language text-lg"></i>
+                                <select
+                                    value={language}
+                                    onChange={(e) => setLanguage(e.target.value)}
+                                    aria-label={t('app.language')}
+                                    className="ml-1 text-xs text-slate-600 bg-transparent border border-slate-200 rounded-md py-1 pl-1 pr-0 focus:border-brand-500 outline-none"
+                                >
+                                    {LANGUAGES.map(option => (
+                                        <option key={option.id} value={option.id}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <button
+                                onClick={toggleHighContrast}
+                                title={t('app.highContrast')}
+                                aria-label={t('app.highContrast')}
+                                aria-pressed={highContrast}
+                                className={`flex-shrink-0 w-9 h-9 rounded-lg transition-colors
+                                    ${highContrast ? 'bg-slate-900 text-white' : 'text-slate-400 hover:text-slate-900 hover:bg-slate-100'}
+                                `}
                             >
-                                Shift-JIS
+                                <i className="fa-solid fa-circle-half-stroke"></i>
                             </button>
+                            <button
+                                onClick={() => setSettingsOpen(true)}
+                                title={t('app.aiSettings')}
+                                aria-label={t('app.aiSettings')}
+                                className="flex-shrink-0 w-9 h-9 rounded-lg text-slate-400 hover:text-slate-900 hover:bg-slate-100 transition-colors"
+                            >
+                                <i className="fa-solid fa-gear"></i>
+                            </button>
+                        </div>
+                    </div>
+                </header>
+
+                <main className="max-w-5xl mx-auto px-4 py-8">
+                    {view === 'converter' && <ConverterView lesson={lesson} update={update} aiSettings={activeAISettings} />}
+                    {view === 'table' && (
+                        <CodeTableView labInput={labInput} onSendChar={sendToLab} onOpenLab={() => setView('converter')} />
+                    )}
+                    {view === 'font' && <FontLabView initialChar={segmentGraphemes(labInput)[0] || 'あ'} />}
+                    {view === 'design' && <CodeDesignView />}
+                    {view === 'decoder' && <DecoderView />}
+                    {view === 'file' && <FileView />}
+                    {view === 'practice' && <PracticeView />}
+                    {view === 'quiz' && <QuizView aiSettings={activeAISettings} />}
+                    {view === 'records' && <RecordsView />}
+                    {view === 'about' && <AboutView />}
+                </main>
+
+                {settingsOpen && (
+                    <AISettingsDialog settings={aiSettings} onSave={handleSaveSettings} onClose={() => setSettingsOpen(false)} />
+                )}
+            </div>
+        </I18nContext.Provider>
+    );
+};
+
+const NavButton = ({ active, onClick, icon, children }) => (
+    <button 
+        onClick={onClick}
+        title={children}
+        className={`
+            px-3 py-2 rounded-lg text-sm font-bold transition-colors flex items-center gap-2
+            ${active 
+                ? 'bg-brand-50 text-brand-700' 
+                : 'text-slate-500 hover:text-slate-900 hover:bg-slate-100'}
+        `}
+    >
+        <i className={`fa-solid ${icon}`}></i>
+        <span className="hidden xl:inline whitespace-nowrap">{children}</span>
+    </button>
+);
+
+// 設定画面の入力欄（名前は MESSAGES の aiSettings.{field}）
+const AI_SETTING_FIELDS = {
+    endpoint: { type: 'url', placeholder: 'http://localhost:11434/v1' },
+    apiKey: { type: 'password', placeholder: '' },
+    model: { type: 'text', placeholder: '' },
+};
+
+// AIの接続先を選ぶダイアログ。キーはこの端末のブラウザにだけ保存し、ソースやURLには残さない
+const AISettingsDialog = ({ settings, onSave, onClose }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(settings);
+    const [test, setTest] = useState(null); // null | { loading } | { ok, message }
+    const provider = findProvider(draft);
+
+    const change = (patch) => {
+        setDraft(prev => ({ ...prev, ...patch }));
+        setTest(null);
+    };
+
+    const runTest = async () => {
+        setTest({ loading: true });
+        try {
+            const text = await provider.chat(draft, {
+                system: t('aiSettings.testSystem'),
+                messages: [{ role: 'user', text: t('aiSettings.testGreeting') }],
+            }, () => {});
+            setTest({ ok: true, message: text.slice(0, 60) });
+        } catch (e) {
+            setTest({ ok: false, message: e.message });
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[60] bg-slate-900/40 flex items-center justify-center p-4" onClick={onClose}>
+            <div
+                role="dialog"
+                aria-modal="true"
+                aria-label={t('app.aiSettings')}
+                onClick={(e) => e.stopPropagation()}
+                className="bg-white rounded-xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto animate-[fadeIn_0.2s]"
+            >
+                <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between">
+                    <h3 className="font-bold text-slate-800"><i className="fa-solid fa-gear mr-2 text-slate-400"></i>{t('app.aiSettings')}</h3>
+                    <button onClick={onClose} title={t('aiSettings.close')} aria-label={t('aiSettings.close')} className="text-slate-400 hover:text-slate-700">
+                        <i className="fa-solid fa-xmark"></i>
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    <div className="space-y-2">
+                        {AI_PROVIDERS.map(option => (
+                            <label
+                                key={option.id}
+                                className={`block px-3 py-2 rounded-lg border-2 cursor-pointer transition-all
+                                    ${draft.provider === option.id ? 'border-brand-500 bg-brand-50' : 'border-slate-100 hover:border-slate-300'}
+                                `}
+                            >
+                                <input
+                                    type="radio"
+                                    name="ai-provider"
+                                    value={option.id}
+                                    checked={draft.provider === option.id}
+                                    onChange={() => change({ provider: option.id })}
+                                    className="mr-2"
+                                />
+                                <span className="font-bold text-sm text-slate-700">{t(`provider.${option.id}`)}</span>
+                                <p className="text-xs text-slate-500 mt-1 ml-5">{t(`provider.${option.id}.description`)}</p>
+                            </label>
+                        ))}
+                    </div>
+
+                    {provider.fields.map(field => (
+                        <label key={field} className="block">
+                            <span className="text-xs font-bold text-slate-500 mb-1 block">
+                                {t(`aiSettings.${field}`)}
+                                {!provider.required.includes(field) && <span className="font-normal text-slate-400">{t('aiSettings.optional')}</span>}
+                            </span>
+                            <input
+                                type={AI_SETTING_FIELDS[field].type}
+                                value={draft[field]}
+                                onChange={(e) => change({ [field]: e.target.value.trim() })}
+                                placeholder={field === 'model' ? provider.modelPlaceholder : AI_SETTING_FIELDS[field].placeholder}
+                                autoComplete="off"
+                                className="w-full p-2 rounded-lg border-2 border-slate-200 focus:border-brand-500 outline-none text-sm font-mono"
+                            />
+                        </label>
+                    ))}
+
+                    {provider.fields.includes('apiKey') && (
+                        <p className="text-xs text-slate-500 bg-slate-50 border border-slate-200 rounded-lg px-3 py-2">
+                            <i className="fa-solid fa-lock mr-1"></i>
+                            {t('aiSettings.keyNotice')}
+                        </p>
+                    )}
+
+                    {test && (
+                        <div className={`text-xs px-3 py-2 rounded-lg border ${test.loading ? 'border-slate-200 text-slate-500' : test.ok ? 'border-green-200 bg-green-50 text-green-700' : 'border-red-200 bg-red-50 text-red-600'}`}>
+                            {test.loading
+                                ? <><i className="fa-solid fa-spinner fa-spin mr-1"></i>{t('aiSettings.testing')}</>
+                                : test.ok
+                                    ? <><i className="fa-solid fa-check-circle mr-1"></i>{t('aiSettings.testOk', { message: test.message })}</>
+                                    : <><i className="fa-solid fa-triangle-exclamation mr-1"></i>{t('aiSettings.testFailed', { message: test.message })}</>}
+                        </div>
+                    )}
+                </div>
+
+                <div className="px-6 py-4 border-t border-slate-100 flex flex-wrap gap-2 justify-end">
+                    <Button
+                        variant="secondary"
+                        onClick={runTest}
+                        disabled={!isAIAvailable(draft) || Boolean(test && test.loading)}
+                        className="text-sm mr-auto"
+                    >
+                        <i className="fa-solid fa-plug"></i> {t('aiSettings.test')}
+                    </Button>
+                    <Button variant="secondary" onClick={onClose} className="text-sm">{t('aiSettings.cancel')}</Button>
+                    <Button onClick={() => onSave(draft)} className="text-sm">{t('aiSettings.save')}</Button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Converter View ---
+
+const ConverterView = ({ lesson, update, aiSettings }) => {
+    const { t } = useI18n();
+    const { input, mode, selectedIndex, saveMode, openMode } = lesson;
+    const selectedFont = findFont(lesson.font);
+    const setInput = (value) => update({ input: value });
+    const setMode = (value) => update({ mode: value });
+    const setSelectedIndex = (value) => update({ selectedIndex: value });
+    const setSelectedFont = (font) => update({ font: fontId(font) });
+    const [analysis, setAnalysis] = useState([]);
+    const [worksheet, setWorksheet] = useState(null); // null | { blank } 印刷中のワークシート
+
+    // ワークシートを描いてから印刷ダイアログを開き、閉じたら片付ける
+    useEffect(() => {
+        if (!worksheet) return;
+        const done = () => setWorksheet(null);
+        window.addEventListener('afterprint', done);
+        window.print();
+        return () => window.removeEventListener('afterprint', done);
+    }, [worksheet]);
+
+    useEffect(() => {
+        // 選択位置は見た目の文字（analysis）の番号なので、input.length (UTF-16の単位数) とは比べない
+        const next = analyzeText(input);
+        setAnalysis(next);
+        if (next.length === 0) setSelectedIndex(-1);
+        else if (selectedIndex >= next.length || selectedIndex === -1) setSelectedIndex(0);
+    }, [input]);
+
+    // 最大文字数は見た目の文字数で数える（絵文字1つで上限に達しないように）
+    const charCount = segmentGraphemes(input).length;
+    const handleInputChange = (value) => {
+        if (segmentGraphemes(value).length <= MAX_INPUT_CHARS) setInput(value);
+    };
+
+    const selectedCharData = analysis[selectedIndex];
+
+    // 生徒が自分で選んだ文字だけを学習記録に残す（入力に合わせた自動選択や共有リンクの復元は数えない）
+    const selectChar = (index) => {
+        setSelectedIndex(index);
+        if (analysis[index]) recordCharExplored(analysis[index].char);
+    };
+
+    // 文字の一覧はタブとして扱い、矢印キーで選んだ文字にフォーカスも移す
+    const stripId = useId();
+    const charTabs = useRef([]);
+    const handleStripKeyDown = (e) => {
+        const next = nextIndexForKey(e.key, selectedIndex, analysis.length);
+        if (next === null) return;
+        e.preventDefault();
+        selectChar(next);
+        charTabs.current[next]?.focus();
+    };
+
+    // 全体のバイト数計算
+    const totals = useMemo(() => summarizeEncodings(input), [input]);
+    const unsupported = totals.filter(total => !total.isValid);
+
+    const modeSwitch = (
+        <div className="flex gap-2">
+            {[
+                { id: 'short', label: t('converter.modeShort'), icon: 'fa-font' },
+                { id: 'long', label: t('converter.modeLong'), icon: 'fa-align-left' },
+            ].map(option => (
+                <button
+                    key={option.id}
+                    onClick={() => setMode(option.id)}
+                    className={`px-3 py-1.5 rounded-lg text-xs font-bold border-2 transition-all flex items-center gap-2
+                        ${mode === option.id
+                            ? 'border-brand-500 bg-brand-50 text-brand-700'
+                            : 'border-slate-100 bg-white text-slate-500 hover:border-slate-300'}
+                    `}
+                >
+                    <i className={`fa-solid ${option.icon}`}></i>
+                    {option.label}
+                </button>
+            ))}
+        </div>
+    );
+
+    if (mode === 'long') {
+        return (
+            <div className="space-y-6 animate-[fadeIn_0.5s_ease-out]">
+                {modeSwitch}
+                <LongTextView
+                    text={lesson.longText}
+                    encodingId={lesson.longEncoding}
+                    setText={(value) => update({ longText: value })}
+                    setEncodingId={(value) => update({ longEncoding: value })}
+                />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6 animate-[fadeIn_0.5s_ease-out]">
+            <div className="flex items-center justify-between gap-2">
+                {modeSwitch}
+                {input.length > 0 && (
+                    <ExportMenu
+                        onPrint={(blank) => setWorksheet({ blank })}
+                        onCSV={() => downloadBytes(toUTF8Array(buildAnalysisCSV(analysis, t)), 'digimoji_analysis.csv')}
+                        onJSON={() => downloadBytes(toUTF8Array(buildAnalysisJSON(input, analysis)), 'digimoji_analysis.json')}
+                    />
+                )}
+            </div>
+            {worksheet && <Worksheet input={input} analysis={analysis} blank={worksheet.blank} />}
+
+            {/* Input Area */}
+            <Card className="border-brand-100 shadow-md">
+                <div className="flex flex-col md:flex-row gap-4 items-center">
+                    <div className="flex-1 w-full relative">
+                        <label className="text-xs font-bold text-slate-500 mb-1 block">{t('converter.inputLabel', { max: MAX_INPUT_CHARS })}</label>
+                        <input
+                            type="text"
+                            value={input}
+                            onChange={(e) => handleInputChange(e.target.value)}
+                            placeholder={t('converter.placeholder')}
+                            className="w-full text-2xl p-3 pl-4 rounded-lg border-2 border-slate-200 focus:border-brand-500 focus:ring-4 focus:ring-brand-500/10 outline-none transition-all font-sans"
+                        />
+                        <div className="absolute right-3 top-9 text-xs text-slate-400">
+                            {charCount}/{MAX_INPUT_CHARS}
+                        </div>
+                    </div>
+                    {/* Data Size Comparison Badge */}
+                    {input.length > 0 && (
+                        <div className="flex-shrink-0 flex flex-wrap gap-x-4 gap-y-2 bg-slate-50 p-3 rounded-lg border border-slate-200 md:max-w-md">
+                            {totals.map(total => (
+                                <div key={total.encoding.id} className="text-center min-w-[4.5rem]">
+                                    <div className="text-xs text-slate-500 font-bold whitespace-nowrap">{total.encoding.label}</div>
+                                    <div className={`text-xl font-bold ${total.isValid ? total.encoding.total : 'text-slate-300'}`}>
+                                        {total.isValid ? total.length : '?'}<span className="text-xs text-slate-400 ml-1">B</span>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+                {unsupported.length > 0 && input.length > 0 && (
+                    <div className="mt-2 text-xs text-red-500 flex items-center gap-1">
+                        <i className="fa-solid fa-triangle-exclamation"></i>
+                        {t('converter.unsupported', { encodings: unsupported.map(total => total.encoding.label).join(t('list.separator')) })}
+                    </div>
+                )}
+            </Card>
+
+            {input.length > 0 ? (
+                <div className="grid lg:grid-cols-3 gap-6">
+                    {/* Left Column: Selector & Details */}
+                    <div className="lg:col-span-2 space-y-6">
+                        
+                        {/* Character Selector (Horizontal Scroll) */}
+                        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-4">
+                            <h3 id={`${stripId}-label`} className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">{t('converter.selectChar')}</h3>
+                            <div
+                                role="tablist"
+                                aria-labelledby={`${stripId}-label`}
+                                onKeyDown={handleStripKeyDown}
+                                className="flex gap-2 overflow-x-auto pb-2 custom-scrollbar"
+                            >
+                                {analysis.map((item, idx) => (
+                                    <button
+                                        key={idx}
+                                        ref={el => { charTabs.current[idx] = el; }}
+                                        id={`${stripId}-tab-${idx}`}
+                                        role="tab"
+                                        aria-selected={selectedIndex === idx}
+                                        aria-controls={`${stripId}-panel`}
+                                        aria-label={t('converter.charTab', { index: idx + 1, char: item.char })}
+                                        tabIndex={selectedIndex === idx ? 0 : -1}
+                                        onClick={() => selectChar(idx)}
+                                        className={`
+                                            flex-shrink-0 w-12 h-14 rounded-lg flex flex-col items-center justify-center transition-all border-2
+                                            ${selectedIndex === idx 
+                                                ? 'border-brand-500 bg-brand-50 text-brand-700 shadow-md scale-105' 
+                                                : 'border-slate-100 bg-slate-50 text-slate-600 hover:border-brand-200 hover:bg-white'}
+                                        `}
+                                    >
+                                        <span aria-hidden="true" className="text-lg font-bold leading-none mb-1">{item.char}</span>
+                                        <span aria-hidden="true" className="text-[10px] font-mono opacity-60">{idx + 1}</span>
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        {/* Selected Character Detail */}
+                        {selectedCharData && (
+                            <div id={`${stripId}-panel`} role="tabpanel" aria-labelledby={`${stripId}-tab-${selectedIndex}`}>
+                                <CharacterDetailCard 
+                                    item={selectedCharData} 
+                                    fontClass={selectedFont.family} 
+                                />
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Right Column: Tools & AI */}
+                    <div className="space-y-6">
+                        <Card title={t('converter.fontCompare')}>
+                            <div className="space-y-2">
+                                {FONTS.map(font => (
+                                    <button
+                                        key={font.name}
+                                        onClick={() => setSelectedFont(font)}
+                                        className={`w-full text-left px-3 py-2 rounded-lg border transition-all flex items-center justify-between group
+                                            ${selectedFont.name === font.name 
+                                                ? 'bg-brand-50 border-brand-200 ring-1 ring-brand-500/30' 
+                                                : 'bg-white border-slate-200 hover:border-brand-300'}
+                                        `}
+                                    >
+                                        <span className={`text-lg ${font.family}`}>{selectedCharData?.char || 'あ'}</span>
+                                        <span className="text-xs text-slate-400 group-hover:text-brand-500">{t(`font.${fontId(font)}`)}</span>
+                                    </button>
+                                ))}
+                            </div>
+                        </Card>
+
+                        <AITutorPanel input={input} selectedChar={selectedCharData?.char} settings={aiSettings} />
+                    </div>
+                    
+                    {/* Mojibake Simulator (Full width at bottom) */}
+                    <div className="lg:col-span-3">
+                        <MojibakeSimulator
+                            input={input}
+                            saveMode={saveMode}
+                            setSaveMode={(value) => update({ saveMode: value })}
+                            openMode={openMode}
+                            setOpenMode={(value) => update({ openMode: value })}
+                        />
+                    </div>
+
+                    {/* Unicode Normalization */}
+                    <div className="lg:col-span-3">
+                        <NormalizationLab input={input} onSelectExample={handleInputChange} />
+                    </div>
+                </div>
+            ) : (
+                <div className="text-center py-20 text-slate-400">
+                    <i className="fa-solid fa-keyboard text-4xl mb-4 text-slate-300"></i>
+                    <p>{t('converter.empty')}</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ExportMenu = ({ onPrint, onCSV, onJSON }) => {
+    const { t } = useI18n();
+    const [open, setOpen] = useState(false);
+    const items = [
+        { label: t('converter.exportWorksheet'), icon: 'fa-print', action: () => onPrint(false) },
+        { label: t('converter.exportWorksheetBlank'), icon: 'fa-pen-to-square', action: () => onPrint(true) },
+        { label: t('converter.exportCSV'), icon: 'fa-file-csv', action: onCSV },
+        { label: t('converter.exportJSON'), icon: 'fa-file-code', action: onJSON },
+    ];
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setOpen(!open)}
+                className="px-3 py-1.5 rounded-lg text-xs font-bold border-2 border-slate-100 bg-white text-slate-500 hover:border-slate-300 flex items-center gap-2"
+            >
+                <i className="fa-solid fa-file-export"></i>
+                {t('converter.export')}
+                <i className={`fa-solid fa-chevron-${open ? 'up' : 'down'} text-[10px]`}></i>
+            </button>
+            {open && (
+                <div className="absolute right-0 mt-1 w-60 bg-white rounded-lg shadow-lg border border-slate-200 py-1 z-20 animate-[fadeIn_0.2s]">
+                    {items.map(item => (
+                        <button
+                            key={item.label}
+                            onClick={() => { setOpen(false); item.action(); }}
+                            className="w-full text-left px-3 py-2 text-sm text-slate-600 hover:bg-brand-50 hover:text-brand-700 flex items-center gap-2"
+                        >
+                            <i className={`fa-solid ${item.icon} w-4 text-slate-400`}></i>
+                            {item.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// ワークシートに載せる文字コード
+const WORKSHEET_ENCODINGS = ['utf8', 'sjis'];
+
+// 1ビット1マスの記入欄（blank のときは空のマス）
+const BitGrid = ({ binary, blank }) => (
+    <div className="flex flex-wrap gap-1">
+        {binary.split(' ').map((byte, byteIdx) => (
+            <div key={byteIdx} className="flex">
+                {byte.split('').map((bit, bitIdx) => (
+                    <span key={bitIdx} className="w-4 h-5 border border-slate-400 -ml-px first:ml-0 text-[10px] font-mono flex items-center justify-center">
+                        {blank ? '' : bit}
+                    </span>
+                ))}
+            </div>
+        ))}
+    </div>
+);
+
+// 印刷専用のワークシート（画面には出さず、印刷のときだけこれ以外を隠す）
+const Worksheet = ({ input, analysis, blank }) => {
+    const { t } = useI18n();
+    // 入力した文字列だけ大きく見せるため、文言を {input} の前後で分ける
+    const [taskBefore, taskAfter] = t('worksheet.task').split('{input}');
+    const encodings = ENCODINGS.filter(encoding => WORKSHEET_ENCODINGS.includes(encoding.id));
+    const answer = (text) => (blank ? '' : text);
+
+    return (
+        <div className="worksheet-print hidden print:block bg-white text-black p-6 text-sm">
+            <style>{`
+                @media print {
+                    body * { visibility: hidden; }
+                    .worksheet-print, .worksheet-print * { visibility: visible; }
+                    .worksheet-print { position: absolute; left: 0; top: 0; width: 100%; }
+                }
+            `}</style>
+            <div className="flex justify-between items-end border-b-2 border-black pb-2 mb-4">
+                <h1 className="text-xl font-bold">{t('worksheet.title')}{blank ? '' : t('worksheet.answers')}</h1>
+                <div className="flex gap-6 text-sm">
+                    <span>{t('worksheet.class')}</span>
+                    <span>{t('worksheet.name')}</span>
+                </div>
+            </div>
+            <p className="mb-4">
+                {taskBefore}<span className="text-lg font-bold">{input}</span>{taskAfter}
+                {blank && t('worksheet.fillIn')}
+            </p>
+            <table className="w-full border-collapse">
+                <thead>
+                    <tr>
+                        <th className="border border-black px-2 py-1 w-12">{t('worksheet.char')}</th>
+                        <th className="border border-black px-2 py-1 w-24">{t('worksheet.codePoint')}</th>
+                        {encodings.map(encoding => (
+                            <th key={encoding.id} className="border border-black px-2 py-1">{t('worksheet.encodingColumn', { encoding: encoding.label })}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {analysis.map(item => (
+                        <tr key={item.id} className="break-inside-avoid">
+                            <td className="border border-black px-2 py-2 text-center text-2xl">{item.char}</td>
+                            <td className="border border-black px-2 py-2 font-mono text-xs">{answer(item.codePoint)}</td>
+                            {encodings.map(encoding => {
+                                const entry = item[encoding.id];
+                                return (
+                                    <td key={encoding.id} className="border border-black px-2 py-2 align-top">
+                                        {entry.isValid ? (
+                                            <div className="space-y-1">
+                                                <div className="font-mono h-5 border-b border-dotted border-slate-400">{answer(entry.hex)}</div>
+                                                <BitGrid binary={entry.binary} blank={blank} />
+                                            </div>
+                                        ) : (
+                                            <span className="text-xs">{t('worksheet.unsupported')}</span>
+                                        )}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <p className="mt-4 text-xs text-slate-600">{t('worksheet.footer')}</p>
+        </div>
+    );
+};
+
+const CharacterDetailCard = ({ item, fontClass }) => (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden animate-[fadeIn_0.3s]">
+        <div className="flex flex-col sm:flex-row">
+            {/* Visual */}
+            <div className="sm:w-1/3 bg-slate-50 p-8 flex flex-col items-center justify-center border-b sm:border-b-0 sm:border-r border-slate-100">
+                <span className={`text-8xl text-slate-800 ${fontClass} leading-none drop-shadow-sm`}>{item.char}</span>
+                <span className="mt-6 font-mono text-sm text-slate-500 bg-white px-3 py-1 rounded-full border border-slate-200 shadow-sm text-center">
+                    {item.codePoint}
+                </span>
+                {item.codePoints.length > 1 && <CodePointBreakdown codePoints={item.codePoints} />}
+            </div>
+
+            {/* Data */}
+            <div className="sm:w-2/3 p-6 space-y-8">
+                {ENCODINGS.map(encoding => (
+                    <EncodingSection key={encoding.id} encoding={encoding} char={item.char} data={item[encoding.id]} />
+                ))}
+            </div>
+        </div>
+    </div>
+);
+
+// アニメーションで1ビットずつ移すときの間隔(ms)
+const BIT_ANIMATION_INTERVAL = 180;
+
+// UTF-8のビット構造の解説（暗い背景のパネル内に表示する）
+const Utf8BitStructure = ({ bytes, binary }) => {
+    const { t } = useI18n();
+    const [revealed, setRevealed] = useState(undefined); // undefined = アニメーションしていない
+    const codePoints = useMemo(() => splitUTF8Payload(bytes), [bytes]);
+    const totalPayload = codePoints.reduce((acc, cp) => acc + cp.payload.length, 0);
+    const animating = revealed !== undefined && revealed < totalPayload;
+
+    useEffect(() => {
+        if (!animating) return;
+        const timer = setTimeout(() => setRevealed(revealed + 1), BIT_ANIMATION_INTERVAL);
+        return () => clearTimeout(timer);
+    }, [revealed, animating]);
+
+    // bytes が変わったらアニメーションをやめる
+    useEffect(() => setRevealed(undefined), [binary]);
+
+    let payloadOffset = 0;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap gap-3 text-[11px] text-slate-300">
+                <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-amber-400"></span>{t('utf8Bits.structure')}</span>
+                <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-brand-500"></span>{t('utf8Bits.data')}</span>
+            </div>
+
+            {/* コードポイント -> データビット */}
+            {codePoints.map((cp, idx) => {
+                const start = payloadOffset;
+                payloadOffset += cp.payload.length;
+                return (
+                    <div key={idx} className="font-mono text-sm">
+                        <div className="text-[10px] text-slate-500 mb-1">
+                            {t('utf8Bits.inBinary', {
+                                codePoint: cp.codePoint !== null ? `U+${cp.codePoint.toString(16).toUpperCase().padStart(4, '0')}` : '?',
+                                count: cp.payload.length,
+                            })}
+                        </div>
+                        <div className="flex flex-wrap gap-0.5">
+                            {cp.payload.split('').map((bit, bitIdx) => {
+                                const index = start + bitIdx;
+                                const moving = animating && index === revealed - 1;
+                                const moved = animating && index < revealed - 1;
+                                return (
+                                    <span
+                                        key={bitIdx}
+                                        className={`w-5 h-6 flex items-center justify-center rounded transition-all
+                                            ${moving ? 'bg-yellow-300 text-slate-900 -translate-y-1' : (moved ? 'text-slate-600' : (bit === '1' ? 'text-brand-300' : 'text-slate-500'))}
+                                            ${bitIdx > 0 && (cp.payload.length - bitIdx) % 4 === 0 ? 'ml-1.5' : ''}
+                                        `}
+                                    >
+                                        {bit}
+                                    </span>
+                                );
+                            })}
+                        </div>
+                        <div className="text-[11px] text-slate-400 mt-1">
+                            ＝ {cp.bytes.map(entry => entry.payload).filter(Boolean).map((chunk, i) => (
+                                <span key={i} className="text-brand-300">{i > 0 && <span className="text-slate-600"> + </span>}{chunk}</span>
+                            ))}
+                            <span className="text-slate-500">{t('utf8Bits.joined')}</span>
+                        </div>
+                    </div>
+                );
+            })}
+
+            <div className="flex items-center gap-2">
+                <i className="fa-solid fa-arrow-down text-slate-500"></i>
+                <button
+                    onClick={() => setRevealed(animating ? undefined : 0)}
+                    className="text-[11px] font-bold px-2 py-1 rounded border border-slate-600 text-slate-300 hover:text-yellow-300 hover:border-yellow-300 transition-colors"
+                >
+                    <i className={`fa-solid ${animating ? 'fa-stop' : 'fa-play'} mr-1`}></i>
+                    {animating ? t('utf8Bits.stop') : t('utf8Bits.play')}
+                </button>
+            </div>
+
+            <BitVisualizer binaryString={binary} isDarkBg={true} mode="utf8" revealedPayloadBits={animating ? revealed : undefined} />
+        </div>
+    );
+};
+
+// Shift-JISのバイトの意味（1バイト目・2バイト目の範囲と区点番号からの計算）
+const SjisInternals = ({ bytes }) => {
+    const { language, t } = useI18n();
+    const [open, setOpen] = useState(false);
+    const parts = useMemo(() => explainSJIS(bytes), [bytes]);
+
+    return (
+        <div className="mt-3">
+            <button
+                onClick={() => setOpen(!open)}
+                className="text-xs font-bold text-orange-700 hover:text-orange-500 flex items-center gap-1"
+            >
+                <i className={`fa-solid ${open ? 'fa-chevron-up' : 'fa-chevron-down'}`}></i>
+                {t('sjis.why')}
+            </button>
+            {open && (
+                <div className="mt-2 space-y-3 animate-[fadeIn_0.3s]">
+                    {parts.map((part, idx) => (
+                        <div key={idx} className="bg-white border border-orange-100 rounded-lg p-3 text-xs text-slate-600 space-y-2">
+                            {part.kind === 'ascii' && (
+                                <p>
+                                    <span className="font-mono font-bold text-orange-700">{toHexByte(part.bytes[0])}</span>：
+                                    <RichText text={t('sjis.ascii')} />
+                                </p>
+                            )}
+                            {part.kind === 'kana' && (
+                                <p>
+                                    <span className="font-mono font-bold text-orange-700">{toHexByte(part.bytes[0])}</span>：
+                                    <RichText text={t('sjis.kana')} />
+                                </p>
+                            )}
+                            {part.kind === 'invalid' && (
+                                <p className="text-red-600">
+                                    <span className="font-mono font-bold">{toHexString(part.bytes)}</span>：{translateReason(language, part.reason)}
+                                </p>
+                            )}
+                            {part.kind === 'double' && (
+                                <>
+                                    <div className="flex flex-wrap gap-2">
+                                        <span className="bg-orange-100 text-orange-800 rounded px-2 py-1">
+                                            <span className="font-mono font-bold">{toHexByte(part.bytes[0])}</span> {t('sjis.lead', { ranges: SJIS_LEAD_RANGES })}
+                                        </span>
+                                        <span className="bg-orange-50 text-orange-700 rounded px-2 py-1 border border-orange-100">
+                                            <span className="font-mono font-bold">{toHexByte(part.bytes[1])}</span> {t('sjis.trail', { ranges: SJIS_TRAIL_RANGES })}
+                                        </span>
+                                    </div>
+                                    <p>
+                                        <RichText text={t('sjis.kuten', {
+                                            char: part.char,
+                                            ku: String(part.ku).padStart(2, '0'),
+                                            ten: String(part.ten).padStart(2, '0'),
+                                            jis: `${toHexByte(part.jis[0])}${toHexByte(part.jis[1])}`,
+                                        })} />
+                                    </p>
+                                    <ol className="list-decimal list-inside font-mono text-[11px] bg-orange-50 rounded p-2 space-y-1">
+                                        {part.steps.map((step, i) => <li key={i}>{t(step.key, step.params)}</li>)}
+                                    </ol>
+                                    {part.extension && (
+                                        <p className="text-rose-600">
+                                            <i className="fa-solid fa-circle-info mr-1"></i>
+                                            {t(`sjis.extension.${part.extension}`)}
+                                        </p>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// 複数のコードポイントでできた文字（絵文字の組み合わせ・結合文字）の内訳
+const CodePointBreakdown = ({ codePoints }) => {
+    const { language, t } = useI18n();
+    const [open, setOpen] = useState(false);
+
+    return (
+        <div className="mt-4 w-full">
+            <button
+                onClick={() => setOpen(!open)}
+                className="w-full text-xs font-bold text-brand-700 bg-brand-50 border border-brand-100 rounded-lg px-3 py-2 flex items-center justify-between hover:bg-brand-100 transition-colors"
+            >
+                <span>{t('codePoints.combination', { count: codePoints.length })}</span>
+                <i className={`fa-solid ${open ? 'fa-chevron-up' : 'fa-chevron-down'}`}></i>
+            </button>
+            {open && (
+                <ul className="mt-2 space-y-2 animate-[fadeIn_0.3s]">
+                    {codePoints.map((part, idx) => (
+                        <li key={idx} className="bg-white border border-slate-200 rounded-lg p-2 text-xs">
+                            <div className="flex items-center justify-between gap-2">
+                                <span className="font-mono font-bold text-slate-700">{part.codePoint}</span>
+                                <span className="font-mono text-[10px] text-slate-400">{part.utf8}</span>
+                            </div>
+                            <div className="text-slate-500 mt-1 leading-snug">{translateRole(language, part.role)}</div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const EncodingSection = ({ encoding, char, data }) => {
+    const { t } = useI18n();
+    const [annotated, setAnnotated] = useState(false);
+    const note = data.isValid && encoding.note ? encoding.note(char, data.bytes, t) : null;
+    const canAnnotate = data.isValid && encoding.bitMode === 'utf8';
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-3">
+                <div className="flex items-center gap-2">
+                    <span className={`w-2 h-8 rounded-full ${data.isValid ? encoding.accent : 'bg-slate-300'}`}></span>
+                    <div>
+                        <h4 className="font-bold text-slate-800 leading-none">{encoding.label}</h4>
+                        <p className="text-xs text-slate-500">{t(`encodingInfo.${encoding.id}`)}</p>
+                    </div>
+                </div>
+                <div className="text-right">
+                    {data.isValid ? (
+                        <>
+                            <HexBadge hex={data.hex} />
+                            <div className="text-xs text-slate-400 mt-1 font-mono">{data.length} bytes</div>
+                        </>
+                    ) : (
+                        <span className="bg-red-100 text-red-600 text-xs font-bold px-2 py-1 rounded">{t('encodingSection.unsupported')}</span>
+                    )}
+                </div>
+            </div>
+
+            {data.isValid ? (
+                <div className={`rounded-lg p-4 overflow-x-auto ${encoding.panel}`}>
+                    {canAnnotate && (
+                        <button
+                            onClick={() => setAnnotated(!annotated)}
+                            className={`mb-3 text-[11px] font-bold px-2 py-1 rounded border transition-colors
+                                ${annotated ? 'bg-amber-400 text-slate-900 border-amber-400' : 'text-slate-400 border-slate-600 hover:text-amber-300 hover:border-amber-300'}
+                            `}
+                        >
+                            <i className="fa-solid fa-highlighter mr-1"></i>
+                            {t('encodingSection.showBits')}
+                        </button>
+                    )}
+                    {canAnnotate && annotated ? (
+                        <Utf8BitStructure bytes={data.bytes} binary={data.binary} />
+                    ) : (
+                        <BitVisualizer binaryString={data.binary} isDarkBg={encoding.isDarkBg} />
+                    )}
+                </div>
+            ) : (
+                <div className="bg-slate-100 rounded-lg p-4 text-center border-2 border-dashed border-slate-300">
+                    <p className="text-xs text-slate-500">
+                        <i className="fa-solid fa-ban mr-1"></i>
+                        {t('encodingSection.notInTable', { char, encoding: encoding.label })}
+                    </p>
+                </div>
+            )}
+
+            {data.isValid && encoding.details === 'sjis' && <SjisInternals bytes={data.bytes} />}
+
+            {note && (
+                <p className="mt-2 text-xs text-slate-500 leading-relaxed">
+                    <i className="fa-solid fa-circle-info mr-1"></i>
+                    {note}
+                </p>
+            )}
+        </div>
+    );
+};
+
+// 画面を切り替えても会話が消えないよう、タブを閉じるまで sessionStorage に残す
+const CHAT_STORAGE_KEY = 'digimoji-tutor-chat';
+
+// エラーになったやりとりや空の発言（回答の途中で画面を離れたもの）はAIに送らない。Gemini は空の発言を受け付けない
+const isSendableMessage = (message) => Boolean(message?.text) && !message.error;
+
+const loadChatHistory = () => {
+    try {
+        const saved = JSON.parse(window.sessionStorage.getItem(CHAT_STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(message => message?.text) : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+const AITutorPanel = ({ input, selectedChar, settings }) => {
+    const { language, t } = useI18n();
+    const [question, setQuestion] = useState('');
+    const [messages, setMessages] = useState(loadChatHistory); // [{ role, text, error? }]
+    const [loading, setLoading] = useState(false);
+    const listRef = useRef(null);
+
+    // AIへの質問コンテキストを動的に生成（別の文字を選ぶと次の質問から新しい文脈で聞く）
+    const focusChar = selectedChar || segmentGraphemes(input)[0] || '';
+    const context = useMemo(() => t('tutor.context', { input, char: focusChar }), [input, focusChar, language]);
+
+    useEffect(() => {
+        if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+    }, [messages]);
+
+    // 回答の途中は保存しない（書きかけの発言が残ると、次の質問から会話が壊れる）
+    useEffect(() => {
+        if (loading) return;
+        try {
+            window.sessionStorage.setItem(CHAT_STORAGE_KEY, JSON.stringify(messages));
+        } catch (e) {
+            // 保存できなくても会話は続けられる
+        }
+    }, [messages, loading]);
+
+    // 最後のメッセージ（回答中のAI先生の発言）を書き換える
+    const updateLast = (patch) => {
+        setMessages(prev => [...prev.slice(0, -1), { ...prev[prev.length - 1], ...patch }]);
+    };
+
+    const handleAsk = async () => {
+        if (!question.trim() || loading) return;
+        const history = [...messages.filter(isSendableMessage), { role: 'user', text: question }];
+        setMessages([...messages, { role: 'user', text: question }, { role: 'model', text: '' }]);
+        setQuestion('');
+        setLoading(true);
+        try {
+            await chatWithAITeacher(settings, history, context, text => updateLast({ text }), language);
+        } catch (e) {
+            updateLast({ text: t('tutor.error'), error: true });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (!isAIAvailable(settings)) return null;
+
+    return (
+        <Card
+            title={t('tutor.title')}
+            className="bg-gradient-to-br from-indigo-50 to-blue-50 border-indigo-100"
+            headerAction={messages.length > 0 && (
+                <button
+                    onClick={() => setMessages([])}
+                    disabled={loading}
+                    className="text-[11px] text-slate-400 hover:text-red-500 disabled:opacity-50"
+                >
+                    <i className="fa-solid fa-trash-can"></i> {t('tutor.clear')}
+                </button>
+            )}
+        >
+            <div className="space-y-3">
+                <div className="flex gap-2 mb-2">
+                    <div className="w-8 h-8 rounded-full bg-white flex items-center justify-center text-indigo-600 shadow-sm">
+                        <i className="fa-solid fa-robot"></i>
+                    </div>
+                    <div className="text-xs text-indigo-800 font-medium pt-1 leading-snug">
+                        {t('tutor.intro')}
+                        <span className="block text-[10px] text-indigo-400 font-normal mt-0.5">
+                            {t('tutor.answeredBy', { provider: t(`provider.${settings.provider}`) })}{settings.offline && t('tutor.offlineReason')}
+                        </span>
+                    </div>
+                </div>
+
+                {messages.length > 0 && (
+                    <div ref={listRef} className="max-h-80 overflow-y-auto custom-scrollbar space-y-2 pr-1">
+                        {messages.map((message, idx) => (
+                            <div key={idx} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                                <div className={`max-w-[85%] px-3 py-2 rounded-lg text-sm leading-relaxed whitespace-pre-wrap shadow-sm
+                                    ${message.role === 'user'
+                                        ? 'bg-indigo-600 text-white'
+                                        : message.error
+                                            ? 'bg-red-50 border border-red-200 text-red-600'
+                                            : 'bg-white border border-indigo-100 text-slate-700'}
+                                `}>
+                                    {message.text || <i className="fa-solid fa-ellipsis fa-fade text-indigo-400"></i>}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {focusChar && (
+                    <div className="text-[11px] text-indigo-500">
+                        <i className="fa-solid fa-location-dot"></i> {t('tutor.focus', { char: focusChar })}
+                    </div>
+                )}
+                
+                <textarea 
+                    value={question}
+                    onChange={(e) => setQuestion(e.target.value)}
+                    placeholder={messages.length > 0 ? t('tutor.placeholderMore') : t('tutor.placeholder')}
+                    className="w-full p-3 rounded-lg border border-indigo-200 text-sm focus:ring-2 focus:ring-indigo-400 outline-none bg-white/80"
+                    rows="2"
+                />
+                
+                <Button 
+                    onClick={handleAsk} 
+                    disabled={loading || !question.trim()} 
+                    className="w-full text-sm bg-indigo-600 hover:bg-indigo-500 text-white shadow-indigo-200"
+                >
+                    {loading ? <i className="fa-solid fa-spinner fa-spin"></i> : <><i className="fa-solid fa-paper-plane"></i> {t('tutor.ask')}</>}
+                </Button>
+            </div>
+        </Card>
+    );
+};
+
+// --- Long Text Mode ---
+
+// 16進ダンプの表示設定
+const DUMP_BYTES_PER_ROW = 16;
+const DUMP_ROW_HEIGHT = 28;   // px
+const DUMP_VISIBLE_ROWS = 16;
+const DUMP_OVERSCAN_ROWS = 4;
+
+// 文章と文字コードは共有リンクに入るよう App の lesson に持つ
+const LongTextView = ({ text, encodingId, setText, setEncodingId }) => {
+    const { t } = useI18n();
+    // 長文を入力している間も入力欄が固まらないよう、ダンプの再計算は遅らせる
+    const deferredText = useDeferredValue(text);
+
+    const dump = useMemo(() => buildHexDump(deferredText, encodingId), [deferredText, encodingId]);
+    const encoding = ENCODINGS.find(e => e.id === encodingId);
+
+    return (
+        <div className="space-y-6">
+            <Card className="border-brand-100 shadow-md">
+                <label className="text-xs font-bold text-slate-500 mb-1 block">{t('long.inputLabel')}</label>
+                <textarea
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    rows="6"
+                    placeholder={t('long.placeholder')}
+                    className="w-full text-base p-3 rounded-lg border-2 border-slate-200 focus:border-brand-500 focus:ring-4 focus:ring-brand-500/10 outline-none transition-all font-sans"
+                />
+                <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+                    <span className="text-xs font-bold text-slate-500">{t('long.encoding')}</span>
+                    <select
+                        value={encodingId}
+                        onChange={(e) => setEncodingId(e.target.value)}
+                        className="text-sm border border-slate-300 rounded-lg px-2 py-1 bg-white"
+                    >
+                        {ENCODINGS.map(e => <option key={e.id} value={e.id}>{e.label}</option>)}
+                    </select>
+                    <span className="text-xs text-slate-500">
+                        {t('long.chars', { count: dump.chars.length })} → <span className={`font-bold ${encoding.total}`}>{dump.bytes.length} bytes</span>
+                    </span>
+                </div>
+                {dump.unsupported.length > 0 && (
+                    <div className="mt-2 text-xs text-red-500 flex items-center gap-1">
+                        <i className="fa-solid fa-triangle-exclamation"></i>
+                        {t('long.unsupported', { encoding: encoding.label, chars: dump.unsupported.join(' ') })}
+                    </div>
+                )}
+            </Card>
+
+            {dump.bytes.length > 0 ? (
+                <HexDumpView dump={dump} />
+            ) : (
+                <div className="text-center py-20 text-slate-400">
+                    <i className="fa-solid fa-align-left text-4xl mb-4 text-slate-300"></i>
+                    <p>{t('long.empty')}</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// 表示できない制御文字は xxd と同じく「.」で表す
+const toDumpChar = (char) => (/^[\u0000-\u001F\u007F]$/.test(char) ? '.' : char);
+
+const HexDumpView = ({ dump }) => {
+    const { t } = useI18n();
+    const [scrollTop, setScrollTop] = useState(0);
+    const [hovered, setHovered] = useState(-1); // ハイライト中の文字番号
+
+    const { bytes, chars, byteToChar } = dump;
+    const rowCount = Math.ceil(bytes.length / DUMP_BYTES_PER_ROW);
+
+    // 画面に見えている行（＋前後の余裕）だけを描画する
+    const firstRow = Math.max(0, Math.floor(scrollTop / DUMP_ROW_HEIGHT) - DUMP_OVERSCAN_ROWS);
+    const lastRow = Math.min(rowCount, Math.ceil(scrollTop / DUMP_ROW_HEIGHT) + DUMP_VISIBLE_ROWS + DUMP_OVERSCAN_ROWS);
+    const rows = [];
+    for (let row = firstRow; row < lastRow; row++) rows.push(row);
+
+    const hoveredChar = hovered >= 0 ? chars[hovered] : null;
+
+    return (
+        <Card
+            title={t('dump.title')}
+            headerAction={<span className="text-xs text-slate-400 font-mono">{t('dump.rows', { count: rowCount })}</span>}
+        >
+            <div className="mb-3 h-8 text-sm flex items-center gap-3 text-slate-600">
+                {hoveredChar ? (
+                    <>
+                        <span className="text-xl font-bold text-slate-800">{toDumpChar(hoveredChar.char)}</span>
+                        <span className="font-mono text-xs">U+{hoveredChar.char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}</span>
+                        <span className="font-mono text-xs text-slate-400">offset {hoveredChar.start.toString(16).padStart(8, '0')}</span>
+                        <HexBadge hex={toHexString(bytes.slice(hoveredChar.start, hoveredChar.start + hoveredChar.length))} />
+                    </>
+                ) : (
+                    <span className="text-xs text-slate-400">{t('dump.hint')}</span>
+                )}
+            </div>
+
+            <div className="overflow-x-auto custom-scrollbar">
+                <div
+                    onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+                    onMouseLeave={() => setHovered(-1)}
+                    className="bg-slate-900 rounded-lg overflow-y-auto font-mono text-sm min-w-[760px]"
+                    style={{ height: Math.min(rowCount, DUMP_VISIBLE_ROWS) * DUMP_ROW_HEIGHT + 16 }}
+                >
+                    <div className="relative" style={{ height: rowCount * DUMP_ROW_HEIGHT + 16 }}>
+                        {rows.map(row => (
+                            <HexDumpRow
+                                key={row}
+                                row={row}
+                                bytes={bytes}
+                                chars={chars}
+                                byteToChar={byteToChar}
+                                hovered={hovered}
+                                onHover={setHovered}
+                            />
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </Card>
+    );
+};
+
+const HexDumpRow = ({ row, bytes, chars, byteToChar, hovered, onHover }) => {
+    const offset = row * DUMP_BYTES_PER_ROW;
+    const cells = [];
+    for (let i = offset; i < Math.min(offset + DUMP_BYTES_PER_ROW, bytes.length); i++) cells.push(i);
+
+    return (
+        <div
+            className="absolute left-0 right-0 flex items-center gap-4 px-3"
+            style={{ top: row * DUMP_ROW_HEIGHT + 8, height: DUMP_ROW_HEIGHT }}
+        >
+            <span className="text-slate-500 select-none">{offset.toString(16).padStart(8, '0')}:</span>
+
+            <div className="flex">
+                {cells.map(i => {
+                    const charIndex = byteToChar[i];
+                    const active = charIndex >= 0 && charIndex === hovered;
+                    return (
+                        <span
+                            key={i}
+                            onMouseEnter={() => onHover(charIndex)}
+                            className={`w-7 text-center rounded cursor-default ${i % 2 === 1 ? 'mr-1' : ''}
+                                ${active ? 'bg-yellow-400 text-slate-900' : (charIndex < 0 ? 'text-slate-500' : 'text-yellow-400')}
+                            `}
+                        >
+                            {bytes[i].toString(16).padStart(2, '0')}
+                        </span>
+                    );
+                })}
+            </div>
+
+            <div className="flex">
+                {cells.map(i => {
+                    const charIndex = byteToChar[i];
+                    const active = charIndex >= 0 && charIndex === hovered;
+                    // 文字は先頭バイトの位置に表示し、残りのバイトの位置は空ける
+                    const isFirst = charIndex >= 0 && chars[charIndex].start === i;
+                    return (
+                        <span
+                            key={i}
+                            onMouseEnter={() => onHover(charIndex)}
+                            className={`w-5 text-center rounded cursor-default whitespace-pre
+                                ${active ? 'bg-yellow-400 text-slate-900' : 'text-slate-200'}
+                            `}
+                        >
+                            {isFirst ? toDumpChar(chars[charIndex].char) : ' '}
+                        </span>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// --- Code Table View ---
+
+// ASCIIの制御文字の略称 (0x00-0x1F, 0x7F)
+const ASCII_CONTROL_NAMES = [
+    'NUL', 'SOH', 'STX', 'ETX', 'EOT', 'ENQ', 'ACK', 'BEL', 'BS', 'HT', 'LF', 'VT', 'FF', 'CR', 'SO', 'SI',
+    'DLE', 'DC1', 'DC2', 'DC3', 'DC4', 'NAK', 'SYN', 'ETB', 'CAN', 'EM', 'SUB', 'ESC', 'FS', 'GS', 'RS', 'US',
+];
+
+const controlNameOf = (cp) => {
+    if (cp < 0x20) return ASCII_CONTROL_NAMES[cp];
+    if (cp === 0x20) return 'SP';
+    if (cp === 0x7F) return 'DEL';
+    return null;
+};
+
+// JIS X 0208 の各区に何が入っているか（名前は MESSAGES の jisRow.{id}）
+const describeJISRow = (ku) => {
+    if (ku <= 2) return 'symbols';
+    if (ku === 3) return 'alphanumeric';
+    if (ku === 4) return 'hiragana';
+    if (ku === 5) return 'katakana';
+    if (ku === 6) return 'greek';
+    if (ku === 7) return 'cyrillic';
+    if (ku === 8) return 'boxDrawing';
+    if (ku === 13) return 'nec';
+    if (ku <= 15) return 'empty';
+    if (ku <= 47) return 'level1';
+    if (ku <= 84) return 'level2';
+    if (ku >= 89 && ku <= 92) return 'ibm';
+    return 'empty';
+};
+
+// 区点番号の文字（Shift-JISに変換してから読む。空き番号は空文字）
+const charFromKuten = (ku, ten) => {
+    const { lead, trail } = kutenToSJIS(ku, ten);
+    const [group] = decodeSJISGroups([lead, trail]);
+    return group.valid ? group.char : '';
+};
+
+// 名前は MESSAGES の unicodeBlock.{id}
+const UNICODE_BLOCKS = [
+    { id: 'basicLatin', start: 0x0000, end: 0x007F },
+    { id: 'latin1', start: 0x0080, end: 0x00FF },
+    { id: 'greek', start: 0x0370, end: 0x03FF },
+    { id: 'cyrillic', start: 0x0400, end: 0x04FF },
+    { id: 'arrows', start: 0x2190, end: 0x21FF },
+    { id: 'enclosedAlphanumerics', start: 0x2460, end: 0x24FF },
+    { id: 'boxDrawing', start: 0x2500, end: 0x257F },
+    { id: 'cjkSymbols', start: 0x3000, end: 0x303F },
+    { id: 'hiragana', start: 0x3040, end: 0x309F },
+    { id: 'katakana', start: 0x30A0, end: 0x30FF },
+    { id: 'cjkIdeographs', start: 0x4E00, end: 0x9FFF },
+    { id: 'halfwidthFullwidth', start: 0xFF00, end: 0xFFEF },
+    { id: 'pictographs', start: 0x1F300, end: 0x1F5FF },
+    { id: 'emoticons', start: 0x1F600, end: 0x1F64F },
+];
+
+// Unicodeブロックを1ページに表示する文字数
+const UNICODE_PAGE_SIZE = 256;
+
+// 名前は MESSAGES の table.tab.{id}
+const CODE_TABLE_TABS = ['ascii', 'jis', 'unicode'];
+
+const CodeTableView = ({ labInput, onSendChar, onOpenLab }) => {
+    const { t } = useI18n();
+    const [tab, setTab] = useState('ascii');
+    const [hovered, setHovered] = useState(null); // { char, code }
+
+    // マウスを乗せた文字のバイト列
+    const hoveredData = useMemo(() => (hovered ? analyzeText(hovered.char)[0] : null), [hovered]);
+
+    return (
+        <div className="space-y-6 animate-[fadeIn_0.5s_ease-out]">
+            <div className="flex flex-wrap items-center justify-between gap-3 bg-white rounded-xl shadow-sm border border-slate-200 p-3">
+                <div className="flex gap-2">
+                    {CODE_TABLE_TABS.map(id => (
+                        <button
+                            key={id}
+                            onClick={() => { setTab(id); setHovered(null); }}
+                            className={`px-3 py-1.5 rounded-lg text-xs font-bold border-2 transition-all
+                                ${tab === id
+                                    ? 'border-brand-500 bg-brand-50 text-brand-700'
+                                    : 'border-slate-100 bg-white text-slate-500 hover:border-slate-300'}
+                            `}
+                        >
+                            {t(`table.tab.${id}`)}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex items-center gap-2 text-sm">
+                    <span className="text-xs text-slate-500">{t('table.labInput')}</span>
+                    <span className="font-bold text-slate-800 bg-slate-50 border border-slate-200 rounded px-2 py-1 min-w-[3rem]">{labInput || ' '}</span>
+                    <Button variant="secondary" onClick={onOpenLab} className="text-xs py-1.5">
+                        {t('table.openLab')} <i className="fa-solid fa-arrow-right"></i>
+                    </Button>
+                </div>
+            </div>
+
+            <div className="grid lg:grid-cols-4 gap-6 items-start">
+                <div className="lg:col-span-3">
+                    {tab === 'ascii' && <AsciiTable onHover={setHovered} onSelect={onSendChar} />}
+                    {tab === 'jis' && <JISTable onHover={setHovered} onSelect={onSendChar} />}
+                    {tab === 'unicode' && <UnicodeBlockTable onHover={setHovered} onSelect={onSendChar} />}
+                </div>
+
+                {/* マウスを乗せた文字の詳細 */}
+                <div className="lg:sticky lg:top-24">
+                    <Card title={t('table.selected')}>
+                        {hoveredData ? (
+                            <div className="space-y-3 text-center">
+                                <div className="text-6xl text-slate-800 leading-none min-h-[4rem]">{controlNameOf(hoveredData.char.codePointAt(0)) || hoveredData.char}</div>
+                                <div className="font-mono text-xs text-slate-500">{hovered.code} / {hoveredData.codePoint}</div>
+                                <div className="text-left space-y-2">
+                                    <div>
+                                        <div className="text-xs font-bold text-slate-500 mb-1">UTF-8</div>
+                                        <HexBadge hex={hoveredData.utf8.hex} />
+                                    </div>
+                                    <div>
+                                        <div className="text-xs font-bold text-slate-500 mb-1">Shift-JIS</div>
+                                        {hoveredData.sjis.isValid
+                                            ? <HexBadge hex={hoveredData.sjis.hex} />
+                                            : <span className="bg-red-100 text-red-600 text-xs font-bold px-2 py-1 rounded">{t('encodingSection.unsupported')}</span>}
+                                    </div>
+                                </div>
+                            </div>
+                        ) : (
+                            <p className="text-xs text-slate-400 text-center py-6">
+                                <RichText text={t('table.hint')} />
+                            </p>
+                        )}
+                    </Card>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// 表の1マス
+const CodeCell = ({ char, code, label, muted = false, onHover, onSelect }) => {
+    if (!char) {
+        return <div className="h-14 rounded bg-slate-50 border border-slate-100"></div>;
+    }
+    return (
+        <button
+            onMouseEnter={() => onHover({ char, code })}
+            onFocus={() => onHover({ char, code })}
+            onClick={() => onSelect(char)}
+            className={`h-14 rounded border flex flex-col items-center justify-center transition-all hover:border-brand-500 hover:bg-brand-50 hover:shadow-md
+                ${muted ? 'bg-slate-100 border-slate-200' : 'bg-white border-slate-200'}
+            `}
+        >
+            <span className={`leading-none ${label ? 'text-[10px] font-bold text-slate-500 font-mono' : 'text-lg text-slate-800'}`}>
+                {label || char}
+            </span>
+            <span className="text-[9px] font-mono text-slate-400 mt-1">{code}</span>
+        </button>
+    );
+};
+
+const AsciiTable = ({ onHover, onSelect }) => {
+    const { t } = useI18n();
+    return (
+        <Card title={t('table.asciiTitle')}>
+            <p className="text-xs text-slate-500 mb-3">
+                <RichText text={t('table.asciiIntro')} />
+            </p>
+            <div className="overflow-x-auto custom-scrollbar">
+                <div className="grid gap-1 min-w-[560px]" style={{ gridTemplateColumns: 'auto repeat(8, minmax(0, 1fr))' }}>
+                    <div></div>
+                    {Array.from({ length: 8 }, (_, hi) => (
+                        <div key={hi} className="text-center text-xs font-mono font-bold text-slate-500">{hi}x</div>
+                    ))}
+                    {Array.from({ length: 16 }, (_, lo) => (
+                        <React.Fragment key={lo}>
+                            <div className="text-xs font-mono font-bold text-slate-500 flex items-center pr-1">x{lo.toString(16).toUpperCase()}</div>
+                            {Array.from({ length: 8 }, (_, hi) => {
+                                const cp = hi * 16 + lo;
+                                const controlName = controlNameOf(cp);
+                                return (
+                                    <CodeCell
+                                        key={hi}
+                                        char={String.fromCharCode(cp)}
+                                        code={toHexByte(cp)}
+                                        label={controlName}
+                                        muted={controlName !== null && cp !== 0x20}
+                                        onHover={onHover}
+                                        onSelect={onSelect}
+                                    />
+                                );
+                            })}
+                        </React.Fragment>
+                    ))}
+                </div>
+            </div>
+        </Card>
+    );
+};
+
+const JISTable = ({ onHover, onSelect }) => {
+    const { t } = useI18n();
+    const [ku, setKu] = useState(4);
+    const cells = useMemo(() => Array.from({ length: 96 }, (_, ten) => (
+        ten >= 1 && ten <= 94 ? charFromKuten(ku, ten) : ''
+    )), [ku]);
+
+    return (
+        <Card
+            title={t('table.jisTitle')}
+            headerAction={
+                <div className="flex items-center gap-1">
+                    <button onClick={() => setKu(Math.max(1, ku - 1))} disabled={ku <= 1} className="w-7 h-7 rounded hover:bg-slate-200 disabled:opacity-30">
+                        <i className="fa-solid fa-chevron-left"></i>
+                    </button>
+                    <select
+                        value={ku}
+                        onChange={(e) => setKu(Number(e.target.value))}
+                        className="text-xs border border-slate-300 rounded px-1 py-1 bg-white"
+                    >
+                        {Array.from({ length: 94 }, (_, i) => i + 1).map(k => (
+                            <option key={k} value={k}>{t('table.jisRow', { ku: k, label: t(`jisRow.${describeJISRow(k)}`) })}</option>
+                        ))}
+                    </select>
+                    <button onClick={() => setKu(Math.min(94, ku + 1))} disabled={ku >= 94} className="w-7 h-7 rounded hover:bg-slate-200 disabled:opacity-30">
+                        <i className="fa-solid fa-chevron-right"></i>
+                    </button>
+                </div>
+            }
+        >
+            <p className="text-xs text-slate-500 mb-3">
+                {t('table.jisIntro', { ku, label: t(`jisRow.${describeJISRow(ku)}`) })}
+            </p>
+            <div className="overflow-x-auto custom-scrollbar">
+                <div className="grid gap-1 min-w-[640px]" style={{ gridTemplateColumns: 'auto repeat(16, minmax(0, 1fr))' }}>
+                    <div></div>
+                    {Array.from({ length: 16 }, (_, col) => (
+                        <div key={col} className="text-center text-[10px] font-mono font-bold text-slate-500">+{col}</div>
+                    ))}
+                    {Array.from({ length: 6 }, (_, row) => (
+                        <React.Fragment key={row}>
+                            <div className="text-[10px] font-mono font-bold text-slate-500 flex items-center pr-1">{row * 16}</div>
+                            {Array.from({ length: 16 }, (_, col) => {
+                                const ten = row * 16 + col;
+                                return (
+                                    <CodeCell
+                                        key={col}
+                                        char={cells[ten]}
+                                        code={`${String(ku).padStart(2, '0')}-${String(ten).padStart(2, '0')}`}
+                                        onHover={onHover}
+                                        onSelect={onSelect}
+                                    />
+                                );
+                            })}
+                        </React.Fragment>
+                    ))}
+                </div>
+            </div>
+        </Card>
+    );
+};
+
+const UnicodeBlockTable = ({ onHover, onSelect }) => {
+    const { t } = useI18n();
+    const [blockIndex, setBlockIndex] = useState(8); // ひらがな
+    const [page, setPage] = useState(0);
+    const block = UNICODE_BLOCKS[blockIndex];
+    const pageCount = Math.ceil((block.end - block.start + 1) / UNICODE_PAGE_SIZE);
+    const pageStart = block.start + page * UNICODE_PAGE_SIZE;
+    const pageEnd = Math.min(block.end, pageStart + UNICODE_PAGE_SIZE - 1);
+
+    const cells = [];
+    for (let cp = pageStart; cp <= pageEnd; cp++) cells.push(cp);
+
+    return (
+        <Card
+            title={t('table.unicodeTitle')}
+            headerAction={
+                <select
+                    value={blockIndex}
+                    onChange={(e) => { setBlockIndex(Number(e.target.value)); setPage(0); }}
+                    className="text-xs border border-slate-300 rounded px-1 py-1 bg-white"
+                >
+                    {UNICODE_BLOCKS.map((b, idx) => (
+                        <option key={b.id} value={idx}>{t(`unicodeBlock.${b.id}`)}</option>
+                    ))}
+                </select>
+            }
+        >
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <p className="text-xs text-slate-500">
+                    {t('table.unicodeIntro', {
+                        block: t(`unicodeBlock.${block.id}`),
+                        start: `U+${block.start.toString(16).toUpperCase().padStart(4, '0')}`,
+                        end: `U+${block.end.toString(16).toUpperCase().padStart(4, '0')}`,
+                    })}
+                </p>
+                {pageCount > 1 && (
+                    <div className="flex items-center gap-1 text-xs">
+                        <button onClick={() => setPage(Math.max(0, page - 1))} disabled={page === 0} className="w-7 h-7 rounded hover:bg-slate-200 disabled:opacity-30">
+                            <i className="fa-solid fa-chevron-left"></i>
+                        </button>
+                        <span className="font-mono">{page + 1} / {pageCount}</span>
+                        <button onClick={() => setPage(Math.min(pageCount - 1, page + 1))} disabled={page >= pageCount - 1} className="w-7 h-7 rounded hover:bg-slate-200 disabled:opacity-30">
+                            <i className="fa-solid fa-chevron-right"></i>
+                        </button>
+                    </div>
+                )}
+            </div>
+            <div className="overflow-x-auto custom-scrollbar">
+                <div className="grid gap-1 min-w-[640px]" style={{ gridTemplateColumns: 'repeat(16, minmax(0, 1fr))' }}>
+                    {cells.map(cp => {
+                        const char = String.fromCodePoint(cp);
+                        // 未割り当ての番号は空白のマスにする
+                        const assigned = !/\p{Cn}/u.test(char);
+                        const controlName = controlNameOf(cp) || (/\p{Cc}/u.test(char) ? 'CTRL' : null);
+                        return (
+                            <CodeCell
+                                key={cp}
+                                char={assigned ? char : ''}
+                                code={cp.toString(16).toUpperCase().padStart(4, '0')}
+                                label={controlName}
+                                muted={controlName !== null && cp !== 0x20}
+                                onHover={onHover}
+                                onSelect={onSelect}
+                            />
+                        );
+                    })}
+                </div>
+            </div>
+        </Card>
+    );
+};
+
+// --- Font Lab View ---
+
+// 拡大表示の大きさ(px)
+const FONT_PREVIEW_SIZE = 240;
+
+// JIS第1水準・第2水準の漢字と非漢字の合計（ビットマップフォント全体の大きさの計算用）
+const JIS_X_0208_CHAR_COUNT = 6879;
+
+const FontLabView = ({ initialChar }) => {
+    const { t } = useI18n();
+    const [char, setChar] = useState(initialChar);
+    const [font, setFont] = useState(FONTS[0]);
+    const [size, setSize] = useState(16);
+    const [bitmap, setBitmap] = useState(() => createEmptyGlyph(16));
+    const [glyph, setGlyph] = useState(() => createEmptyGlyph(16));
+
+    // Webフォントの読み込みを待ってからビットマップにする
+    useEffect(() => {
+        let cancelled = false;
+        const render = () => {
+            if (!cancelled) setBitmap(rasterizeGlyph(char || ' ', size, font.css));
+        };
+        if (document.fonts && document.fonts.load) {
+            document.fonts.load(`${size}px ${font.css}`, char).then(render, render);
+        } else {
+            render();
+        }
+        return () => { cancelled = true; };
+    }, [char, size, font]);
+
+    // 文字・フォント・大きさを変えたら、エディタにも取り込み直す
+    useEffect(() => {
+        setGlyph(bitmap.map(row => [...row]));
+    }, [bitmap]);
+
+    const handleCharChange = (value) => {
+        // 入力欄は1文字なので、最後に打った文字を使う
+        const last = segmentGraphemes(value).pop();
+        if (last) setChar(last);
+    };
+
+    return (
+        <div className="space-y-6 animate-[fadeIn_0.5s_ease-out]">
+            <Card className="border-brand-100 shadow-md">
+                <div className="flex flex-wrap items-end gap-6">
+                    <div>
+                        <label className="text-xs font-bold text-slate-500 mb-1 block">{t('fontLab.char')}</label>
+                        <input
+                            type="text"
+                            value={char}
+                            onChange={(e) => handleCharChange(e.target.value)}
+                            className="w-20 text-3xl text-center p-2 rounded-lg border-2 border-slate-200 focus:border-brand-500 outline-none"
+                        />
+                    </div>
+                    <div>
+                        <div className="text-xs font-bold text-slate-500 mb-1">{t('fontLab.font')}</div>
+                        <div className="flex flex-wrap gap-2">
+                            {FONTS.map(f => (
+                                <button
+                                    key={f.name}
+                                    onClick={() => setFont(f)}
+                                    className={`px-3 py-2 rounded-lg border text-sm transition-all ${f.family}
+                                        ${font.name === f.name ? 'bg-brand-50 border-brand-300 text-brand-700 font-bold' : 'bg-white border-slate-200 text-slate-600 hover:border-brand-300'}
+                                    `}
+                                >
+                                    {t(`font.${fontId(f)}`)}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <div>
+                        <div className="text-xs font-bold text-slate-500 mb-1">{t('fontLab.size')}</div>
+                        <div className="flex gap-2">
+                            {BITMAP_SIZES.map(n => (
+                                <button
+                                    key={n}
+                                    onClick={() => setSize(n)}
+                                    className={`px-3 py-2 rounded-lg border text-sm font-mono transition-all
+                                        ${size === n ? 'bg-brand-50 border-brand-300 text-brand-700 font-bold' : 'bg-white border-slate-200 text-slate-600 hover:border-brand-300'}
+                                    `}
+                                >
+                                    {n}×{n}
+                                </button>
+                            ))}
                         </div>
                     </div>
                 </div>
+            </Card>
 
-                {/* 矢印 & データ */}
-                <div className="flex flex-col items-center justify-center gap-1 text-slate-400 px-2">
-                    <i className="fa-solid fa-file-arrow-down text-xl"></i>
-                    <div className="bg-slate-800 text-yellow-400 font-mono text-[10px] px-2 py-1 rounded shadow-sm max-w-[120px] overflow-hidden text-center whitespace-nowrap">
-                        {displayHex || "00 00..."}
+            <Card title={t('fontLab.compareTitle')}>
+                <div className="grid md:grid-cols-2 gap-6">
+                    <div className="flex flex-col items-center gap-2">
+                        <BitmapPreview glyph={bitmap} />
+                        <div className="text-sm font-bold text-slate-700">{t('fontLab.bitmap', { size })}</div>
+                        <p className="text-xs text-slate-500 text-center">{t('fontLab.bitmapDesc')}</p>
+                    </div>
+                    <div className="flex flex-col items-center gap-2">
+                        <div
+                            className={`flex items-center justify-center bg-white border border-slate-200 rounded-lg text-slate-900 ${font.family}`}
+                            style={{ width: FONT_PREVIEW_SIZE, height: FONT_PREVIEW_SIZE, fontSize: FONT_PREVIEW_SIZE * 0.85, lineHeight: 1 }}
+                        >
+                            {char}
+                        </div>
+                        <div className="text-sm font-bold text-slate-700">{t('fontLab.outline')}</div>
+                        <p className="text-xs text-slate-500 text-center">{t('fontLab.outlineDesc')}</p>
                     </div>
-                    <div className="text-[10px] text-slate-500">ファイル(バイト列)</div>
-                    <i className="fa-solid fa-file-arrow-up text-xl mt-1"></i>
                 </div>
+            </Card>
 
-                {/* STEP 2: 開く */}
-                <div className="flex-1 bg-white p-4 rounded-xl border border-slate-200 shadow-sm flex flex-col">
-                    <div className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">STEP 2. 表示</div>
-                    <div className="flex-1 flex flex-col justify-center gap-3">
-                        <p className="text-sm font-bold text-slate-700">どのルールで開く？</p>
-                        <div className="flex gap-2">
-                            <button 
-                                onClick={() => setOpenMode('UTF8')}
-                                className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold transition-all border-2
-                                    ${openMode === 'UTF8' 
-                                        ? 'border-brand-500 bg-brand-50 text-brand-700' 
-                                        : 'border-slate-100 bg-slate-50 text-slate-500 hover:bg-white hover:border-slate-300'}
-                                `}
-                            >
-                                UTF-8
-                            </button>
-                            <button 
-                                onClick={() => setOpenMode('SJIS')}
-                                className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold transition-all border-2
-                                    ${openMode === 'SJIS' 
-                                        ? 'border-orange-500 bg-orange-50 text-orange-700' 
-                                        : 'border-slate-100 bg-slate-50 text-slate-500 hover:bg-white hover:border-slate-300'}
-                                `}
-                            >
-                                Shift-JIS
-                            </button>
+            <div className="grid lg:grid-cols-2 gap-6 items-start">
+                <Card
+                    title={t('fontLab.editor')}
+                    headerAction={
+                        <div className="flex gap-1">
+                            <Button variant="ghost" className="text-xs px-2 py-1" onClick={() => setGlyph(bitmap.map(row => [...row]))}>
+                                <i className="fa-solid fa-file-import"></i> {t('fontLab.import')}
+                            </Button>
+                            <Button variant="ghost" className="text-xs px-2 py-1" onClick={() => setGlyph(glyph.map(row => row.map(bit => 1 - bit)))}>
+                                <i className="fa-solid fa-circle-half-stroke"></i> {t('fontLab.invert')}
+                            </Button>
+                            <Button variant="ghost" className="text-xs px-2 py-1" onClick={() => setGlyph(createEmptyGlyph(size))}>
+                                <i className="fa-solid fa-eraser"></i> {t('fontLab.clear')}
+                            </Button>
                         </div>
-                    </div>
+                    }
+                >
+                    <p className="text-xs text-slate-500 mb-3">{t('fontLab.editorHint')}</p>
+                    <GlyphEditor glyph={glyph} onChange={setGlyph} />
+                </Card>
+
+                <GlyphDataCard glyph={glyph} />
+            </div>
+        </div>
+    );
+};
+
+// ビットマップを拡大して表示する
+const BitmapPreview = ({ glyph }) => {
+    const size = glyph.length;
+    return (
+        <div
+            className="grid bg-white border border-slate-200 rounded-lg overflow-hidden"
+            style={{ width: FONT_PREVIEW_SIZE, height: FONT_PREVIEW_SIZE, gridTemplateColumns: `repeat(${size}, 1fr)` }}
+        >
+            {glyph.flatMap((row, y) => row.map((bit, x) => (
+                <div key={`${y}-${x}`} className={bit ? 'bg-slate-900' : ''}></div>
+            )))}
+        </div>
+    );
+};
+
+const GlyphEditor = ({ glyph, onChange }) => {
+    // ドラッグ中に塗る値（1 = 黒, 0 = 白, null = ドラッグしていない）
+    const paintRef = useRef(null);
+    const size = glyph.length;
+
+    const paint = (y, x, value) => {
+        if (glyph[y][x] === value) return;
+        onChange(glyph.map((row, ry) => (ry === y ? row.map((bit, rx) => (rx === x ? value : bit)) : row)));
+    };
+
+    useEffect(() => {
+        const stop = () => { paintRef.current = null; };
+        window.addEventListener('mouseup', stop);
+        return () => window.removeEventListener('mouseup', stop);
+    }, []);
+
+    return (
+        <div
+            className="grid gap-px bg-slate-200 border border-slate-200 rounded select-none mx-auto"
+            style={{ gridTemplateColumns: `repeat(${size}, 1fr)`, width: 'min(100%, 384px)', aspectRatio: '1 / 1' }}
+        >
+            {glyph.flatMap((row, y) => row.map((bit, x) => (
+                <div
+                    key={`${y}-${x}`}
+                    onMouseDown={() => { paintRef.current = 1 - bit; paint(y, x, 1 - bit); }}
+                    onMouseEnter={() => { if (paintRef.current !== null) paint(y, x, paintRef.current); }}
+                    className={`cursor-pointer ${bit ? 'bg-slate-900 hover:bg-slate-700' : 'bg-white hover:bg-brand-100'}`}
+                ></div>
+            )))}
+        </div>
+    );
+};
+
+// 描いた文字のビットパターンとデータ量
+const GlyphDataCard = ({ glyph }) => {
+    const { t } = useI18n();
+    const size = glyph.length;
+    const bytes = glyphToBytes(glyph);
+    const totalKB = (bytes.length * JIS_X_0208_CHAR_COUNT / 1024).toFixed(1);
+
+    return (
+        <Card title={t('fontLab.dataTitle')}>
+            <div className="space-y-4">
+                <div className="bg-slate-900 rounded-lg p-4 overflow-x-auto shadow-inner">
+                    <BitVisualizer binaryString={glyphToBinaryRows(glyph).join(' ')} isDarkBg={true} />
+                </div>
+                <div className="text-sm text-slate-600 space-y-1">
+                    <p>
+                        {t('fontLab.perChar', { size })} = <strong>{t('unit.bits', { count: size * size })}</strong> = <strong className="text-brand-600">{t('unit.bytes', { count: bytes.length })}</strong>
+                    </p>
+                    <p className="text-xs text-slate-500">
+                        {t('fontLab.dataNote', { count: JIS_X_0208_CHAR_COUNT.toLocaleString(), kb: totalKB })}
+                    </p>
+                </div>
+                <div className="font-mono text-[11px] text-slate-500 break-all bg-slate-50 rounded p-2 border border-slate-200">
+                    {toHexString(bytes)}
                 </div>
             </div>
+        </Card>
+    );
+};
 
-            {/* 結果表示エリア */}
-            <div className={`mt-6 rounded-xl p-6 text-center border-2 transition-all duration-500 ${currentStyle.bg} ${currentStyle.border}`}>
-                <div className="text-xs font-bold text-slate-500 mb-2 uppercase tracking-wider">画面の表示結果</div>
-                <div className={`text-3xl font-bold font-mono break-all min-h-[3rem] flex items-center justify-center ${currentStyle.text}`}>
-                    {resultText}
+// --- Code Design View ---
+
+// ボタンの名前は MESSAGES の design.preset.{id}
+const CODE_DESIGN_PRESETS = [
+    { id: 'alphabet', chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' },
+    { id: 'digits', chars: '0123456789' },
+    { id: 'hiragana', chars: 'あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめもやゆよらりるれろわをん' },
+];
+
+// 「何ビットあれば足りる？」の参考例（名前は MESSAGES の design.example.{id}）
+const CHARSET_SIZE_EXAMPLES = [
+    { id: 'uppercase', count: 26 },
+    { id: 'hiragana', count: 46 },
+    { id: 'ascii', count: 128 },
+    { id: 'joyo', count: 2136 },
+    { id: 'jis', count: JIS_X_0208_CHAR_COUNT },
+];
+
+const MAX_DESIGN_BITS = 8;
+
+const CodeDesignView = () => {
+    const { t } = useI18n();
+    const [width, setWidth] = useState(5);
+    const [alphabet, setAlphabet] = useState(CODE_DESIGN_PRESETS[0].chars);
+    const [table, setTable] = useState(() => assignSequential(CODE_DESIGN_PRESETS[0].chars, 5));
+    const [message, setMessage] = useState('HELLO');
+    const [bitInput, setBitInput] = useState('00111 00100 01011 01011 01110');
+
+    const capacity = 2 ** width;
+    const alphabetChars = useMemo(() => Array.from(new Set(segmentGraphemes(alphabet))), [alphabet]);
+    const tooSmall = alphabetChars.length > capacity;
+    const assignedCount = table.filter(Boolean).length;
+    const duplicates = useMemo(() => (
+        Array.from(new Set(table.filter((char, idx) => char && table.indexOf(char) !== idx)))
+    ), [table]);
+
+    const encoded = useMemo(() => encodeWithTable(message, table), [message, table]);
+    const decoded = useMemo(() => decodeWithTable(bitInput, table, width), [bitInput, table, width]);
+    const utf8Bits = toUTF8Array(message).length * 8;
+    const customBits = encoded.codes.length * width;
+
+    const changeWidth = (next) => {
+        setWidth(next);
+        // 表を新しい大きさに合わせる（はみ出した割り当ては消える）
+        setTable(prev => Array.from({ length: 2 ** next }, (_, code) => prev[code] || ''));
+    };
+
+    const setSlot = (code, value) => {
+        const char = segmentGraphemes(value).pop() || '';
+        setTable(prev => prev.map((c, idx) => (idx === code ? char : c)));
+    };
+
+    // 文言の {power} の位置に 2ⁿ の上付き文字を入れる
+    const [introBefore, introAfter] = t('design.intro').split('{power}');
+
+    return (
+        <div className="space-y-6 animate-[fadeIn_0.5s_ease-out]">
+            <Card title={t('design.title')} className="border-brand-100 shadow-md">
+                <div className="space-y-4">
+                    <p className="text-sm text-slate-600">
+                        {introBefore}2<sup>n</sup>{introAfter}
+                    </p>
+
+                    <div className="flex flex-wrap items-center gap-4">
+                        <div>
+                            <div className="text-xs font-bold text-slate-500 mb-1">{t('design.width')}</div>
+                            <div className="flex gap-1">
+                                {Array.from({ length: MAX_DESIGN_BITS }, (_, i) => i + 1).map(n => (
+                                    <button
+                                        key={n}
+                                        onClick={() => changeWidth(n)}
+                                        className={`w-9 h-9 rounded-lg border-2 text-sm font-bold font-mono transition-all
+                                            ${width === n ? 'border-brand-500 bg-brand-50 text-brand-700' : 'border-slate-100 bg-slate-50 text-slate-500 hover:border-slate-300'}
+                                        `}
+                                    >
+                                        {n}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                        <div className="bg-slate-50 border border-slate-200 rounded-lg px-4 py-2 text-center">
+                            <div className="text-xs text-slate-500 font-bold">{t('design.capacity')}</div>
+                            <div className="text-xl font-bold text-brand-600 font-mono">2<sup>{width}</sup> = {capacity}</div>
+                        </div>
+                    </div>
+
+                    <div>
+                        <div className="flex flex-wrap items-center gap-2 mb-1">
+                            <span className="text-xs font-bold text-slate-500">{t('design.alphabet')}</span>
+                            {CODE_DESIGN_PRESETS.map(preset => (
+                                <button
+                                    key={preset.id}
+                                    onClick={() => setAlphabet(preset.chars)}
+                                    className="text-[11px] px-2 py-0.5 rounded border border-slate-200 text-slate-500 hover:border-brand-300 hover:text-brand-600"
+                                >
+                                    {t(`design.preset.${preset.id}`)}
+                                </button>
+                            ))}
+                        </div>
+                        <input
+                            type="text"
+                            value={alphabet}
+                            onChange={(e) => setAlphabet(e.target.value)}
+                            className="w-full text-lg p-2 rounded-lg border-2 border-slate-200 focus:border-brand-500 outline-none font-mono"
+                        />
+                        <div className="mt-2 flex flex-wrap items-center gap-3 text-xs">
+                            <span className="text-slate-500"><RichText text={t('design.kinds', { count: alphabetChars.length, bits: bitsNeeded(alphabetChars.length) })} /></span>
+                            {tooSmall ? (
+                                <span className="text-red-600 font-bold">
+                                    <i className="fa-solid fa-triangle-exclamation mr-1"></i>
+                                    {t('design.tooSmall', { width, capacity })}
+                                </span>
+                            ) : (
+                                <span className="text-green-600 font-bold"><i className="fa-solid fa-check mr-1"></i>{t('design.enough', { width })}</span>
+                            )}
+                            <Button variant="secondary" className="text-xs py-1" onClick={() => setTable(assignSequential(alphabet, width))}>
+                                <i className="fa-solid fa-wand-magic-sparkles"></i> {t('design.assign')}
+                            </Button>
+                        </div>
+                    </div>
                 </div>
-                
-                <div className="mt-4 pt-4 border-t border-slate-200/50">
-                    <div className={`text-sm ${status === 'failure' ? 'text-red-800' : (status === 'lucky' ? 'text-blue-800' : 'text-green-800')}`}>
-                        <p className="font-bold mb-1">
-                            <i className={`fa-solid ${currentStyle.icon} mr-2`}></i>
-                            {currentStyle.title}
-                        </p>
-                        {currentStyle.desc && (
-                            <p className="opacity-90">
-                                {currentStyle.desc}
+            </Card>
+
+            <Card
+                title={t('design.tableTitle', { assigned: assignedCount, capacity })}
+                headerAction={
+                    <Button variant="ghost" className="text-xs px-2 py-1" onClick={() => setTable(Array(capacity).fill(''))}>
+                        <i className="fa-solid fa-eraser"></i> {t('design.clearAll')}
+                    </Button>
+                }
+            >
+                {duplicates.length > 0 && (
+                    <p className="mb-3 text-xs text-red-600">
+                        <i className="fa-solid fa-triangle-exclamation mr-1"></i>
+                        {t('design.duplicates', { chars: duplicates.join(' ') })}
+                    </p>
+                )}
+                <div className="grid grid-cols-4 sm:grid-cols-8 gap-1 max-h-96 overflow-y-auto custom-scrollbar">
+                    {table.map((char, code) => (
+                        <label
+                            key={code}
+                            className={`rounded border p-1 flex flex-col items-center
+                                ${char ? (duplicates.includes(char) ? 'border-red-300 bg-red-50' : 'border-brand-200 bg-brand-50') : 'border-slate-200 bg-white'}
+                            `}
+                        >
+                            <span className="text-[9px] font-mono text-slate-400">{toBinaryString([code], width)}</span>
+                            <input
+                                type="text"
+                                value={char}
+                                onChange={(e) => setSlot(code, e.target.value)}
+                                className="w-full text-center text-lg bg-transparent outline-none font-bold text-slate-800"
+                            />
+                        </label>
+                    ))}
+                </div>
+            </Card>
+
+            <div className="grid lg:grid-cols-2 gap-6 items-start">
+                <Card title={t('design.encodeTitle')}>
+                    <div className="space-y-3">
+                        <input
+                            type="text"
+                            value={message}
+                            onChange={(e) => setMessage(e.target.value)}
+                            placeholder={t('design.messagePlaceholder')}
+                            className="w-full text-lg p-2 rounded-lg border-2 border-slate-200 focus:border-brand-500 outline-none"
+                        />
+                        {encoded.missing.length > 0 && (
+                            <p className="text-xs text-red-600">
+                                <i className="fa-solid fa-triangle-exclamation mr-1"></i>
+                                {t('design.missing', { chars: encoded.missing.join(' ') })}
                             </p>
                         )}
+                        {encoded.codes.length > 0 && encoded.missing.length === 0 && (
+                            <>
+                                <div className="flex flex-wrap gap-2">
+                                    {encoded.codes.map((c, idx) => (
+                                        <div key={idx} className="text-center">
+                                            <div className="text-lg font-bold text-slate-800">{c.char}</div>
+                                            <div className="font-mono text-[10px] text-brand-600">{toBinaryString([c.code], width)}</div>
+                                        </div>
+                                    ))}
+                                </div>
+                                <div className="bg-slate-900 rounded-lg p-4 overflow-x-auto shadow-inner">
+                                    <BitVisualizer binaryString={toBinaryString(encoded.codes.map(c => c.code), width)} isDarkBg={true} />
+                                </div>
+                                <p className="text-xs text-slate-500">
+                                    <RichText text={t('design.customBits', { bits: customBits, utf8: utf8Bits })} />
+                                </p>
+                            </>
+                        )}
+                    </div>
+                </Card>
+
+                <Card title={t('design.decodeTitle')}>
+                    <div className="space-y-3">
+                        <textarea
+                            value={bitInput}
+                            onChange={(e) => setBitInput(e.target.value)}
+                            rows="2"
+                            placeholder={t('design.bitsPlaceholder')}
+                            className="w-full font-mono p-2 rounded-lg border-2 border-slate-200 focus:border-brand-500 outline-none"
+                        />
+                        {decoded.invalidInput ? (
+                            <p className="text-xs text-red-600"><i className="fa-solid fa-triangle-exclamation mr-1"></i>{t('design.invalidInput')}</p>
+                        ) : (
+                            <>
+                                <div className="flex flex-wrap gap-2">
+                                    {decoded.chunks.map((chunk, idx) => (
+                                        <div
+                                            key={idx}
+                                            className={`text-center rounded px-2 py-1 border ${chunk.char ? 'border-slate-200 bg-white' : 'border-red-300 bg-red-50'}`}
+                                            title={chunk.char ? undefined : t('design.unassignedCode')}
+                                        >
+                                            <div className="font-mono text-[10px] text-slate-500">{chunk.bits}</div>
+                                            <div className={`text-lg font-bold ${chunk.char ? 'text-slate-800' : 'text-red-500'}`}>{chunk.char || '?'}</div>
+                                        </div>
+                                    ))}
+                                </div>
+                                {decoded.chunks.some(chunk => !chunk.char) && (
+                                    <p className="text-xs text-red-600">
+                                        <i className="fa-solid fa-triangle-exclamation mr-1"></i>
+                                        {t('design.unassigned')}
+                                    </p>
+                                )}
+                                {decoded.leftover && (
+                                    <p className="text-xs text-red-600">
+                                        <i className="fa-solid fa-triangle-exclamation mr-1"></i>
+                                        {t('design.leftover', { count: decoded.leftover.length, bits: decoded.leftover, width })}
+                                    </p>
+                                )}
+                            </>
+                        )}
+                    </div>
+                </Card>
+            </div>
+
+            <Card title={t('design.needTitle')}>
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-xs text-slate-500 border-b border-slate-200">
+                                <th className="text-left py-2">{t('design.charset')}</th>
+                                <th className="text-right py-2">{t('design.charCount')}</th>
+                                <th className="text-right py-2">{t('design.bitsNeeded')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {CHARSET_SIZE_EXAMPLES.map(example => {
+                                const bits = bitsNeeded(example.count);
+                                const [before, after] = t('design.bitsNeededValue', { bits, count: (2 ** bits).toLocaleString() }).split('{power}');
+                                return (
+                                    <tr key={example.id} className="border-b border-slate-100">
+                                        <td className="py-2">{t(`design.example.${example.id}`)}</td>
+                                        <td className="py-2 text-right font-mono">{example.count.toLocaleString()}</td>
+                                        <td className="py-2 text-right font-mono font-bold text-brand-600">
+                                            {before}2<sup>{bits}</sup>{after}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+                <p className="mt-3 text-xs text-slate-500">
+                    {t('design.footnote')}
+                </p>
+            </Card>
+        </div>
+    );
+};
+
+// 文字を0番から順に割り当てた表を作る（入りきらない文字は割り当てない）
+const assignSequential = (chars, width) => {
+    const unique = Array.from(new Set(segmentGraphemes(chars)));
+    return Array.from({ length: 2 ** width }, (_, code) => unique[code] || '');
+};
+
+// --- Decoder View ---
+
+const DecoderView = () => {
+    const { t } = useI18n();
+    const [text, setText] = useState('E3 81 82 E3 81 84');
+    const [format, setFormat] = useState('auto');
+
+    const parsed = useMemo(() => parseByteInput(text, format), [text, format]);
+    const candidates = useMemo(() => rankDecodings(parsed.bytes), [parsed.bytes]);
+    const hasInput = text.trim().length > 0;
+
+    return (
+        <div className="space-y-6 animate-[fadeIn_0.5s_ease-out]">
+            <Card title={t('decoder.title')} className="border-brand-100 shadow-md">
+                <div className="space-y-3">
+                    <p className="text-sm text-slate-600">
+                        {t('decoder.intro')}
+                    </p>
+                    <textarea
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        placeholder={t('decoder.placeholder')}
+                        rows="3"
+                        className="w-full font-mono text-lg p-3 rounded-lg border-2 border-slate-200 focus:border-brand-500 focus:ring-4 focus:ring-brand-500/10 outline-none transition-all"
+                    />
+                    <div className="flex flex-wrap items-center gap-2">
+                        <span className="text-xs font-bold text-slate-500">{t('decoder.format')}</span>
+                        {BYTE_INPUT_FORMATS.map(id => (
+                            <button
+                                key={id}
+                                onClick={() => setFormat(id)}
+                                className={`px-3 py-1 rounded-lg text-xs font-bold border-2 transition-all
+                                    ${format === id
+                                        ? 'border-brand-500 bg-brand-50 text-brand-700'
+                                        : 'border-slate-100 bg-slate-50 text-slate-500 hover:bg-white hover:border-slate-300'}
+                                `}
+                            >
+                                {t(`byteFormat.${id}`)}
+                            </button>
+                        ))}
+                        {format === 'auto' && hasInput && (
+                            <span className="text-xs text-slate-400">
+                                {t('decoder.readAs', { format: t(`byteFormat.${parsed.format}`) })}
+                            </span>
+                        )}
                     </div>
+
+                    {parsed.errors.length > 0 && (
+                        <div className="text-xs text-red-600 bg-red-50 border border-red-200 rounded-lg p-3 space-y-1">
+                            {parsed.errors.map((error, idx) => (
+                                <p key={idx}>
+                                    <i className="fa-solid fa-triangle-exclamation mr-1"></i>
+                                    <span className="font-mono font-bold">{error.token}</span>: {t(`byteInput.${error.reason}`)}
+                                </p>
+                            ))}
+                        </div>
+                    )}
+
+                    {parsed.bytes.length > 0 && (
+                        <div className="flex flex-wrap items-center gap-2">
+                            <HexBadge hex={toHexString(parsed.bytes)} />
+                            <span className="text-xs text-slate-400 font-mono">{parsed.bytes.length} bytes</span>
+                        </div>
+                    )}
+                </div>
+            </Card>
+
+            {parsed.bytes.length > 0 ? (
+                <div className="grid md:grid-cols-2 gap-4">
+                    {candidates.map((candidate, rank) => (
+                        <DecodeCandidateCard key={candidate.encoding.id} candidate={candidate} rank={rank} />
+                    ))}
+                </div>
+            ) : (
+                <div className="text-center py-20 text-slate-400">
+                    <i className="fa-solid fa-magnifying-glass text-4xl mb-4 text-slate-300"></i>
+                    <p>{t('decoder.empty')}</p>
+                </div>
+            )}
+
+            <BitEditor />
+        </div>
+    );
+};
+
+// ビットエディタの初期値
+const BIT_EDITOR_PRESETS = [
+    { label: 'A (ASCII)', bytes: [0x41] },
+    { label: 'あ (UTF-8)', bytes: [0xE3, 0x81, 0x82] },
+    { label: 'あ (Shift-JIS)', bytes: [0x82, 0xA0] },
+];
+
+// 1つのバイト列として扱うバイト数の上限
+const MAX_EDITOR_BYTES = 8;
+
+// ビットをクリックで反転させて、どんな文字になるかを試す
+const BitEditor = () => {
+    const { t } = useI18n();
+    const [bytes, setBytes] = useState(BIT_EDITOR_PRESETS[0].bytes);
+
+    const toggleBit = (byteIdx, bitIdx) => {
+        setBytes(prev => prev.map((b, i) => (i === byteIdx ? b ^ (0x80 >> bitIdx) : b)));
+    };
+
+    const candidates = useMemo(() => (
+        ENCODINGS
+            .filter(encoding => encoding.id === 'utf8' || encoding.id === 'sjis')
+            .map(encoding => {
+                const groups = encoding.decode(bytes);
+                return { encoding, groups, invalid: groups.filter(group => !group.valid), detected: false };
+            })
+    ), [bytes]);
+
+    return (
+        <Card
+            title={t('bitEditor.title')}
+            headerAction={
+                <div className="flex gap-1">
+                    {BIT_EDITOR_PRESETS.map(preset => (
+                        <button
+                            key={preset.label}
+                            onClick={() => setBytes(preset.bytes)}
+                            className="text-[11px] px-2 py-0.5 rounded border border-slate-200 text-slate-500 hover:border-brand-300 hover:text-brand-600 bg-white"
+                        >
+                            {preset.label}
+                        </button>
+                    ))}
+                </div>
+            }
+        >
+            <div className="space-y-4">
+                <p className="text-sm text-slate-600">
+                    {t('bitEditor.intro')}
+                </p>
+
+                <div className="bg-slate-900 rounded-lg p-4 overflow-x-auto shadow-inner">
+                    {bytes.length > 0 ? (
+                        <BitVisualizer binaryString={toBinaryString(bytes)} isDarkBg={true} onToggleBit={toggleBit} />
+                    ) : (
+                        <p className="text-xs text-slate-500">{t('bitEditor.empty')}</p>
+                    )}
                 </div>
+
+                <div className="flex flex-wrap items-center gap-2">
+                    <HexBadge hex={toHexString(bytes) || '--'} />
+                    <Button
+                        variant="secondary"
+                        className="text-xs py-1"
+                        onClick={() => setBytes([...bytes, 0x00])}
+                        disabled={bytes.length >= MAX_EDITOR_BYTES}
+                    >
+                        <i className="fa-solid fa-plus"></i> {t('bitEditor.add')}
+                    </Button>
+                    <Button
+                        variant="secondary"
+                        className="text-xs py-1"
+                        onClick={() => setBytes(bytes.slice(0, -1))}
+                        disabled={bytes.length === 0}
+                    >
+                        <i className="fa-solid fa-minus"></i> {t('bitEditor.remove')}
+                    </Button>
+                </div>
+
+                {bytes.length > 0 && (
+                    <div className="grid md:grid-cols-2 gap-4">
+                        {candidates.map(candidate => (
+                            <DecodeCandidateCard key={candidate.encoding.id} candidate={candidate} rank={1} />
+                        ))}
+                    </div>
+                )}
             </div>
         </Card>
     );
 };
 
-// ==========================================
-// 5. Main Application Logic
-// ==========================================
+const DecodeCandidateCard = ({ candidate, rank }) => {
+    const { language, t } = useI18n();
+    const { encoding, groups, invalid, detected } = candidate;
+    const isClean = invalid.length === 0;
+
+    return (
+        <div className={`bg-white rounded-xl shadow-sm border-2 p-4 flex flex-col gap-3 ${rank === 0 ? 'border-brand-300' : 'border-slate-200'}`}>
+            <div className="flex items-center justify-between gap-2">
+                <div className="flex items-center gap-2">
+                    <span className={`w-2 h-8 rounded-full ${isClean ? encoding.accent : 'bg-slate-300'}`}></span>
+                    <div>
+                        <h4 className="font-bold text-slate-800 leading-none">{encoding.label}</h4>
+                        <p className="text-xs text-slate-500">{t(`encodingInfo.${encoding.id}`)}</p>
+                    </div>
+                </div>
+                <div className="flex gap-1 flex-wrap justify-end">
+                    {detected && (
+                        <span className="bg-brand-100 text-brand-700 text-[10px] font-bold px-2 py-1 rounded">
+                            <i className="fa-solid fa-wand-magic-sparkles mr-1"></i>{t('candidate.detected')}
+                        </span>
+                    )}
+                    {isClean ? (
+                        <span className="bg-green-100 text-green-700 text-[10px] font-bold px-2 py-1 rounded">{t('candidate.clean')}</span>
+                    ) : (
+                        <span className="bg-red-100 text-red-600 text-[10px] font-bold px-2 py-1 rounded">{t('candidate.invalid', { count: invalid.length })}</span>
+                    )}
+                </div>
+            </div>
+
+            <div className="bg-slate-50 rounded-lg p-3 text-2xl font-bold text-slate-800 break-all min-h-[3rem]">
+                {groups.map(group => (
+                    <span
+                        key={group.start}
+                        title={`${toHexString(group.bytes)}${group.valid ? '' : ` : ${translateReason(language, group.reason)}`}`}
+                        className={group.valid ? '' : 'bg-red-100 text-red-600 rounded px-0.5'}
+                    >
+                        {group.char}
+                    </span>
+                ))}
+            </div>
+
+            {invalid.length > 0 && (
+                <ul className="text-xs text-red-600 space-y-1">
+                    {invalid.map(group => (
+                        <li key={group.start}>
+                            <span className="font-mono font-bold">{t('candidate.byteIndex', { index: group.start + 1 })}</span>
+                            <span className="font-mono text-slate-500"> [{toHexString(group.bytes)}]</span>: {translateReason(language, group.reason)}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// --- File View ---
+
+// 生のバイト列として表示する先頭部分のバイト数
+const FILE_PREVIEW_BYTES = 256;
+
+const FileView = () => {
+    const { t } = useI18n();
+    const [file, setFile] = useState(null); // { name, bytes }
+    const [error, setError] = useState(''); // MESSAGES のキー
+    const [dragging, setDragging] = useState(false);
+    const [openAs, setOpenAs] = useState(null); // null = 自動判定に従う
+    const [target, setTarget] = useState(DOWNLOAD_TARGETS[0].id);
+
+    const loadFile = async (selected) => {
+        if (!selected) return;
+        if (selected.size > MAX_FILE_SIZE) {
+            setError('file.tooLarge');
+            return;
+        }
+        try {
+            const buffer = await selected.arrayBuffer();
+            setFile({ name: selected.name, bytes: Array.from(new Uint8Array(buffer)) });
+            setOpenAs(null);
+            setError('');
+        } catch (e) {
+            console.error(e);
+            setError('file.readFailed');
+        }
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDragging(false);
+        loadFile(e.dataTransfer.files[0]);
+    };
+
+    const bom = useMemo(() => (file ? detectBOM(file.bytes) : null), [file]);
+    const guessedId = useMemo(() => {
+        if (!file) return null;
+        if (bom) return bom.encodingId;
+        return detectEncoding(file.bytes) || rankDecodings(file.bytes)[0].encoding.id;
+    }, [file, bom]);
+
+    const encodingId = openAs || guessedId;
+    const encoding = ENCODINGS.find(e => e.id === encodingId);
+
+    // BOMは文字ではないので、開く文字コードとBOMが一致するときは取り除いて読む
+    const decoded = useMemo(() => {
+        if (!file || !encoding) return null;
+        const body = bom && bom.encodingId === encoding.id ? file.bytes.slice(bom.bytes.length) : file.bytes;
+        const groups = encoding.decode(body);
+        return {
+            text: groups.map(group => group.char).join(''),
+            invalidCount: groups.filter(group => !group.valid).length
+        };
+    }, [file, bom, encoding]);
+
+    const conversion = useMemo(() => {
+        if (!decoded) return null;
+        const selectedTarget = DOWNLOAD_TARGETS.find(option => option.id === target);
+        return { target: selectedTarget, ...encodeTextForDownload(decoded.text, selectedTarget.encodingId) };
+    }, [decoded, target]);
+
+    const handleDownload = () => {
+        const base = file.name.replace(/\.[^.]+$/, '');
+        const ext = (file.name.match(/\.[^.]+$/) || ['.txt'])[0];
+        downloadBytes([...conversion.target.bom, ...conversion.bytes], `${base}_${conversion.target.suffix}${ext}`);
+    };
 
-const App = () => {
-    const [view, setView] = useState('converter');
-    
     return (
-        <div className="min-h-screen bg-slate-50 text-slate-900 pb-20 font-sans">
-            <header className="bg-white border-b border-slate-200 sticky top-0 z-50 shadow-sm">
-                <div className="max-w-5xl mx-auto px-4 h-16 flex items-center justify-between">
-                    <div className="flex items-center gap-3">
-                        <div className="w-8 h-8 bg-brand-600 rounded-lg flex items-center justify-center text-white font-bold text-lg shadow-lg shadow-brand-500/30">
-                            <i className="fa-solid fa-code"></i>
+        <div className="space-y-6 animate-[fadeIn_0.5s_ease-out]">
+            <Card title={t('file.title')} className="border-brand-100 shadow-md">
+                <label
+                    onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+                    onDragLeave={() => setDragging(false)}
+                    onDrop={handleDrop}
+                    className={`block border-2 border-dashed rounded-xl p-8 text-center cursor-pointer transition-all
+                        ${dragging ? 'border-brand-500 bg-brand-50' : 'border-slate-300 bg-slate-50 hover:border-brand-300'}
+                    `}
+                >
+                    <input type="file" accept=".txt,.csv,.tsv,text/plain,text/csv" className="hidden" onChange={(e) => loadFile(e.target.files[0])} />
+                    <i className="fa-solid fa-file-arrow-up text-4xl text-slate-300 mb-3"></i>
+                    <p className="text-sm font-bold text-slate-600">{t('file.drop')}</p>
+                    <p className="text-xs text-slate-400 mt-1">{t('file.dropHint')}</p>
+                </label>
+                {error && (
+                    <div className="mt-3 text-xs text-red-600 flex items-center gap-1">
+                        <i className="fa-solid fa-triangle-exclamation"></i>
+                        {t(error, { size: Math.round(MAX_FILE_SIZE / 1024) })}
+                    </div>
+                )}
+            </Card>
+
+            {file && decoded && (
+                <div className="grid lg:grid-cols-2 gap-6">
+                    <Card title={t('file.bytesTitle')}>
+                        <div className="space-y-3">
+                            <div className="flex flex-wrap gap-2 items-center text-sm">
+                                <span className="font-bold text-slate-700 break-all">{file.name}</span>
+                                <span className="text-xs text-slate-400 font-mono">{file.bytes.length} bytes</span>
+                            </div>
+                            <div className="flex flex-wrap gap-2 text-xs">
+                                <span className={`px-2 py-1 rounded font-bold ${bom ? 'bg-violet-100 text-violet-700' : 'bg-slate-100 text-slate-500'}`}>
+                                    {bom ? t('file.bom', { label: bom.label, bytes: toHexString(bom.bytes) }) : t('file.noBom')}
+                                </span>
+                                <span className="px-2 py-1 rounded font-bold bg-brand-100 text-brand-700">
+                                    <i className="fa-solid fa-wand-magic-sparkles mr-1"></i>
+                                    {t('file.guess', { encoding: ENCODINGS.find(e => e.id === guessedId).label })}
+                                </span>
+                            </div>
+                            <div className="bg-slate-900 text-yellow-400 font-mono text-xs rounded-lg p-3 max-h-60 overflow-auto break-all leading-relaxed">
+                                {toHexString(file.bytes.slice(0, FILE_PREVIEW_BYTES))}
+                                {file.bytes.length > FILE_PREVIEW_BYTES && <span className="text-slate-500">{t('file.remaining', { count: file.bytes.length - FILE_PREVIEW_BYTES })}</span>}
+                            </div>
+                        </div>
+                    </Card>
+
+                    <Card title={t('file.textTitle')}>
+                        <div className="space-y-3">
+                            <div className="flex flex-wrap items-center gap-2">
+                                <span className="text-xs font-bold text-slate-500">{t('file.openAs')}</span>
+                                <select
+                                    value={encodingId}
+                                    onChange={(e) => setOpenAs(e.target.value)}
+                                    className="text-sm border border-slate-300 rounded-lg px-2 py-1 bg-white"
+                                >
+                                    {ENCODINGS.map(e => (
+                                        <option key={e.id} value={e.id}>{e.label}{e.id === guessedId ? t('file.guessed') : ''}</option>
+                                    ))}
+                                </select>
+                                {decoded.invalidCount > 0 && (
+                                    <span className="text-xs text-red-600 font-bold">
+                                        <i className="fa-solid fa-triangle-exclamation mr-1"></i>
+                                        {t('file.invalid', { count: decoded.invalidCount })}
+                                    </span>
+                                )}
+                            </div>
+                            <pre className="bg-slate-50 border border-slate-200 rounded-lg p-3 text-sm text-slate-800 max-h-60 overflow-auto whitespace-pre-wrap break-all font-sans">
+                                {decoded.text}
+                            </pre>
                         </div>
-                        <h1 className="font-bold text-xl tracking-tight text-slate-800">デジ文字ラボ</h1>
+                    </Card>
+
+                    <div className="lg:col-span-2">
+                        <Card title={t('file.convertTitle')}>
+                            <div className="space-y-3">
+                                <div className="flex flex-wrap gap-2">
+                                    {DOWNLOAD_TARGETS.map(option => (
+                                        <button
+                                            key={option.id}
+                                            onClick={() => setTarget(option.id)}
+                                            className={`px-3 py-2 rounded-lg text-sm font-bold border-2 transition-all
+                                                ${target === option.id
+                                                    ? 'border-brand-500 bg-brand-50 text-brand-700'
+                                                    : 'border-slate-100 bg-slate-50 text-slate-500 hover:bg-white hover:border-slate-300'}
+                                            `}
+                                        >
+                                            {t(`download.${option.id}`)}
+                                        </button>
+                                    ))}
+                                </div>
+                                {conversion.unsupported.length > 0 && (
+                                    <div className="text-xs text-red-600 bg-red-50 border border-red-200 rounded-lg p-3">
+                                        <p className="font-bold mb-1">
+                                            <i className="fa-solid fa-triangle-exclamation mr-1"></i>
+                                            {t('file.unsupported', { target: t(`download.${conversion.target.id}`), count: conversion.unsupported.length })}
+                                        </p>
+                                        <p className="text-base break-all">{conversion.unsupported.join(' ')}</p>
+                                    </div>
+                                )}
+                                <div className="flex flex-wrap items-center gap-3">
+                                    <Button onClick={handleDownload}>
+                                        <i className="fa-solid fa-download"></i> {t('file.save', { target: t(`download.${conversion.target.id}`) })}
+                                    </Button>
+                                    <span className="text-xs text-slate-400 font-mono">
+                                        {conversion.target.bom.length + conversion.bytes.length} bytes
+                                    </span>
+                                </div>
+                            </div>
+                        </Card>
                     </div>
-                    
-                    <nav className="flex gap-1">
-                        <NavButton active={view === 'converter'} onClick={() => setView('converter')} icon="fa-keyboard">ラボ</NavButton>
-                        <NavButton active={view === 'about'} onClick={() => setView('about')} icon="fa-book">解説</NavButton>
-                    </nav>
                 </div>
-            </header>
-
-            <main className="max-w-5xl mx-auto px-4 py-8">
-                {view === 'converter' && <ConverterView />}
-                {view === 'about' && <AboutView />}
-            </main>
+            )}
         </div>
     );
 };
 
-const NavButton = ({ active, onClick, icon, children }) => (
-    <button 
-        onClick={onClick}
-        className={`
-            px-3 py-2 rounded-lg text-sm font-bold transition-colors flex items-center gap-2
-            ${active 
-                ? 'bg-brand-50 text-brand-700' 
-                : 'text-slate-500 hover:text-slate-900 hover:bg-slate-100'}
-        `}
-    >
-        <i className={`fa-solid ${icon}`}></i>
-        <span className="hidden sm:inline">{children}</span>
-    </button>
-);
+// --- Practice View ---
 
-// --- Converter View ---
+const PracticeView = () => {
+    const { t } = useI18n();
+    const [levelId, setLevelId] = useState(PRACTICE_LEVELS[0].id);
+    const [exercise, setExercise] = useState(() => generateExercise(PRACTICE_LEVELS[0].id));
+    const [answer, setAnswer] = useState('');
+    const [result, setResult] = useState(null); // { correct, message }
+    const [hintCount, setHintCount] = useState(0);
+    const [revealed, setRevealed] = useState(false);
+    const [score, setScore] = useState({ correct: 0, total: 0 });
 
-const ConverterView = () => {
-    const [input, setInput] = useState('こんにちは');
-    const [analysis, setAnalysis] = useState([]);
-    const [selectedIndex, setSelectedIndex] = useState(0);
-    const [selectedFont, setSelectedFont] = useState(FONTS[0]);
+    const next = (id = levelId) => {
+        setExercise(generateExercise(id));
+        setAnswer('');
+        setResult(null);
+        setHintCount(0);
+        setRevealed(false);
+    };
 
-    useEffect(() => {
-        setAnalysis(analyzeText(input));
-        if (input.length === 0) setSelectedIndex(-1);
-        else if (selectedIndex >= input.length) setSelectedIndex(0);
-        else if (selectedIndex === -1 && input.length > 0) setSelectedIndex(0);
-    }, [input]);
+    const changeLevel = (id) => {
+        setLevelId(id);
+        next(id);
+    };
 
-    const selectedCharData = analysis[selectedIndex];
+    const finished = revealed || Boolean(result && result.correct);
+    const prompt = t(exercise.prompt.key, exercise.prompt.params);
 
-    // 全体のバイト数計算
-    const totalUtf8 = analysis.reduce((acc, item) => acc + item.utf8.length, 0);
-    const totalSjis = analysis.reduce((acc, item) => acc + item.sjis.length, 0);
-    const canFullSjis = analysis.every(item => item.sjis.isValid);
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!answer.trim() || finished) return;
+        const graded = gradeExercise(exercise, answer);
+        setResult(graded);
+        recordExercise(exercise, { prompt, answer, correct: graded.correct, hints: hintCount });
+        if (graded.correct) setScore(prev => ({ correct: prev.correct + 1, total: prev.total + 1 }));
+    };
+
+    const handleReveal = () => {
+        setRevealed(true);
+        recordExercise(exercise, { prompt, answer: '', correct: false, hints: hintCount, revealed: true });
+        setScore(prev => ({ ...prev, total: prev.total + 1 }));
+    };
 
     return (
-        <div className="space-y-6 animate-[fadeIn_0.5s_ease-out]">
-            {/* Input Area */}
-            <Card className="border-brand-100 shadow-md">
-                <div className="flex flex-col md:flex-row gap-4 items-center">
-                    <div className="flex-1 w-full relative">
-                        <label className="text-xs font-bold text-slate-500 mb-1 block">変換したい文字（最大10文字）</label>
+        <div className="max-w-2xl mx-auto space-y-6 animate-[fadeIn_0.5s]">
+            <div className="flex flex-wrap gap-2">
+                {PRACTICE_LEVELS.map(level => (
+                    <button
+                        key={level.id}
+                        onClick={() => changeLevel(level.id)}
+                        className={`px-3 py-1.5 rounded-lg text-xs font-bold border-2 transition-all
+                            ${levelId === level.id
+                                ? 'border-brand-500 bg-brand-50 text-brand-700'
+                                : 'border-slate-100 bg-white text-slate-500 hover:border-slate-300'}
+                        `}
+                    >
+                        {t(`practice.level.${level.id}`)}
+                    </button>
+                ))}
+            </div>
+
+            <Card
+                title={t('practice.title')}
+                headerAction={<span className="text-xs font-bold text-brand-600">{t('practice.score', score)}</span>}
+            >
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <p className="text-lg font-bold text-slate-800">{prompt}</p>
+                    {exercise.display && (
+                        <div className="font-mono text-lg tracking-wider bg-slate-900 text-green-400 rounded-lg px-4 py-3">
+                            {exercise.display}
+                        </div>
+                    )}
+
+                    <div className="flex gap-2">
                         <input
                             type="text"
-                            value={input}
-                            onChange={(e) => setInput(e.target.value)}
-                            maxLength={10}
-                            placeholder="ここに入力..."
-                            className="w-full text-2xl p-3 pl-4 rounded-lg border-2 border-slate-200 focus:border-brand-500 focus:ring-4 focus:ring-brand-500/10 outline-none transition-all font-sans"
+                            value={answer}
+                            onChange={(e) => setAnswer(e.target.value)}
+                            disabled={finished}
+                            placeholder={t(`practice.placeholder.${exercise.type}`)}
+                            className="flex-1 text-xl p-3 rounded-lg border-2 border-slate-200 focus:border-brand-500 outline-none font-mono disabled:bg-slate-50"
                         />
-                        <div className="absolute right-3 top-9 text-xs text-slate-400">
-                            {input.length}/10
-                        </div>
+                        <Button type="submit" disabled={finished || !answer.trim()}>
+                            <i className="fa-solid fa-check"></i> {t('practice.check')}
+                        </Button>
                     </div>
-                    {/* Data Size Comparison Badge */}
-                    {input.length > 0 && (
-                        <div className="flex-shrink-0 flex gap-4 bg-slate-50 p-3 rounded-lg border border-slate-200">
-                            <div className="text-center">
-                                <div className="text-xs text-slate-500 font-bold">UTF-8</div>
-                                <div className="text-xl font-bold text-brand-600">{totalUtf8}<span className="text-xs text-slate-400 ml-1">B</span></div>
-                            </div>
-                            <div className="w-px bg-slate-300"></div>
-                            <div className="text-center">
-                                <div className="text-xs text-slate-500 font-bold">Shift-JIS</div>
-                                <div className={`text-xl font-bold ${canFullSjis ? 'text-orange-600' : 'text-slate-300'}`}>
-                                    {canFullSjis ? totalSjis : '?'}<span className="text-xs text-slate-400 ml-1">B</span>
-                                </div>
-                            </div>
+
+                    {result && (
+                        <div className={`text-sm font-bold px-3 py-2 rounded-lg border animate-[fadeIn_0.3s]
+                            ${result.correct ? 'bg-green-50 border-green-200 text-green-700' : 'bg-red-50 border-red-200 text-red-600'}
+                        `}>
+                            <i className={`fa-solid ${result.correct ? 'fa-circle-check' : 'fa-circle-xmark'} mr-1`}></i>
+                            {t(result.message.key, result.message.params)}
                         </div>
                     )}
-                </div>
-                {!canFullSjis && input.length > 0 && (
-                    <div className="mt-2 text-xs text-red-500 flex items-center gap-1">
-                        <i className="fa-solid fa-triangle-exclamation"></i>
-                        一部の文字はShift-JISで表現できないため、正しいバイト数になりません。
-                    </div>
-                )}
-            </Card>
 
-            {input.length > 0 ? (
-                <div className="grid lg:grid-cols-3 gap-6">
-                    {/* Left Column: Selector & Details */}
-                    <div className="lg:col-span-2 space-y-6">
-                        
-                        {/* Character Selector (Horizontal Scroll) */}
-                        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-4">
-                            <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">文字を選択して詳細を確認</h3>
-                            <div className="flex gap-2 overflow-x-auto pb-2 custom-scrollbar">
-                                {analysis.map((item, idx) => (
-                                    <button
-                                        key={idx}
-                                        onClick={() => setSelectedIndex(idx)}
-                                        className={`
-                                            flex-shrink-0 w-12 h-14 rounded-lg flex flex-col items-center justify-center transition-all border-2
-                                            ${selectedIndex === idx 
-                                                ? 'border-brand-500 bg-brand-50 text-brand-700 shadow-md scale-105' 
-                                                : 'border-slate-100 bg-slate-50 text-slate-600 hover:border-brand-200 hover:bg-white'}
-                                        `}
-                                    >
-                                        <span className="text-lg font-bold leading-none mb-1">{item.char}</span>
-                                        <span className="text-[10px] font-mono opacity-60">{idx + 1}</span>
-                                    </button>
-                                ))}
-                            </div>
+                    {hintCount > 0 && (
+                        <ol className="space-y-2">
+                            {exercise.hints.slice(0, hintCount).map((hint, idx) => (
+                                <li key={idx} className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2 animate-[fadeIn_0.3s]">
+                                    <span className="font-bold mr-1">{t('practice.hintLabel', { index: idx + 1 })}</span>{t(hint.key, hint.params)}
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+
+                    {revealed && (
+                        <div className="text-sm px-3 py-2 rounded-lg border border-slate-200 bg-slate-50 text-slate-700">
+                            {t('practice.answer')} <span className="font-mono font-bold text-lg">{exercise.expected}</span>
+                            {exercise.type === 'byteCount' && t('practice.answerBytes')}
                         </div>
+                    )}
 
-                        {/* Selected Character Detail */}
-                        {selectedCharData && (
-                            <CharacterDetailCard 
-                                item={selectedCharData} 
-                                fontClass={selectedFont.family} 
-                            />
+                    <div className="flex flex-wrap gap-2 pt-2 border-t border-slate-100">
+                        {!finished && (
+                            <>
+                                <Button
+                                    variant="secondary"
+                                    onClick={() => setHintCount(hintCount + 1)}
+                                    disabled={hintCount >= exercise.hints.length}
+                                    className="text-sm"
+                                >
+                                    <i className="fa-solid fa-lightbulb"></i> {t('practice.hint', { count: hintCount, total: exercise.hints.length })}
+                                </Button>
+                                <Button variant="secondary" onClick={handleReveal} className="text-sm">
+                                    <i className="fa-solid fa-eye"></i> {t('practice.reveal')}
+                                </Button>
+                            </>
                         )}
+                        <Button onClick={() => next()} variant={finished ? 'primary' : 'secondary'} className="text-sm ml-auto">
+                            {t('practice.next')} <i className="fa-solid fa-arrow-right"></i>
+                        </Button>
                     </div>
-
-                    {/* Right Column: Tools & AI */}
-                    <div className="space-y-6">
-                        <Card title="フォント比較">
-                            <div className="space-y-2">
-                                {FONTS.map(font => (
-                                    <button
-                                        key={font.name}
-                                        onClick={() => setSelectedFont(font)}
-                                        className={`w-full text-left px-3 py-2 rounded-lg border transition-all flex items-center justify-between group
-                                            ${selectedFont.name === font.name 
-                                                ? 'bg-brand-50 border-brand-200 ring-1 ring-brand-500/30' 
-                                                : 'bg-white border-slate-200 hover:border-brand-300'}
-                                        `}
-                                    >
-                                        <span className={`text-lg ${font.family}`}>{selectedCharData?.char || 'あ'}</span>
-                                        <span className="text-xs text-slate-400 group-hover:text-brand-500">{font.name}</span>
-                                    </button>
-                                ))}
-                            </div>
-                        </Card>
-
-                        <AITutorPanel input={input} selectedChar={selectedCharData?.char} />
-                    </div>
-                    
-                    {/* Mojibake Simulator (Full width at bottom) */}
-                    <div className="lg:col-span-3">
-                        <MojibakeSimulator input={input} />
-                    </div>
-                </div>
-            ) : (
-                <div className="text-center py-20 text-slate-400">
-                    <i className="fa-solid fa-keyboard text-4xl mb-4 text-slate-300"></i>
-                    <p>文字を入力して分析を開始しましょう</p>
-                </div>
-            )}
+                </form>
+            </Card>
         </div>
     );
 };
 
-const CharacterDetailCard = ({ item, fontClass }) => (
-    <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden animate-[fadeIn_0.3s]">
-        <div className="flex flex-col sm:flex-row">
-            {/* Visual */}
-            <div className="sm:w-1/3 bg-slate-50 p-8 flex flex-col items-center justify-center border-b sm:border-b-0 sm:border-r border-slate-100">
-                <span className={`text-8xl text-slate-800 ${fontClass} leading-none drop-shadow-sm`}>{item.char}</span>
-                <span className="mt-6 font-mono text-sm text-slate-500 bg-white px-3 py-1 rounded-full border border-slate-200 shadow-sm">
-                    {item.codePoint}
-                </span>
-            </div>
+// --- Records View ---
 
-            {/* Data */}
-            <div className="sm:w-2/3 p-6 space-y-8">
-                {/* UTF-8 */}
-                <div>
-                    <div className="flex items-center justify-between mb-3">
-                        <div className="flex items-center gap-2">
-                            <span className="w-2 h-8 bg-brand-500 rounded-full"></span>
-                            <div>
-                                <h4 className="font-bold text-slate-800 leading-none">UTF-8</h4>
-                                <p className="text-xs text-slate-500">世界標準 (Web, スマホ)</p>
-                            </div>
-                        </div>
-                        <div className="text-right">
-                            <HexBadge hex={item.utf8.hex} />
-                            <div className="text-xs text-slate-400 mt-1 font-mono">{item.utf8.length} bytes</div>
-                        </div>
+const RecordsView = () => {
+    const { language, t } = useI18n();
+    const [progress, setProgress] = useState(loadProgress);
+
+    const change = (next) => {
+        saveProgress(next);
+        setProgress(next);
+    };
+
+    const quizzes = progress.events.filter(event => event.type === 'quiz');
+    const exercises = progress.events.filter(event => event.type === 'exercise');
+    const bestQuiz = quizzes.reduce((best, event) => Math.max(best, event.score), 0);
+    const chars = Object.entries(progress.chars).sort((a, b) => b[1] - a[1]);
+    const viewTimes = NAV_ITEMS
+        .map(item => ({ ...item, ms: progress.viewTime[item.id] || 0 }))
+        .filter(item => item.ms > 0);
+    const maxViewTime = Math.max(1, ...viewTimes.map(item => item.ms));
+
+    // 練習のレベルごとの正解数
+    const byLevel = PRACTICE_LEVELS.map(level => {
+        const attempts = exercises.filter(event => event.level === level.id);
+        return { ...level, attempts: attempts.length, correct: attempts.filter(event => event.correct).length };
+    }).filter(level => level.attempts > 0);
+
+    // ファイル名に使えない文字は除く
+    const fileBase = `digimoji_record_${[progress.student.number, progress.student.name].filter(Boolean).join('_') || 'noname'}`
+        .replace(/[\\/:*?"<>|\s]/g, '');
+
+    const handleClear = () => {
+        if (!window.confirm(t('records.confirmClear'))) return;
+        change({ ...EMPTY_PROGRESS, student: progress.student });
+    };
+
+    return (
+        <div className="space-y-6 animate-[fadeIn_0.5s]">
+            <Card title={t('nav.records')}>
+                <div className="space-y-4">
+                    <div className="flex flex-wrap gap-4">
+                        <label className="block">
+                            <span className="text-xs font-bold text-slate-500 mb-1 block">{t('records.number')}</span>
+                            <input
+                                type="text"
+                                value={progress.student.number}
+                                onChange={(e) => change({ ...progress, student: { ...progress.student, number: e.target.value } })}
+                                className="w-28 p-2 rounded-lg border-2 border-slate-200 focus:border-brand-500 outline-none"
+                            />
+                        </label>
+                        <label className="block flex-1 min-w-[12rem]">
+                            <span className="text-xs font-bold text-slate-500 mb-1 block">{t('records.name')}</span>
+                            <input
+                                type="text"
+                                value={progress.student.name}
+                                onChange={(e) => change({ ...progress, student: { ...progress.student, name: e.target.value } })}
+                                className="w-full p-2 rounded-lg border-2 border-slate-200 focus:border-brand-500 outline-none"
+                            />
+                        </label>
                     </div>
-                    <div className="bg-slate-900 rounded-lg p-4 overflow-x-auto shadow-inner">
-                        <BitVisualizer binaryString={item.utf8.binary} isDarkBg={true} />
+                    <p className="text-xs text-slate-500">
+                        <i className="fa-solid fa-lock mr-1"></i>
+                        {t('records.privacy')}
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                        <Button onClick={() => downloadBytes(toUTF8Array(buildProgressCSV(progress, t, language)), `${fileBase}.csv`)} className="text-sm">
+                            <i className="fa-solid fa-file-csv"></i> {t('records.exportCSV')}
+                        </Button>
+                        <Button
+                            variant="secondary"
+                            onClick={() => downloadBytes(toUTF8Array(JSON.stringify(progress, null, 2)), `${fileBase}.json`)}
+                            className="text-sm"
+                        >
+                            <i className="fa-solid fa-file-code"></i> {t('records.exportJSON')}
+                        </Button>
+                        <Button variant="ghost" onClick={handleClear} className="text-sm ml-auto">
+                            <i className="fa-solid fa-trash-can"></i> {t('records.clear')}
+                        </Button>
                     </div>
                 </div>
+            </Card>
 
-                {/* SJIS */}
-                <div>
-                    <div className="flex items-center justify-between mb-3">
-                        <div className="flex items-center gap-2">
-                            <span className={`w-2 h-8 rounded-full ${item.sjis.isValid ? 'bg-orange-500' : 'bg-slate-300'}`}></span>
-                            <div>
-                                <h4 className="font-bold text-slate-800 leading-none">Shift-JIS</h4>
-                                <p className="text-xs text-slate-500">日本独自 (古いWindows等)</p>
+            <div className="grid md:grid-cols-2 gap-6">
+                <Card title={t('nav.quiz')}>
+                    {quizzes.length > 0 ? (
+                        <div className="space-y-3">
+                            <div className="flex gap-6">
+                                <div><div className="text-xs text-slate-500">{t('records.attempts')}</div><div className="text-2xl font-bold text-slate-800">{quizzes.length}</div></div>
+                                <div><div className="text-xs text-slate-500">{t('records.best')}</div><div className="text-2xl font-bold text-brand-600">{bestQuiz}<span className="text-sm text-slate-400"> / {QUIZ_SESSION_LENGTH}</span></div></div>
                             </div>
+                            <ul className="text-sm text-slate-600 space-y-1 max-h-40 overflow-y-auto custom-scrollbar">
+                                {quizzes.slice().reverse().map((event, idx) => (
+                                    <li key={idx} className="flex justify-between border-b border-slate-100 py-1">
+                                        <span className="text-xs text-slate-400">{formatRecordTime(event.at, language)}</span>
+                                        <span className="font-bold">{event.score} / {event.total}</span>
+                                    </li>
+                                ))}
+                            </ul>
                         </div>
-                        <div className="text-right">
-                            {item.sjis.isValid ? (
-                                <>
-                                    <HexBadge hex={item.sjis.hex} />
-                                    <div className="text-xs text-slate-400 mt-1 font-mono">{item.sjis.length} bytes</div>
-                                </>
-                            ) : (
-                                <span className="bg-red-100 text-red-600 text-xs font-bold px-2 py-1 rounded">変換不可</span>
-                            )}
+                    ) : (
+                        <p className="text-sm text-slate-400">{t('records.noQuiz')}</p>
+                    )}
+                </Card>
+
+                <Card title={t('practice.title')}>
+                    {byLevel.length > 0 ? (
+                        <div className="space-y-2">
+                            {byLevel.map(level => (
+                                <div key={level.id}>
+                                    <div className="flex justify-between text-sm">
+                                        <span className="font-bold text-slate-700">{t(`practice.level.${level.id}`)}</span>
+                                        <span className="text-slate-500">{t('records.levelScore', level)}</span>
+                                    </div>
+                                    <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                                        <div className="h-full bg-green-500" style={{ width: `${(level.correct / level.attempts) * 100}%` }}></div>
+                                    </div>
+                                </div>
+                            ))}
                         </div>
-                    </div>
-                    
-                    {item.sjis.isValid ? (
-                        <div className="bg-orange-50 rounded-lg p-4 overflow-x-auto border border-orange-100">
-                            <BitVisualizer binaryString={item.sjis.binary} isDarkBg={false} />
+                    ) : (
+                        <p className="text-sm text-slate-400">{t('records.noPractice')}</p>
+                    )}
+                </Card>
+
+                <Card title={t('records.chars')}>
+                    {chars.length > 0 ? (
+                        <div className="flex flex-wrap gap-2">
+                            {chars.map(([char, count]) => (
+                                <span key={char} title={t('unit.times', { count })} className="px-2 py-1 rounded-lg bg-slate-50 border border-slate-200 text-lg">
+                                    {char}
+                                    <span className="text-[10px] text-slate-400 ml-1">×{count}</span>
+                                </span>
+                            ))}
                         </div>
                     ) : (
-                        <div className="bg-slate-100 rounded-lg p-4 text-center border-2 border-dashed border-slate-300">
-                            <p className="text-xs text-slate-500">
-                                <i className="fa-solid fa-ban mr-1"></i>
-                                この文字（{item.char}）はShift-JISの文字コード表に存在しません。
-                            </p>
+                        <p className="text-sm text-slate-400">{t('records.noChars')}</p>
+                    )}
+                </Card>
+
+                <Card title={t('records.viewTime')}>
+                    {viewTimes.length > 0 ? (
+                        <div className="space-y-2">
+                            {viewTimes.map(item => (
+                                <div key={item.id} className="flex items-center gap-2 text-sm">
+                                    <span className="w-24 text-slate-600 flex-shrink-0"><i className={`fa-solid ${item.icon} mr-1 text-slate-400`}></i>{t(`nav.${item.id}`)}</span>
+                                    <div className="flex-1 h-2 bg-slate-100 rounded-full overflow-hidden">
+                                        <div className="h-full bg-brand-500" style={{ width: `${(item.ms / maxViewTime) * 100}%` }}></div>
+                                    </div>
+                                    <span className="w-14 text-right text-xs text-slate-500">{t('unit.minutes', { count: Math.round(item.ms / 60000) })}</span>
+                                </div>
+                            ))}
                         </div>
+                    ) : (
+                        <p className="text-sm text-slate-400">{t('records.noViewTime')}</p>
                     )}
-                </div>
+                </Card>
             </div>
         </div>
-    </div>
+    );
+};
+
+// --- Quiz View ---
+
+// 問題文・解説中の `...` をコード表示にする
+const QuizText = ({ text }) => (
+    <>
+        {text.split(/`([^`]+)`/).map((part, idx) => (
+            idx % 2 === 1
+                ? <code key={idx} className="font-mono bg-slate-100 text-brand-700 px-1.5 py-0.5 rounded">{part}</code>
+                : <React.Fragment key={idx}>{part}</React.Fragment>
+        ))}
+    </>
 );
 
-const AITutorPanel = ({ input, selectedChar }) => {
-    const [question, setQuestion] = useState('');
-    const [answer, setAnswer] = useState('');
+const QuizView = ({ aiSettings }) => {
+    const { t } = useI18n();
+    const [questions, setQuestions] = useState([]);
+    const [current, setCurrent] = useState(0);
+    const [selected, setSelected] = useState(null);
+    const [score, setScore] = useState(0);
     const [loading, setLoading] = useState(false);
+    const [finished, setFinished] = useState(false);
+    // 同じセッション内で同じ問題が出ないよう、問題バンクを山札として使う
+    const deckRef = useRef([]);
 
-    // AIへの質問コンテキストを動的に生成
-    const context = useMemo(() => {
-        return `現在、生徒は「${input}」という文字列を分析中。
-        特に「${selectedChar || input[0]}」という文字の詳細画面を見ている。`;
-    }, [input, selectedChar]);
+    // 以前にAIが作って検査に通った問題も山札に混ぜる
+    const newDeck = () => shuffle([
+        ...INITIAL_QUIZ_DATA.map(quiz => ({ ...quiz, source: 'bank' })),
+        ...loadQuizCache().map(quiz => ({ ...quiz, source: 'cache' })),
+    ]);
 
-    const handleAsk = async () => {
-        if (!question.trim()) return;
-        setLoading(true);
+    const drawFromBank = () => {
+        if (deckRef.current.length === 0) {
+            deckRef.current = newDeck();
+        }
+        return deckRef.current.pop();
+    };
+
+    const fetchQuestion = async () => {
+        let quiz = null;
         try {
-            const response = await askAITeacher(question, context);
-            setAnswer(response);
+            // generateQuiz は検査に通った問題だけを返す
+            const generated = await generateQuiz(aiSettings);
+            if (generated) quiz = { ...generated, source: 'ai' };
         } catch (e) {
-            setAnswer("通信エラーが発生しました。");
-        } finally {
-            setLoading(false);
+            if (e.message !== 'AI_UNAVAILABLE') console.error(e);
         }
+        if (!quiz) quiz = drawFromBank();
+        return { ...quiz, options: shuffle(quiz.options) };
     };
 
-    if (!API_KEY) return null;
+    const loadNext = async () => {
+        setLoading(true);
+        const quiz = await fetchQuestion();
+        setQuestions(prev => [...prev, quiz]);
+        setSelected(null);
+        setLoading(false);
+    };
 
-    return (
-        <Card title="AI先生に質問" className="bg-gradient-to-br from-indigo-50 to-blue-50 border-indigo-100">
-            <div className="space-y-3">
-                <div className="flex gap-2 mb-2">
-                    <div className="w-8 h-8 rounded-full bg-white flex items-center justify-center text-indigo-600 shadow-sm">
-                        <i className="fa-solid fa-robot"></i>
+    const startSession = async () => {
+        deckRef.current = newDeck();
+        setQuestions([]);
+        setCurrent(0);
+        setScore(0);
+        setFinished(false);
+        await loadNext();
+    };
+
+    const handleSelect = (option) => {
+        if (selected !== null) return;
+        setSelected(option);
+        if (option === questions[current].answer) setScore(prev => prev + 1);
+    };
+
+    const handleNext = async () => {
+        if (current + 1 >= QUIZ_SESSION_LENGTH) {
+            setFinished(true);
+            recordQuizResult(score, QUIZ_SESSION_LENGTH);
+            return;
+        }
+        setCurrent(prev => prev + 1);
+        await loadNext();
+    };
+
+    const quiz = questions[current];
+
+    // 開始前
+    if (questions.length === 0) {
+        const cachedCount = loadQuizCache().length;
+        return (
+            <div className="max-w-2xl mx-auto animate-[fadeIn_0.5s]">
+                <Card title={t('quiz.title')}>
+                    <div className="text-center space-y-4 py-4">
+                        <i className="fa-solid fa-circle-question text-5xl text-brand-500"></i>
+                        <p className="text-slate-600">
+                            {t('quiz.intro', { count: QUIZ_SESSION_LENGTH })}
+                        </p>
+                        {(!isAIAvailable(aiSettings) || aiSettings.provider === 'mock') && (
+                            <p className="text-xs text-slate-500 bg-slate-50 border border-slate-200 rounded-lg px-3 py-2 inline-block">
+                                <i className="fa-solid fa-plug-circle-xmark mr-1"></i>
+                                {cachedCount > 0
+                                    ? t('quiz.offlineWithCache', { count: INITIAL_QUIZ_DATA.length, cached: cachedCount })
+                                    : t('quiz.offline', { count: INITIAL_QUIZ_DATA.length })}
+                            </p>
+                        )}
+                        <Button onClick={startSession} disabled={loading} className="mx-auto">
+                            {loading ? <i className="fa-solid fa-spinner fa-spin"></i> : <><i className="fa-solid fa-play"></i> {t('quiz.start')}</>}
+                        </Button>
                     </div>
-                    <div className="text-xs text-indigo-800 font-medium pt-1 leading-snug">
-                        「なぜShift-JISだとバイト数が少ないの？」「文字化けって何？」など聞いてみてね。
+                </Card>
+            </div>
+        );
+    }
+
+    // 結果
+    if (finished) {
+        const perfect = score === QUIZ_SESSION_LENGTH;
+        return (
+            <div className="max-w-2xl mx-auto animate-[fadeIn_0.5s]">
+                <Card title={t('quiz.result')}>
+                    <div className="text-center space-y-4 py-4">
+                        <i className={`fa-solid ${perfect ? 'fa-trophy text-yellow-500' : 'fa-flag-checkered text-brand-500'} text-5xl`}></i>
+                        <div className="text-4xl font-bold text-slate-800">
+                            {score}<span className="text-lg text-slate-400"> / {QUIZ_SESSION_LENGTH}</span>
+                        </div>
+                        <p className="text-slate-600">
+                            {perfect ? t('quiz.perfect') : t('quiz.retryHint')}
+                        </p>
+                        <Button onClick={startSession} disabled={loading} className="mx-auto">
+                            {loading ? <i className="fa-solid fa-spinner fa-spin"></i> : <><i className="fa-solid fa-rotate-right"></i> {t('quiz.again')}</>}
+                        </Button>
                     </div>
-                </div>
-                
-                <textarea 
-                    value={question}
-                    onChange={(e) => setQuestion(e.target.value)}
-                    placeholder="質問を入力..."
-                    className="w-full p-3 rounded-lg border border-indigo-200 text-sm focus:ring-2 focus:ring-indigo-400 outline-none bg-white/80"
-                    rows="2"
-                />
-                
-                <Button 
-                    onClick={handleAsk} 
-                    disabled={loading || !question} 
-                    className="w-full text-sm bg-indigo-600 hover:bg-indigo-500 text-white shadow-indigo-200"
-                >
-                    {loading ? <i className="fa-solid fa-spinner fa-spin"></i> : <><i className="fa-solid fa-paper-plane"></i> 質問する</>}
-                </Button>
+                </Card>
+            </div>
+        );
+    }
+
+    const answered = selected !== null;
+    const isCorrect = answered && selected === quiz?.answer;
+
+    return (
+        <div className="max-w-2xl mx-auto animate-[fadeIn_0.5s]">
+            <Card
+                title={t('quiz.progress', { index: current + 1, total: QUIZ_SESSION_LENGTH })}
+                headerAction={<span className="text-xs font-bold text-brand-600">{t('quiz.score', { score })}</span>}
+            >
+                {loading || !quiz ? (
+                    <div className="text-center py-12 text-slate-400">
+                        <i className="fa-solid fa-spinner fa-spin text-2xl"></i>
+                    </div>
+                ) : (
+                    <div className="space-y-6">
+                        <div>
+                            {quiz.source !== 'bank' && (
+                                <span className="text-[10px] font-bold text-indigo-600 bg-indigo-50 px-2 py-0.5 rounded-full mb-2 inline-block">
+                                    <i className="fa-solid fa-robot mr-1"></i>{quiz.source === 'cache' ? t('quiz.aiCached') : t('quiz.ai')}
+                                </span>
+                            )}
+                            <p className="text-lg font-bold text-slate-800 leading-relaxed">
+                                <QuizText text={quiz.question} />
+                            </p>
+                        </div>
+
+                        <div className="grid sm:grid-cols-2 gap-3">
+                            {quiz.options.map(option => {
+                                let style = 'border-slate-200 bg-white text-slate-700 hover:border-brand-300 hover:bg-brand-50';
+                                if (answered) {
+                                    if (option === quiz.answer) style = 'border-green-500 bg-green-50 text-green-800';
+                                    else if (option === selected) style = 'border-red-400 bg-red-50 text-red-700';
+                                    else style = 'border-slate-100 bg-slate-50 text-slate-400';
+                                }
+                                return (
+                                    <button
+                                        key={option}
+                                        onClick={() => handleSelect(option)}
+                                        disabled={answered}
+                                        className={`text-left px-4 py-3 rounded-lg border-2 font-medium transition-all ${style}`}
+                                    >
+                                        <QuizText text={option} />
+                                    </button>
+                                );
+                            })}
+                        </div>
+
+                        {answered && (
+                            <div className={`rounded-xl p-4 border-2 animate-[fadeIn_0.3s] ${isCorrect ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+                                <p className={`font-bold mb-1 ${isCorrect ? 'text-green-800' : 'text-red-700'}`}>
+                                    <i className={`fa-solid ${isCorrect ? 'fa-circle-check' : 'fa-circle-xmark'} mr-2`}></i>
+                                    {isCorrect ? t('quiz.correct') : t('quiz.wrong', { answer: quiz.answer })}
+                                </p>
+                                <p className="text-sm text-slate-700 leading-relaxed">
+                                    <QuizText text={quiz.explanation} />
+                                </p>
+                            </div>
+                        )}
 
-                {answer && (
-                    <div className="mt-3 p-3 bg-white rounded-lg border border-indigo-100 text-sm text-slate-700 leading-relaxed animate-[fadeIn_0.3s] shadow-sm">
-                        {answer}
+                        {answered && (
+                            <Button onClick={handleNext} className="w-full">
+                                {current + 1 >= QUIZ_SESSION_LENGTH
+                                    ? <><i className="fa-solid fa-flag-checkered"></i> {t('quiz.showResult')}</>
+                                    : <><i className="fa-solid fa-arrow-right"></i> {t('quiz.next')}</>}
+                            </Button>
+                        )}
                     </div>
                 )}
-            </div>
-        </Card>
+            </Card>
+        </div>
     );
 };
 
 // --- About View ---
 
-const AboutView = () => (
-    <div className="max-w-3xl mx-auto space-y-8 animate-[fadeIn_0.5s]">
-        <div className="text-center mb-8">
-            <h2 className="text-2xl font-bold text-slate-800">文字のデジタル化の仕組み</h2>
-            <p className="text-slate-500 mt-2">コンピュータが文字を扱う「裏側」を見てみよう</p>
-        </div>
-        
-        <TopicSection title="1. 文字コードとは？" icon="fa-list-ol" color="text-brand-500">
-            <p>
-                コンピュータは「0」と「1」しか理解できません。そこで、「あ」は「12354」、「A」は「65」のように、
-                <strong>文字と番号の対応表</strong>を決めておく必要があります。これを「文字コード」と呼びます。
-            </p>
-        </TopicSection>
-
-        <TopicSection title="2. なぜUTF-8とShift-JISがあるの？" icon="fa-right-left" color="text-orange-500">
-            <div className="grid md:grid-cols-2 gap-6 mt-4">
-                <div className="bg-blue-50 p-5 rounded-xl border border-blue-100">
-                    <h4 className="font-bold text-blue-800 mb-2 flex items-center gap-2">
-                        <i className="fa-solid fa-globe"></i> UTF-8
-                    </h4>
-                    <ul className="text-sm text-blue-900 space-y-2 list-disc list-inside">
-                        <li><strong>世界標準</strong>。どの国の言葉も混在できる。</li>
-                        <li>Webサイトの98%以上で使用されている。</li>
-                        <li>日本語は基本的に<strong>3バイト</strong>必要。</li>
-                    </ul>
-                </div>
-                <div className="bg-orange-50 p-5 rounded-xl border border-orange-100">
-                    <h4 className="font-bold text-orange-800 mb-2 flex items-center gap-2">
-                        <i className="fa-solid fa-flag"></i> Shift-JIS
-                    </h4>
-                    <ul className="text-sm text-orange-900 space-y-2 list-disc list-inside">
-                        <li><strong>日本独自</strong>。昔のWindowsで標準だった。</li>
-                        <li>日本語を<strong>2バイト</strong>で表現できるため、昔はデータ節約に役立った。</li>
-                        <li>絵文字や外国語は扱えないことが多い。</li>
-                    </ul>
-                </div>
-            </div>
-        </TopicSection>
-
-        <TopicSection title="3. 文字化けの原因" icon="fa-bug" color="text-red-500">
-            <p className="mb-4">
-                「UTF-8」で書かれたデータを、「Shift-JIS」のルールで読もうとすると、
-                ビットの区切り位置がずれてしまい、全く違う文字（意味不明な記号）になります。
-            </p>
-            <div className="bg-slate-100 p-4 rounded-lg font-mono text-center text-slate-600">
-                UTF-8: [E3 81 82] (あ) <br/>
-                ↓ <span className="text-xs text-red-500 font-bold">Shift-JISとして無理やり読む</span> ↓<br/>
-                Shift-JIS: [E3 81] [82 ..] → 「縺」 (文字化け！)
+const AboutView = () => {
+    const { t } = useI18n();
+    return (
+        <div className="max-w-3xl mx-auto space-y-8 animate-[fadeIn_0.5s]">
+            <div className="text-center mb-8">
+                <h2 className="text-2xl font-bold text-slate-800">{t('about.title')}</h2>
+                <p className="text-slate-500 mt-2">{t('about.subtitle')}</p>
             </div>
-        </TopicSection>
-    </div>
-);
+
+            <TopicSection title={t('about.whatTitle')} icon="fa-list-ol" color="text-brand-500">
+                <p>
+                    <RichText text={t('about.whatBody')} />
+                </p>
+            </TopicSection>
+
+            <TopicSection title={t('about.whyTitle')} icon="fa-right-left" color="text-orange-500">
+                <div className="grid md:grid-cols-2 gap-6 mt-4">
+                    <div className="bg-blue-50 p-5 rounded-xl border border-blue-100">
+                        <h4 className="font-bold text-blue-800 mb-2 flex items-center gap-2">
+                            <i className="fa-solid fa-globe"></i> UTF-8
+                        </h4>
+                        <ul className="text-sm text-blue-900 space-y-2 list-disc list-inside">
+                            <li><RichText text={t('about.utf8Point1')} /></li>
+                            <li><RichText text={t('about.utf8Point2')} /></li>
+                            <li><RichText text={t('about.utf8Point3')} /></li>
+                        </ul>
+                    </div>
+                    <div className="bg-orange-50 p-5 rounded-xl border border-orange-100">
+                        <h4 className="font-bold text-orange-800 mb-2 flex items-center gap-2">
+                            <i className="fa-solid fa-flag"></i> Shift-JIS
+                        </h4>
+                        <ul className="text-sm text-orange-900 space-y-2 list-disc list-inside">
+                            <li><RichText text={t('about.sjisPoint1')} /></li>
+                            <li><RichText text={t('about.sjisPoint2')} /></li>
+                            <li><RichText text={t('about.sjisPoint3')} /></li>
+                        </ul>
+                    </div>
+                </div>
+            </TopicSection>
+
+            <TopicSection title={t('about.causeTitle')} icon="fa-bug" color="text-red-500">
+                <p className="mb-4">
+                    <RichText text={t('about.causeBody')} />
+                </p>
+                <div className="bg-slate-100 p-4 rounded-lg font-mono text-center text-slate-600">
+                    UTF-8: [E3 81 82] (あ) <br/>
+                    ↓ <span className="text-xs text-red-500 font-bold">{t('about.causeForce')}</span> ↓<br/>
+                    Shift-JIS: [E3 81] [82 ..] → 「縺」 {t('about.causeResult')}
+                </div>
+                <p className="mt-3 text-sm">
+                    <i className="fa-solid fa-flask mr-1 text-indigo-500"></i>
+                    {t('about.causeLab')}
+                </p>
+            </TopicSection>
+
+            <TopicSection title={t('about.othersTitle')} icon="fa-layer-group" color="text-violet-500">
+                <ul className="text-sm space-y-3 list-disc list-inside">
+                    {['iso2022jp', 'eucjp', 'utf16', 'utf32'].map(id => (
+                        <li key={id}>
+                            <RichText text={t(`about.${id}`)} />
+                        </li>
+                    ))}
+                </ul>
+            </TopicSection>
+        </div>
+    );
+};
 
 const TopicSection = ({ title, icon, color, children }) => (
     <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
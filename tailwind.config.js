@@ -0,0 +1,24 @@
+/** @type {import('tailwindcss').Config} */
+export default {
+    content: ['./index.html', './app.js'],
+    theme: {
+        extend: {
+            colors: {
+                brand: {
+                    50: '#f0f9ff',
+                    100: '#e0f2fe',
+                    500: '#0ea5e9',
+                    600: '#0284c7',
+                    900: '#0c4a6e',
+                }
+            },
+            fontFamily: {
+                mono: ['Menlo', 'Monaco', 'Consolas', '"Liberation Mono"', '"Courier New"', 'monospace'],
+                sans: ['"Inter Variable"', '"Noto Sans JP Variable"', 'sans-serif'],
+                serif: ['"Noto Serif JP Variable"', 'serif'],
+                hand: ['"Yomogi"', 'cursive'],
+            }
+        }
+    },
+    plugins: [],
+};
@@ -0,0 +1,48 @@
+/**
+ * 人が書いたバイト列の表記（E3 81 82 / 0xE3 0x81 / 01000001 など）の読み取り
+ * 練習問題の採点と、AIが作ったクイズの検査で使う
+ */
+import { toHexString } from './encoding.js';
+
+/**
+ * 16進数の書き方の違い（0x / \x / 空白 / カンマ / 大文字小文字）をそろえて "E3 81 82" の形にする
+ * 16進数のバイト列として読めなければ null
+ */
+export const normalizeHex = (text) => {
+    const hex = text.replace(/0x|\\x/gi, '').replace(/[\s,]+/g, '');
+    if (!/^([0-9a-f]{2})+$/i.test(hex)) return null;
+    return hex.toUpperCase().match(/../g).join(' ');
+};
+
+/**
+ * `E3 81 82` や 0x41、`01000001` のようなバイト列の表記を "E3 81 82" の形にそろえる
+ * バイト列の表記でなければ null
+ */
+export const parseByteLiteral = (text) => {
+    const body = text.replace(/`/g, '').trim();
+    if (/^[01]{8}(\s+[01]{8})*$/.test(body)) {
+        return toHexString(body.split(/\s+/).map(bits => parseInt(bits, 2)));
+    }
+    return normalizeHex(body);
+};
+
+/**
+ * 数字だけを見てもバイト列とわかる書き方か（0x や \x が付いている、1バイトずつ区切ってある）
+ * "65" や "24" は10進数の答えかもしれないので、これだけではバイト列とみなさない
+ */
+export const hasByteNotation = (text) => {
+    const body = text.replace(/`/g, '').trim();
+    return /0x|\\x/i.test(body)
+        || /^[0-9a-f]{2}([\s,]+[0-9a-f]{2})+$/i.test(body)
+        || /^[01]{8}(\s+[01]{8})+$/.test(body);
+};
+
+/**
+ * 問題の答えをバイト列として読む。16進数・2進数を聞いている問題か、答えがバイト列の書き方のときだけ
+ * それ以外（10進数の値やビット数を聞く問題など）は null
+ */
+export const parseAnswerBytes = (question, answer) => {
+    const asksForBytes = /16進|2進|ビット列|バイト列|hex|binary/i.test(question);
+    if (!asksForBytes && !hasByteNotation(answer)) return null;
+    return parseByteLiteral(answer);
+};
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHex, parseByteLiteral, hasByteNotation, parseAnswerBytes } from './byte-literal.js';
+
+test('16進数の書き方をそろえる', () => {
+    assert.equal(normalizeHex('e38182'), 'E3 81 82');
+    assert.equal(normalizeHex('0xE3, 0x81, 0x82'), 'E3 81 82');
+    assert.equal(normalizeHex('\\xe3\\x81\\x82'), 'E3 81 82');
+    assert.equal(normalizeHex('E3 8'), null);
+    assert.equal(normalizeHex('あ'), null);
+});
+
+test('2進数のバイト列も読む', () => {
+    assert.equal(parseByteLiteral('`01000001`'), '41');
+    assert.equal(parseByteLiteral('11100011 10000001 10000010'), 'E3 81 82');
+});
+
+test('数字だけではバイト列とみなさない', () => {
+    assert.equal(hasByteNotation('65'), false);
+    assert.equal(hasByteNotation('0x41'), true);
+    assert.equal(hasByteNotation('E3 81 82'), true);
+    assert.equal(hasByteNotation('01000001 01000010'), true);
+});
+
+test('10進数やビット数を聞く問題の答えはバイト列として読まない', () => {
+    assert.equal(parseAnswerBytes('「A」をUTF-8の10進数で表すと？', '65'), null);
+    assert.equal(parseAnswerBytes('「あ」はUTF-8で何ビット？', '24'), null);
+    assert.equal(parseAnswerBytes('「A」をUTF-8の16進数で表すと？', '41'), '41');
+    assert.equal(parseAnswerBytes('「A」をUTF-8の2進数で表すと？', '01000001'), '41');
+    assert.equal(parseAnswerBytes('「あ」をUTF-8で表すと？', 'E3 81 82'), 'E3 81 82');
+    assert.equal(parseAnswerBytes('「A」をUTF-8で表すと？', '0x41'), '41');
+});
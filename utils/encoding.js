@@ -1,66 +1,594 @@
 /**
- * 文字列をUTF-8のバイト配列に変換
+ * 文字コードの変換・解読・検証
+ * 外部ライブラリやブラウザの機能に頼らないので、ブラウザでもNodeでも同じ結果になる
+ * Shift-JIS (CP932) の対応表は cp932-table.js に同梱し、EUC-JP と ISO-2022-JP も同じ表から計算する
+ * （JIS X 0212 の補助漢字は表に含まないため、EUC-JP の3バイト文字は扱わない）
  */
+import { CP932_TABLE } from './cp932-table.js';
+
+// ------------------------------------------
+// 表示用の変換
+// ------------------------------------------
+
+/**
+ * バイト配列を16進数文字列に変換 (例: [227, 129, 130] -> "E3 81 82")
+ */
+export const toHexString = (byteArray) => {
+    if (!byteArray) return "";
+    return byteArray.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+};
+
+/**
+ * バイト配列を2進数文字列に変換 (例: [65] -> "01000001")
+ * width: 1つの値を何ビットで表すか（自作の文字コードでは8以外も使う）
+ */
+export const toBinaryString = (byteArray, width = 8) => {
+    if (!byteArray) return "";
+    return byteArray.map(b => b.toString(2).padStart(width, '0')).join(' ');
+};
+
+// ------------------------------------------
+// Shift-JIS (CP932) の対応表
+// ------------------------------------------
+
+// 読めないバイトの代わりに表示する文字
+export const REPLACEMENT_CHAR = '\uFFFD';
+
+
+export const isSJISLead = (b) => (b >= 0x81 && b <= 0x9F) || (b >= 0xE0 && b <= 0xFC);
+export const isSJISTrail = (b) => b !== undefined && b >= 0x40 && b <= 0xFC && b !== 0x7F;
+
+// 2バイト目 → 表の列番号（0x7F は使わないので詰める）
+const trailIndex = (trail) => (trail < 0x7F ? trail - 0x40 : trail - 0x41);
+
+// 同じ文字が2か所にあるときは Windows と同じく JIS・NEC特殊文字 → IBM拡張 (FA〜FC) → NEC選定IBM拡張 (ED・EE) の順に選ぶ
+const NEC_SELECTED_LEADS = [0xED, 0xEE];
+// IBM拡張 (FA〜FC) は JIS X 0208 の範囲の外なので、EUC-JP・ISO-2022-JP では NEC選定IBM拡張の番号を使う
+const LAST_JIS_LEAD = 0xEF;
+
+// 文字 → Shift-JISの2バイト の対応を、指定した1バイト目の順に表から作る
+const buildEncodeMap = (leads) => {
+    const map = new Map();
+    leads.forEach((lead) => {
+        Array.from(CP932_TABLE[lead]).forEach((char, index) => {
+            if (char === REPLACEMENT_CHAR || map.has(char)) return;
+            map.set(char, [lead, index < 0x3F ? index + 0x40 : index + 0x41]);
+        });
+    });
+    return map;
+};
+
+const TABLE_LEADS = Object.keys(CP932_TABLE).map(Number);
+
+// どちらも初めて使うときに作る
+let sjisEncodeMap = null;
+const getSJISEncodeMap = () => {
+    if (!sjisEncodeMap) {
+        sjisEncodeMap = buildEncodeMap([...TABLE_LEADS.filter(lead => !NEC_SELECTED_LEADS.includes(lead)), ...NEC_SELECTED_LEADS]);
+    }
+    return sjisEncodeMap;
+};
+
+let jisEncodeMap = null;
+const getJISEncodeMap = () => {
+    if (!jisEncodeMap) jisEncodeMap = buildEncodeMap(TABLE_LEADS.filter(lead => lead <= LAST_JIS_LEAD));
+    return jisEncodeMap;
+};
+
+// Shift-JISの2バイトが表す文字。表にない番号は null
+const lookupSJIS = (lead, trail) => {
+    const row = CP932_TABLE[lead];
+    const char = row ? row[trailIndex(trail)] : undefined;
+    return char && char !== REPLACEMENT_CHAR ? char : null;
+};
+
+/**
+ * Shift-JISの2バイトを JIS X 0208 の2バイト (各 0x21〜0x7E) に変換する
+ */
+export const sjisToJIS = (s1, s2) => {
+    const offset = s1 <= 0x9F ? 0x70 : 0xB0;
+    if (s2 >= 0x9F) return [(s1 - offset) * 2, s2 - 0x7E];
+    return [(s1 - offset) * 2 - 1, s2 - (s2 >= 0x80 ? 0x20 : 0x1F)];
+};
+
+/**
+ * JIS X 0208 の2バイトを Shift-JIS の2バイトに変換する
+ */
+export const jisToSJIS = (j1, j2) => {
+    const lead = ((j1 + 1) >> 1) + (j1 <= 0x5E ? 0x70 : 0xB0);
+    const trail = j1 % 2 === 1 ? j2 + (j2 >= 0x60 ? 0x20 : 0x1F) : j2 + 0x7E;
+    return [lead, trail];
+};
+
+const isJISByte = (b) => b >= 0x21 && b <= 0x7E;
+
+// JIS X 0208 の2バイトが表す文字。表にない番号は null
+const lookupJIS = (j1, j2) => {
+    if (!isJISByte(j1) || !isJISByte(j2)) return null;
+    const [lead, trail] = jisToSJIS(j1, j2);
+    return lookupSJIS(lead, trail);
+};
+
+// ISO-2022-JP のエスケープシーケンスと、切り替わる先のモード
+export const JIS_ESCAPES = [
+    { bytes: [0x1B, 0x28, 0x42], mode: 'ascii' },   // ESC ( B : ASCII
+    { bytes: [0x1B, 0x28, 0x4A], mode: 'ascii' },   // ESC ( J : JIS X 0201 ローマ字
+    { bytes: [0x1B, 0x28, 0x49], mode: 'kana' },    // ESC ( I : JIS X 0201 カタカナ
+    { bytes: [0x1B, 0x24, 0x40], mode: 'kanji' },   // ESC $ @ : JIS C 6226-1978
+    { bytes: [0x1B, 0x24, 0x42], mode: 'kanji' },   // ESC $ B : JIS X 0208
+];
+
+// ISO-2022-JP に変換するときに使う切り替え
+const JIS_SWITCH = {
+    ascii: [0x1B, 0x28, 0x42],
+    kana: [0x1B, 0x28, 0x49],
+    kanji: [0x1B, 0x24, 0x42],
+};
+
+// 半角カタカナ（U+FF61〜U+FF9F）は JIS X 0201 の 0xA1〜0xDF
+const HALFWIDTH_KANA_START = 0xFF61;
+const HALFWIDTH_KANA_END = 0xFF9F;
+
+// ------------------------------------------
+// エンコード（文字列 -> バイト配列）
+// 表現できない文字が含まれる場合は null を返す
+// ------------------------------------------
+
 export const toUTF8Array = (str) => {
     const encoder = new TextEncoder();
     return Array.from(encoder.encode(str));
 };
 
 /**
- * 文字列をShift-JISのバイト配列に変換
- * (encoding-japanese ライブラリを使用)
+ * Shift-JIS (CP932) に変換する
+ * fallback にバイト値 (例: 0x3F = '?') を指定すると、表現できない文字をそのバイトに置き換えて続ける
+ * （メモ帳などで「Shift-JISで保存」したときと同じふるまい）
+ */
+export const toSJISArray = (str, { fallback = null } = {}) => {
+    const map = getSJISEncodeMap();
+    const bytes = [];
+    for (const char of str) {
+        const cp = char.codePointAt(0);
+        if (cp < 0x80) bytes.push(cp);
+        else if (cp >= HALFWIDTH_KANA_START && cp <= HALFWIDTH_KANA_END) bytes.push(cp - HALFWIDTH_KANA_START + 0xA1);
+        else if (map.has(char)) bytes.push(...map.get(char));
+        else if (fallback !== null) bytes.push(fallback);
+        else return null;
+    }
+    return bytes;
+};
+
+// 文字を JIS X 0208 の2バイトにする（表にない文字は null）
+const toJISPair = (char) => {
+    const pair = getJISEncodeMap().get(char);
+    return pair ? sjisToJIS(pair[0], pair[1]) : null;
+};
+
+export const toEUCJPArray = (str) => {
+    const bytes = [];
+    for (const char of str) {
+        const cp = char.codePointAt(0);
+        if (cp < 0x80) {
+            bytes.push(cp);
+        } else if (cp >= HALFWIDTH_KANA_START && cp <= HALFWIDTH_KANA_END) {
+            bytes.push(0x8E, cp - HALFWIDTH_KANA_START + 0xA1); // SS2 + 半角カタカナ
+        } else {
+            const pair = toJISPair(char);
+            if (!pair) return null;
+            bytes.push(pair[0] | 0x80, pair[1] | 0x80);
+        }
+    }
+    return bytes;
+};
+
+/**
+ * ISO-2022-JP に変換する。文字の種類が変わるたびにエスケープシーケンスで切り替え、最後はASCIIに戻す
  */
-export const toSJISArray = (str) => {
-    if (!window.Encoding) return [];
-    // Unicode -> SJIS
-    const unicodeArray = Encoding.stringToCode(str);
-    const sjisArray = Encoding.convert(unicodeArray, {
-        to: 'SJIS',
-        from: 'UNICODE'
+export const toISO2022JPArray = (str) => {
+    const bytes = [];
+    let mode = 'ascii';
+    const switchTo = (next) => {
+        if (mode === next) return;
+        bytes.push(...JIS_SWITCH[next]);
+        mode = next;
+    };
+    for (const char of str) {
+        const cp = char.codePointAt(0);
+        // ESC はモードの切り替えに使うので、文字としては送れない
+        if (cp === 0x1B) return null;
+        if (cp < 0x80) {
+            switchTo('ascii');
+            bytes.push(cp);
+        } else if (cp >= HALFWIDTH_KANA_START && cp <= HALFWIDTH_KANA_END) {
+            switchTo('kana');
+            bytes.push(cp - HALFWIDTH_KANA_START + 0x21);
+        } else {
+            const pair = toJISPair(char);
+            if (!pair) return null;
+            switchTo('kanji');
+            bytes.push(...pair);
+        }
+    }
+    switchTo('ascii');
+    return bytes;
+};
+
+// UTF-16 (BOMなし)。U+10000以降の文字はサロゲートペア（16ビット×2）になる
+export const toUTF16Array = (str, littleEndian = false) => {
+    const bytes = [];
+    for (let i = 0; i < str.length; i++) {
+        const unit = str.charCodeAt(i);
+        const hi = unit >> 8;
+        const lo = unit & 0xFF;
+        if (littleEndian) bytes.push(lo, hi);
+        else bytes.push(hi, lo);
+    }
+    return bytes;
+};
+
+// UTF-32 (ビッグエンディアン, BOMなし)。コードポイントをそのまま4バイトで表す
+export const toUTF32Array = (str) => {
+    return Array.from(str).flatMap(char => {
+        const cp = char.codePointAt(0);
+        return [(cp >>> 24) & 0xFF, (cp >> 16) & 0xFF, (cp >> 8) & 0xFF, cp & 0xFF];
     });
-    return sjisArray;
 };
 
+// ------------------------------------------
+// デコード（バイト列 -> 文字単位のグループ）
+// ------------------------------------------
+
+const isUTF8Continuation = (b) => b !== undefined && b >= 0x80 && b <= 0xBF;
+
 /**
- * バイト配列を16進数文字列に変換 (例: [227, 129, 130] -> "E3 81 82")
+ * UTF-8のルールでバイト列を文字単位のグループに区切る
+ * 戻り値: [{ start, bytes, roles, char, valid, reason }]
+ *   roles: 各バイトの役割 'single' | 'lead' | 'trail' | 'invalid'
  */
-export const toHexString = (byteArray) => {
-    return byteArray.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+export const decodeUTF8Groups = (bytes) => {
+    const groups = [];
+    let i = 0;
+    while (i < bytes.length) {
+        const b = bytes[i];
+        let need = 0;
+        let min = 0x80, max = 0xBF; // 2バイト目に許される範囲（冗長表現・サロゲートを除外）
+        if (b < 0x80) {
+            groups.push({ start: i, bytes: [b], roles: ['single'], char: String.fromCharCode(b), valid: true });
+            i++;
+            continue;
+        } else if (b >= 0xC2 && b <= 0xDF) {
+            need = 1;
+        } else if (b >= 0xE0 && b <= 0xEF) {
+            need = 2;
+            if (b === 0xE0) min = 0xA0;
+            if (b === 0xED) max = 0x9F;
+        } else if (b >= 0xF0 && b <= 0xF4) {
+            need = 3;
+            if (b === 0xF0) min = 0x90;
+            if (b === 0xF4) max = 0x8F;
+        } else {
+            const reason = isUTF8Continuation(b) ? '先頭バイトがない続きのバイト' : 'UTF-8では使われないバイト';
+            groups.push({ start: i, bytes: [b], roles: ['invalid'], char: REPLACEMENT_CHAR, valid: false, reason });
+            i++;
+            continue;
+        }
+
+        // 続きのバイト (10xxxxxx) がそろっているか確認
+        let len = 1;
+        while (len <= need) {
+            const next = bytes[i + len];
+            const ok = len === 1 ? (next !== undefined && next >= min && next <= max) : isUTF8Continuation(next);
+            if (!ok) break;
+            len++;
+        }
+
+        const group = bytes.slice(i, i + len);
+        if (len === need + 1) {
+            let cp = b & (0xFF >> (need + 2));
+            for (let k = 1; k < len; k++) cp = (cp << 6) | (group[k] & 0x3F);
+            groups.push({ start: i, bytes: group, roles: ['lead', ...Array(need).fill('trail')], char: String.fromCodePoint(cp), valid: true });
+        } else {
+            groups.push({
+                start: i,
+                bytes: group,
+                roles: group.map(() => 'invalid'),
+                char: REPLACEMENT_CHAR,
+                valid: false,
+                reason: i + len >= bytes.length ? 'データの途中で終わっている' : '続きのバイト (10xxxxxx) が来るはずの場所に別のバイトがある'
+            });
+        }
+        i += len;
+    }
+    return groups;
 };
 
+
 /**
- * バイト配列を2進数文字列に変換 (例: [65] -> "01000001")
+ * Shift-JISのルールでバイト列を文字単位のグループに区切る
+ * 戻り値の形は decodeUTF8Groups と同じ
  */
-export const toBinaryString = (byteArray) => {
-    return byteArray.map(b => b.toString(2).padStart(8, '0')).join(' ');
-};
-
-/**
- * 1文字ごとの詳細データを生成する
- */
-export const analyzeText = (text) => {
-    if (!text) return [];
-    
-    // 文字列を1文字ずつ分割（サロゲートペア対応）
-    const chars = Array.from(text);
-    
-    return chars.map(char => {
-        const utf8 = toUTF8Array(char);
-        const sjis = toSJISArray(char);
-        
-        return {
-            char: char,
-            codePoint: 'U+' + char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'),
-            utf8: {
-                bytes: utf8,
-                hex: toHexString(utf8),
-                binary: toBinaryString(utf8)
-            },
-            sjis: {
-                bytes: sjis,
-                hex: toHexString(sjis),
-                binary: toBinaryString(sjis)
+export const decodeSJISGroups = (bytes) => {
+    const groups = [];
+    let i = 0;
+    while (i < bytes.length) {
+        const b = bytes[i];
+        if (b < 0x80) {
+            groups.push({ start: i, bytes: [b], roles: ['single'], char: String.fromCharCode(b), valid: true });
+            i++;
+        } else if (b >= 0xA1 && b <= 0xDF) {
+            // 半角カタカナ (1バイト)
+            groups.push({ start: i, bytes: [b], roles: ['single'], char: String.fromCharCode(0xFF61 + b - 0xA1), valid: true });
+            i++;
+        } else if (isSJISLead(b) && isSJISTrail(bytes[i + 1])) {
+            const pair = [b, bytes[i + 1]];
+            const char = lookupSJIS(b, bytes[i + 1]);
+            const mapped = char !== null;
+            groups.push({
+                start: i,
+                bytes: pair,
+                roles: ['lead', 'trail'],
+                char: mapped ? char : REPLACEMENT_CHAR,
+                valid: mapped,
+                reason: mapped ? undefined : '文字コード表で空き（未定義）の番号'
+            });
+            i += 2;
+        } else {
+            const reason = isSJISLead(b)
+                ? (i + 1 >= bytes.length ? 'データの途中で終わっている' : '2バイト目として使えないバイトが続いている')
+                : 'Shift-JISでは1バイト目に使えないバイト';
+            groups.push({ start: i, bytes: [b], roles: ['invalid'], char: REPLACEMENT_CHAR, valid: false, reason });
+            i++;
+        }
+    }
+    return groups;
+};
+
+const isEUCByte = (b) => b !== undefined && b >= 0xA1 && b <= 0xFE;
+
+/**
+ * EUC-JPのルールでバイト列を文字単位のグループに区切る
+ */
+export const decodeEUCJPGroups = (bytes) => {
+    const groups = [];
+    let i = 0;
+    while (i < bytes.length) {
+        const b = bytes[i];
+        let len = 0;
+        if (b < 0x80) {
+            groups.push({ start: i, bytes: [b], roles: ['single'], char: String.fromCharCode(b), valid: true });
+            i++;
+            continue;
+        } else if (b === 0x8E && bytes[i + 1] >= 0xA1 && bytes[i + 1] <= 0xDF) {
+            // SS2 + 半角カタカナ
+            groups.push({ start: i, bytes: [b, bytes[i + 1]], roles: ['lead', 'trail'], char: String.fromCharCode(0xFF61 + bytes[i + 1] - 0xA1), valid: true });
+            i += 2;
+            continue;
+        } else if (b === 0x8F && isEUCByte(bytes[i + 1]) && isEUCByte(bytes[i + 2])) {
+            // SS3 + JIS X 0212 補助漢字（対応表は同梱していない）
+            groups.push({
+                start: i,
+                bytes: bytes.slice(i, i + 3),
+                roles: ['lead', 'trail', 'trail'],
+                char: REPLACEMENT_CHAR,
+                valid: false,
+                reason: '補助漢字 (JIS X 0212) は対応表に入っていない'
+            });
+            i += 3;
+            continue;
+        } else if (isEUCByte(b) && isEUCByte(bytes[i + 1])) {
+            len = 2;
+        }
+
+        if (len === 0) {
+            const reason = isEUCByte(b) || b === 0x8E || b === 0x8F
+                ? (i + 1 >= bytes.length ? 'データの途中で終わっている' : '2バイト目として使えないバイトが続いている')
+                : 'EUC-JPでは1バイト目に使えないバイト';
+            groups.push({ start: i, bytes: [b], roles: ['invalid'], char: REPLACEMENT_CHAR, valid: false, reason });
+            i++;
+            continue;
+        }
+
+        const group = bytes.slice(i, i + len);
+        const char = lookupJIS(b & 0x7F, bytes[i + 1] & 0x7F);
+        const mapped = char !== null;
+        groups.push({
+            start: i,
+            bytes: group,
+            roles: ['lead', 'trail'],
+            char: mapped ? char : REPLACEMENT_CHAR,
+            valid: mapped,
+            reason: mapped ? undefined : '文字コード表で空き（未定義）の番号'
+        });
+        i += len;
+    }
+    return groups;
+};
+
+
+/**
+ * ISO-2022-JPのルールでバイト列を区切る
+ * エスケープシーケンスは文字を出力しないグループ (char: '') として扱う
+ */
+export const decodeJISGroups = (bytes) => {
+    const groups = [];
+    let mode = 'ascii';
+    let i = 0;
+    while (i < bytes.length) {
+        const b = bytes[i];
+        if (b === 0x1B) {
+            const escape = JIS_ESCAPES.find(e => e.bytes.every((eb, k) => bytes[i + k] === eb));
+            if (escape) {
+                groups.push({ start: i, bytes: escape.bytes, roles: ['escape', 'escape', 'escape'], char: '', valid: true });
+                mode = escape.mode;
+                i += 3;
+            } else {
+                groups.push({ start: i, bytes: [b], roles: ['invalid'], char: REPLACEMENT_CHAR, valid: false, reason: '知らないエスケープシーケンス' });
+                i++;
             }
-        };
-    });
-};
\ No newline at end of file
+        } else if (b >= 0x80) {
+            groups.push({ start: i, bytes: [b], roles: ['invalid'], char: REPLACEMENT_CHAR, valid: false, reason: 'ISO-2022-JPは7ビットなので0x80以上は使えない' });
+            i++;
+        } else if (mode === 'kanji' && b >= 0x21 && b <= 0x7E) {
+            const next = bytes[i + 1];
+            if (next === undefined || next < 0x21 || next > 0x7E) {
+                const reason = next === undefined ? 'データの途中で終わっている' : '2バイト目として使えないバイトが続いている';
+                groups.push({ start: i, bytes: [b], roles: ['invalid'], char: REPLACEMENT_CHAR, valid: false, reason });
+                i++;
+                continue;
+            }
+            const char = lookupJIS(b, next);
+            const mapped = char !== null;
+            groups.push({
+                start: i,
+                bytes: [b, next],
+                roles: ['lead', 'trail'],
+                char: mapped ? char : REPLACEMENT_CHAR,
+                valid: mapped,
+                reason: mapped ? undefined : '文字コード表で空き（未定義）の番号'
+            });
+            i += 2;
+        } else if (mode === 'kana' && b >= 0x21 && b <= 0x5F) {
+            groups.push({ start: i, bytes: [b], roles: ['single'], char: String.fromCharCode(0xFF61 + b - 0x21), valid: true });
+            i++;
+        } else {
+            groups.push({ start: i, bytes: [b], roles: ['single'], char: String.fromCharCode(b), valid: true });
+            i++;
+        }
+    }
+    return groups;
+};
+
+/**
+ * UTF-16のルールでバイト列を区切る（サロゲートペアは4バイトで1文字）
+ */
+export const decodeUTF16Groups = (bytes, littleEndian = false) => {
+    const unitAt = (i) => (littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+    const groups = [];
+    let i = 0;
+    while (i < bytes.length) {
+        if (i + 1 >= bytes.length) {
+            groups.push({ start: i, bytes: [bytes[i]], roles: ['invalid'], char: REPLACEMENT_CHAR, valid: false, reason: 'データの途中で終わっている（2バイトにそろっていない）' });
+            break;
+        }
+        const unit = unitAt(i);
+        if (unit >= 0xD800 && unit <= 0xDBFF) {
+            const next = i + 3 < bytes.length ? unitAt(i + 2) : null;
+            if (next !== null && next >= 0xDC00 && next <= 0xDFFF) {
+                groups.push({ start: i, bytes: bytes.slice(i, i + 4), roles: ['lead', 'lead', 'trail', 'trail'], char: String.fromCharCode(unit, next), valid: true });
+                i += 4;
+            } else {
+                groups.push({ start: i, bytes: bytes.slice(i, i + 2), roles: ['invalid', 'invalid'], char: REPLACEMENT_CHAR, valid: false, reason: '上位サロゲートの後に下位サロゲートがない' });
+                i += 2;
+            }
+        } else if (unit >= 0xDC00 && unit <= 0xDFFF) {
+            groups.push({ start: i, bytes: bytes.slice(i, i + 2), roles: ['invalid', 'invalid'], char: REPLACEMENT_CHAR, valid: false, reason: '下位サロゲートが単独で現れた' });
+            i += 2;
+        } else {
+            groups.push({ start: i, bytes: bytes.slice(i, i + 2), roles: ['single', 'single'], char: String.fromCharCode(unit), valid: true });
+            i += 2;
+        }
+    }
+    return groups;
+};
+
+/**
+ * UTF-32 (ビッグエンディアン) のルールでバイト列を4バイトずつ区切る
+ */
+export const decodeUTF32Groups = (bytes) => {
+    const groups = [];
+    for (let i = 0; i < bytes.length; i += 4) {
+        const group = bytes.slice(i, i + 4);
+        const roles = group.map(() => 'single');
+        if (group.length < 4) {
+            groups.push({ start: i, bytes: group, roles: group.map(() => 'invalid'), char: REPLACEMENT_CHAR, valid: false, reason: 'データの途中で終わっている（4バイトにそろっていない）' });
+            break;
+        }
+        const cp = ((group[0] << 24) | (group[1] << 16) | (group[2] << 8) | group[3]) >>> 0;
+        if (cp > 0x10FFFF || (cp >= 0xD800 && cp <= 0xDFFF)) {
+            groups.push({ start: i, bytes: group, roles: group.map(() => 'invalid'), char: REPLACEMENT_CHAR, valid: false, reason: 'Unicodeの文字として使えない値' });
+        } else {
+            groups.push({ start: i, bytes: group, roles, char: String.fromCodePoint(cp), valid: true });
+        }
+    }
+    return groups;
+};
+
+// ------------------------------------------
+// 文字コードの一覧と、まとめて扱う関数
+// ------------------------------------------
+
+const CODECS = {
+    utf8: { encode: toUTF8Array, decode: decodeUTF8Groups },
+    sjis: { encode: (str) => toSJISArray(str), decode: decodeSJISGroups },
+    eucjp: { encode: toEUCJPArray, decode: decodeEUCJPGroups },
+    jis: { encode: toISO2022JPArray, decode: decodeJISGroups },
+    utf16le: { encode: (str) => toUTF16Array(str, true), decode: (bytes) => decodeUTF16Groups(bytes, true) },
+    utf16be: { encode: (str) => toUTF16Array(str, false), decode: (bytes) => decodeUTF16Groups(bytes, false) },
+    utf32: { encode: toUTF32Array, decode: decodeUTF32Groups },
+};
+
+export const ENCODING_IDS = Object.keys(CODECS);
+
+const codecOf = (id) => {
+    const codec = CODECS[id];
+    if (!codec) throw new Error(`Unknown encoding: ${id}`);
+    return codec;
+};
+
+/**
+ * 文字列を指定した文字コードのバイト配列にする（表現できない文字があれば null）
+ */
+export const encode = (str, id) => codecOf(id).encode(str);
+
+/**
+ * バイト列を文字単位のグループに区切る
+ * 戻り値: [{ start, bytes, roles, char, valid, reason }]
+ */
+export const decodeToGroups = (bytes, id) => codecOf(id).decode(bytes);
+
+/**
+ * バイト列を文字列に戻す（読めないバイトは U+FFFD になる）
+ */
+export const decode = (bytes, id) => decodeToGroups(bytes, id).map(group => group.char).join('');
+
+/**
+ * バイト列がその文字コードとして正しいか調べる
+ * 戻り値: { valid, errors: [{ start, bytes, reason }] }
+ */
+export const validate = (bytes, id) => {
+    const errors = decodeToGroups(bytes, id)
+        .filter(group => !group.valid)
+        .map(({ start, bytes: groupBytes, reason }) => ({ start, bytes: groupBytes, reason }));
+    return { valid: errors.length === 0, errors };
+};
+
+const isValidAs = (bytes, id) => decodeToGroups(bytes, id).every(group => group.valid);
+
+/**
+ * バイト列の文字コードを推定する。どれとしても読めなければ null
+ * (BOM -> 0x00 の並び (UTF-16/32) -> 7ビットだけ (ASCII / ISO-2022-JP) -> UTF-8 -> EUC-JP -> Shift-JIS の順に調べる)
+ */
+export const detectEncoding = (bytes) => {
+    if (bytes.length === 0) return null;
+    const startsWith = (prefix) => prefix.every((b, i) => bytes[i] === b);
+    if (startsWith([0x00, 0x00, 0xFE, 0xFF])) return 'utf32';
+    if (startsWith([0xEF, 0xBB, 0xBF])) return 'utf8';
+    if (startsWith([0xFE, 0xFF])) return 'utf16be';
+    if (startsWith([0xFF, 0xFE])) return 'utf16le';
+
+    // BOMなしのUTF-16/32は、上位バイトの 0x00 がどちら側に並ぶかで見分ける
+    if (bytes.includes(0x00)) {
+        if (bytes.length % 4 === 0 && isValidAs(bytes, 'utf32')) return 'utf32';
+        if (bytes.length % 2 === 0) {
+            const zerosAt = (parity) => bytes.filter((b, i) => i % 2 === parity && b === 0x00).length;
+            const id = zerosAt(0) >= zerosAt(1) ? 'utf16be' : 'utf16le';
+            if (isValidAs(bytes, id)) return id;
+        }
+    }
+
+    if (bytes.every(b => b < 0x80)) {
+        const hasEscape = JIS_ESCAPES.some(escape => bytes.some((b, i) => escape.bytes.every((eb, k) => bytes[i + k] === eb)));
+        return hasEscape && isValidAs(bytes, 'jis') ? 'jis' : 'utf8';
+    }
+    return ['utf8', 'eucjp', 'sjis'].find(id => isValidAs(bytes, id)) || null;
+};
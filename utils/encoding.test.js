@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    toHexString,
+    toBinaryString,
+    REPLACEMENT_CHAR,
+    sjisToJIS,
+    jisToSJIS,
+    toSJISArray,
+    ENCODING_IDS,
+    encode,
+    decode,
+    decodeToGroups,
+    validate,
+    detectEncoding,
+} from './encoding.js';
+
+const SAMPLE = 'Aあ漢字ｱ①～髙';
+
+test('表示用の16進数・2進数', () => {
+    assert.equal(toHexString([0xE3, 0x81, 0x82]), 'E3 81 82');
+    assert.equal(toBinaryString([0x41]), '01000001');
+    assert.equal(toBinaryString([0x03], 4), '0011');
+});
+
+test('代表的な文字のバイト列', () => {
+    assert.deepEqual(encode('あ', 'utf8'), [0xE3, 0x81, 0x82]);
+    assert.deepEqual(encode('あ', 'sjis'), [0x82, 0xA0]);
+    assert.deepEqual(encode('あ', 'eucjp'), [0xA4, 0xA2]);
+    assert.deepEqual(encode('あ', 'jis'), [0x1B, 0x24, 0x42, 0x24, 0x22, 0x1B, 0x28, 0x42]);
+    assert.deepEqual(encode('あ', 'utf16be'), [0x30, 0x42]);
+    assert.deepEqual(encode('あ', 'utf16le'), [0x42, 0x30]);
+    assert.deepEqual(encode('😀', 'utf8'), [0xF0, 0x9F, 0x98, 0x80]);
+    assert.deepEqual(encode('😀', 'utf16be'), [0xD8, 0x3D, 0xDE, 0x00]);
+    assert.deepEqual(encode('😀', 'utf32'), [0x00, 0x01, 0xF6, 0x00]);
+});
+
+test('CP932 の機種依存文字・半角カナ', () => {
+    assert.deepEqual(encode('①', 'sjis'), [0x87, 0x40]);
+    assert.equal(decode([0xFB, 0xFC], 'sjis'), '髙');
+    assert.deepEqual(encode('ｱ', 'sjis'), [0xB1]);
+    assert.deepEqual(encode('ｱ', 'eucjp'), [0x8E, 0xB1]);
+    assert.deepEqual(encode('～', 'sjis'), [0x81, 0x60]);
+});
+
+test('13区の数学記号は読めて、書くときは2区の番号を使う', () => {
+    const [group] = decodeToGroups([0x87, 0x90], 'sjis');
+    assert.equal(group.char, '≒');
+    assert.equal(group.valid, true);
+    assert.equal(decode([0x87, 0x9A, 0x87, 0x9C], 'sjis'), '∵∪');
+    assert.deepEqual(encode('≒', 'sjis'), [0x81, 0xE0]);
+    assert.deepEqual(encode('∪', 'eucjp'), [0xA2, 0xC0]);
+});
+
+test('すべての文字コードで往復できる', () => {
+    for (const id of ENCODING_IDS) {
+        const bytes = encode(SAMPLE, id);
+        assert.ok(bytes, `${id} で変換できない`);
+        assert.equal(decode(bytes, id), SAMPLE, id);
+        assert.equal(validate(bytes, id).valid, true, id);
+    }
+});
+
+test('Shift-JIS で表せない文字', () => {
+    assert.equal(encode('😀', 'sjis'), null);
+    assert.equal(encode('😀', 'eucjp'), null);
+    assert.equal(encode('😀', 'jis'), null);
+    assert.deepEqual(toSJISArray('あ😀', { fallback: 0x3F }), [0x82, 0xA0, 0x3F]);
+});
+
+test('区点コードと Shift-JIS の相互変換', () => {
+    assert.deepEqual(sjisToJIS(0x88, 0x9F), [0x30, 0x21]);
+    for (let j1 = 0x21; j1 <= 0x7E; j1++) {
+        for (const j2 of [0x21, 0x50, 0x5F, 0x60, 0x7E]) {
+            assert.deepEqual(sjisToJIS(...jisToSJIS(j1, j2)), [j1, j2]);
+        }
+    }
+});
+
+test('壊れた UTF-8 の理由', () => {
+    const { valid, errors } = validate([0xE3, 0x41, 0x82], 'utf8');
+    assert.equal(valid, false);
+    assert.equal(errors[0].start, 0);
+    assert.match(errors[0].reason, /続きのバイト/);
+    assert.equal(decode([0xE3, 0x41], 'utf8'), `${REPLACEMENT_CHAR}A`);
+});
+
+test('文字ごとのグループ', () => {
+    const groups = decodeToGroups([0x41, 0x82, 0xA0], 'sjis');
+    assert.deepEqual(groups.map(g => g.start), [0, 1]);
+    assert.deepEqual(groups.map(g => g.char), ['A', 'あ']);
+    assert.equal(validate([0x82], 'sjis').valid, false);
+});
+
+test('EUC-JP の補助漢字は扱わない', () => {
+    const { valid, errors } = validate([0x8F, 0xB0, 0xA1], 'eucjp');
+    assert.equal(valid, false);
+    assert.match(errors[0].reason, /JIS X 0212/);
+});
+
+test('文字コードの推定', () => {
+    for (const id of ['utf8', 'sjis', 'eucjp', 'jis', 'utf16be', 'utf16le']) {
+        assert.equal(detectEncoding(encode('Hello あいうえお漢字', id)), id);
+    }
+    assert.equal(detectEncoding([0xEF, 0xBB, 0xBF, 0x41]), 'utf8');
+    assert.equal(detectEncoding([0x41, 0x42]), 'utf8');
+    assert.equal(detectEncoding([]), null);
+});
+
+test('知らない文字コード ID はエラー', () => {
+    assert.throws(() => encode('A', 'latin1'), /Unknown encoding/);
+});
+
+test('IBM拡張文字は Windows と同じ番号を使う', () => {
+    assert.deepEqual(encode('髙', 'sjis'), [0xFB, 0xFC]);
+    assert.deepEqual(encode('ⅰ', 'sjis'), [0xFA, 0x40]);
+    assert.equal(decode([0xEE, 0xE0], 'sjis'), '髙');
+    assert.equal(decode(encode('髙ⅰ', 'eucjp'), 'eucjp'), '髙ⅰ');
+    assert.equal(decode(encode('髙ⅰ', 'jis'), 'jis'), '髙ⅰ');
+});
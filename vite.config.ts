@@ -1,6 +1,7 @@
 import path from 'path';
 import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
+import { VitePWA } from 'vite-plugin-pwa';
 
 export default defineConfig(({ mode }) => {
     const env = loadEnv(mode, '.', '');
@@ -9,7 +10,60 @@ export default defineConfig(({ mode }) => {
         port: 3000,
         host: '0.0.0.0',
       },
-      plugins: [react()],
+      plugins: [
+        react(),
+        // 一度開けば、以降はネットにつながらなくても全画面が動くようにアプリ本体をプリキャッシュする
+        VitePWA({
+          registerType: 'autoUpdate',
+          includeAssets: ['icon.svg'],
+          manifest: {
+            name: 'デジ文字ラボ - 文字のデジタル化',
+            short_name: 'デジ文字ラボ',
+            description: '高校情報Ⅰ「文字のデジタル化」単元用学習アプリ',
+            lang: 'ja',
+            start_url: '.',
+            display: 'standalone',
+            background_color: '#f8fafc',
+            theme_color: '#0284c7',
+            icons: [
+              { src: 'icon-192.png', sizes: '192x192', type: 'image/png' },
+              { src: 'icon-512.png', sizes: '512x512', type: 'image/png' },
+              { src: 'icon.svg', sizes: 'any', type: 'image/svg+xml' },
+            ],
+          },
+          workbox: {
+            // フォントは unicode-range ごとに数百ファイルに分かれているので、英数字（latin）と
+            // かな・句読点（119番）、アイコンだけを先に入れる。漢字などの残りは表示したときにキャッシュする
+            globPatterns: ['**/*.{js,css,html,svg,png}', '**/*-latin-*.woff2', '**/*-119-*.woff2', '**/fa-*.woff2'],
+            // AIのSDKを含むため、既定の2MBでは足りないファイルがある
+            maximumFileSizeToCacheInBytes: 5 * 1024 * 1024,
+            cleanupOutdatedCaches: true,
+            runtimeCaching: [
+              {
+                // ファイル名にハッシュが付くので、一度取れば中身は変わらない
+                urlPattern: /\.woff2$/,
+                handler: 'CacheFirst',
+                options: {
+                  cacheName: 'fonts',
+                  // 1つの版のフォントは約400ファイル。新しい版を配ったときは古いファイルから消える
+                  expiration: { maxEntries: 500 },
+                },
+              },
+            ],
+          },
+        }),
+      ],
+      // app.js は JSX を含む
+      esbuild: {
+        loader: 'jsx',
+        include: /\.jsx?$/,
+        exclude: [],
+      },
+      optimizeDeps: {
+        esbuildOptions: {
+          loader: { '.js': 'jsx' },
+        },
+      },
       define: {
         'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
         'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY)